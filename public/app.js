@@ -1,12 +1,13 @@
-const socket = io();
+// Connects once logged in, see checkSession()
+const socket = io({ autoConnect: false });
 
-let currentCallId = null;
-let localStream = null;
-let peerConnection = null;
+// Calls this dashboard is on: callId -> { callId, phone, direction, status, pc, stream, audio,
+// connectedAt, muted, stuckTimer, ringingTimer }
+const myCalls = new Map();
+const incomingCalls = new Map(); // callId -> call-incoming data, until answered or withdrawn
 let callTimer = null;
-let callStartTime = null;
-let callStuckTimeout = null;
-let ringingTimeout = null;
+let historyPage = 1;
+let agentLoggedIn = false;
 
 // ── Socket.IO Connection Status ──
 
@@ -15,72 +16,174 @@ socket.on('connect', () => {
   el.textContent = 'Connected';
   el.className = 'connection-status connected';
   log('Socket.IO connected', 'info');
+
+  // Socket IDs change on reconnect, so log back in as the same agent
+  const savedName = localStorage.getItem('agentName');
+  if (savedName) {
+    const maxCalls = localStorage.getItem('agentMaxCalls') || '';
+    document.getElementById('agentName').value = savedName;
+    document.getElementById('agentMaxCalls').value = maxCalls;
+    socket.emit('agent-login', { name: savedName, maxCalls });
+  }
+  loadVoicemails();
+  if (!loadedSettings) loadSettings();
+  if (!messageTemplates.length) loadTemplates();
 });
 
-socket.on('disconnect', () => {
+socket.on('disconnect', (reason) => {
   const el = document.getElementById('connectionStatus');
   el.textContent = 'Disconnected';
   el.className = 'connection-status disconnected';
   log('Socket.IO disconnected', 'error');
+  // The server drops the socket when the session ends (logout, password change, user disabled)
+  if (reason === 'io server disconnect') checkSession();
 });
 
+// The handshake is refused without a valid session
+socket.on('connect_error', (err) => {
+  if (err.message === 'Log in first') showLogin();
+});
+
+// ── Session ──
+
+let currentUser = null;
+
+async function checkSession() {
+  const res = await fetch('/api/auth/me');
+  if (res.status === 401) return showLogin();
+  const data = await res.json();
+  setUser(data.user);
+  socket.connect();
+}
+
+function setUser(user) {
+  currentUser = user;
+  document.body.dataset.role = user ? user.role : '';
+  document.getElementById('userBar').style.display = user ? 'flex' : 'none';
+  document.getElementById('userName').textContent = user ? `${user.username} (${user.role})` : '';
+  if (user && !document.getElementById('agentName').value) document.getElementById('agentName').value = user.username;
+}
+
+function showLogin(message) {
+  setUser(null);
+  socket.disconnect();
+  document.getElementById('loginOverlay').style.display = 'flex';
+  document.getElementById('loginStatus').textContent = message || '';
+  document.getElementById('loginUsername').focus();
+}
+
+async function login() {
+  const username = document.getElementById('loginUsername').value.trim();
+  const password = document.getElementById('loginPassword').value;
+  try {
+    const res = await fetch('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    const data = await res.json();
+    if (!data.success) {
+      document.getElementById('loginStatus').textContent = data.error;
+      return;
+    }
+    document.getElementById('loginPassword').value = '';
+    document.getElementById('loginOverlay').style.display = 'none';
+    setUser(data.user);
+    log(`Logged in as ${data.user.username} (${data.user.role})`, 'info');
+    socket.connect();
+  } catch (err) {
+    document.getElementById('loginStatus').textContent = err.message;
+  }
+}
+
+async function logout() {
+  await fetch('/api/auth/logout', { method: 'POST' });
+  showLogin();
+}
+
 // ── Socket.IO Call Events ──
 
 socket.on('permission-granted', (data) => {
   log(`Permission granted for ${data.phone} (expires: ${data.expiresAt})`, 'event');
   showStatus('permissionStatus', `Permission granted! Valid until ${new Date(data.expiresAt).toLocaleString()}`, 'success');
+  refreshCheckedPermission(data);
+});
+
+socket.on('permission-granted-permanent', (data) => {
+  log(`Permanent permission granted for ${data.phone}`, 'event');
+  showStatus('permissionStatus', 'Permission granted permanently!', 'success');
+  refreshCheckedPermission(data);
+});
+
+socket.on('permission-rejected', (data) => {
+  log(`Permission request declined by ${data.phone}`, 'event');
+  showStatus('permissionStatus', `${data.phone} declined the permission request`, 'warning');
+  refreshCheckedPermission(data);
+});
+
+socket.on('permission-revoked', (data) => {
+  log(`Permission revoked by ${data.phone}`, 'event');
+  refreshCheckedPermission(data);
 });
 
+socket.on('permission-expired', (data) => {
+  log(`Permission for ${data.phone} expired`, 'info');
+  refreshCheckedPermission(data);
+});
+
+// Call events are broadcast; only calls in myCalls are this dashboard's to update
 socket.on('call-ringing', (data) => {
-  clearTimeout(callStuckTimeout);
-  clearTimeout(ringingTimeout);
   log(`Call ${data.callId} ringing at ${data.phone}`, 'event');
-  showStatus('callStatus', 'Ringing...', 'warning');
-  currentCallId = data.callId;
+  const call = myCalls.get(data.callId);
+  if (!call) return;
+  clearTimeout(call.stuckTimer);
+  clearTimeout(call.ringingTimer);
+  updateCall(call, 'Ringing...');
   // If no answer within 45s, show "no answer"
-  ringingTimeout = setTimeout(() => {
-    if (currentCallId === data.callId) {
-      showStatus('callStatus', 'No answer. <button onclick="resetCalls()" style="margin-left:8px;padding:4px 12px;cursor:pointer;border-radius:4px;border:1px solid #c00;background:#fff0f0;color:#c00;">Reset</button>', 'error');
-      log('No answer — ringing timed out after 45s', 'error');
-      document.getElementById('btnCall').disabled = false;
-    }
+  call.ringingTimer = setTimeout(() => {
+    if (call.connectedAt) return;
+    updateCall(call, 'No answer');
+    log(`No answer from ${call.phone} — ringing timed out after 45s`, 'error');
   }, 45000);
 });
 
 socket.on('call-accepted', (data) => {
   log(`Call ${data.callId} accepted by ${data.phone}`, 'event');
-  showStatus('callStatus', 'Call accepted, establishing audio...', 'info');
+  const call = myCalls.get(data.callId);
+  if (call) updateCall(call, 'Accepted, establishing audio...');
 });
 
 socket.on('call-connected', (data) => {
-  clearTimeout(callStuckTimeout);
-  clearTimeout(ringingTimeout);
   log(`Call ${data.callId} connected!`, 'event');
-  showStatus('callStatus', 'Call connected - audio active', 'active');
-  document.getElementById('callControls').style.display = 'flex';
-  document.getElementById('inboundCard').style.display = 'none';
+  dropIncoming(data.callId);
+  const call = myCalls.get(data.callId);
+  if (!call) return;
+  clearTimeout(call.stuckTimer);
+  clearTimeout(call.ringingTimer);
+  call.connectedAt = Date.now();
+  updateCall(call, 'Connected');
   startCallTimer();
 });
 
 socket.on('call-rejected', (data) => {
   log(`Call ${data.callId} rejected`, 'error');
-  showStatus('callStatus', 'Call rejected by user', 'error');
-  cleanupCall();
+  const call = myCalls.get(data.callId);
+  if (!call) return;
+  showStatus('callStatus', `Call to ${call.phone} rejected by user`, 'error');
+  endLocalCall(data.callId);
 });
 
 socket.on('call-ended', (data) => {
-  log(`Call ${data.callId} ended`, 'event');
-  showStatus('callStatus', 'Call ended', 'info');
-  document.getElementById('inboundCard').style.display = 'none';
-  cleanupCall();
+  log(`Call ${data.callId} ended${data.reason ? ` (${data.reason.replace(/_/g, ' ')})` : ''}`, 'event');
+  dropIncoming(data.callId);
+  endLocalCall(data.callId);
+  if (document.getElementById('tab-history').style.display !== 'none') loadHistory(historyPage);
 });
 
 socket.on('call-incoming', (data) => {
   log(`Incoming call from ${data.from} (${data.callId})`, 'event');
-  currentCallId = data.callId;
-  document.getElementById('inboundCard').style.display = 'block';
-  document.getElementById('inboundInfo').innerHTML =
-    `<div class="status-bar warning">Incoming call from <strong>${data.from}</strong></div>`;
+  incomingCalls.set(data.callId, data);
+  renderIncoming();
   // Play a simple ringtone beep to get attention
   try {
     const ctx = new AudioContext();
@@ -95,6 +198,113 @@ socket.on('call-incoming', (data) => {
   } catch (e) { /* ignore audio context errors */ }
 });
 
+// IVR selections, e.g. "Queue: sales - menu: 2"
+function formatCallContext(context) {
+  const parts = [];
+  if (context.queue) parts.push(`Queue: ${context.queue}`);
+  for (const [name, value] of Object.entries(context.ivr || {})) {
+    if (name !== 'phone') parts.push(`${name}: ${value}`);
+  }
+  return parts.join(' - ');
+}
+
+socket.on('call-ivr', (data) => {
+  log(`Call ${data.callId} from ${data.phone} in IVR: ${data.node} (${data.type})`, 'info');
+});
+
+socket.on('call-voicemail', (data) => {
+  log(`Call ${data.callId} from ${data.phone} sent to voicemail (${data.reason.replace(/_/g, ' ')})`, 'info');
+  dropIncoming(data.callId);
+});
+
+socket.on('voicemail-new', (vm) => {
+  log(`New voicemail from ${vm.phone} (${formatDuration(vm.durationSeconds)})`, 'event');
+  loadVoicemails();
+});
+
+socket.on('voicemail-updated', () => loadVoicemails());
+
+socket.on('dead-letter', (entry) => {
+  log(`Unmatched ${entry.kind} webhook for ${entry.callId || 'unknown call'}: ${entry.reason}`, 'error');
+  if (document.getElementById('tab-history').style.display !== 'none') loadDeadLetters();
+});
+
+socket.on('call-offer-cancelled', (data) => {
+  if (!incomingCalls.has(data.callId)) return;
+  log(`Call ${data.callId} offered to another agent`, 'info');
+  dropIncoming(data.callId);
+});
+
+socket.on('call-waiting', (data) => {
+  log(`Call ${data.callId} from ${data.from} waiting for a free agent`, 'info');
+});
+
+socket.on('call-queued', (data) => {
+  log(`Call ${data.callId} from ${data.phone} queued at position ${data.position}`, 'event');
+});
+
+socket.on('queue-updated', (stats) => {
+  document.getElementById('queueCard').style.display = 'block';
+  document.getElementById('queueSummary').textContent =
+    `${stats.depth}/${stats.maxSize} waiting - longest wait ${formatDuration(stats.longestWaitSeconds)}, ` +
+    `average answered wait ${formatDuration(stats.averageServedWaitSeconds)}`;
+  document.getElementById('queueEntries').innerHTML = stats.entries
+    .map(e => `#${e.position} ${e.phone} - waiting ${formatDuration(e.waitSeconds)}`)
+    .join('<br>');
+});
+
+// ── Agents ──
+
+socket.on('agent-logged-in', (agent) => {
+  agentLoggedIn = true;
+  log(`Logged in as agent ${agent.name}`, 'event');
+  document.getElementById('btnAgentLogin').textContent = 'Log Out';
+  document.getElementById('agentStatus').disabled = false;
+});
+
+socket.on('agents-updated', (agents) => {
+  const me = agents.find(a => a.socketId === socket.id);
+  if (me) document.getElementById('agentStatus').value = me.status;
+
+  const list = document.getElementById('agentList');
+  list.textContent = agents.length ? '' : 'No agents logged in';
+  agents.forEach((a, i) => {
+    if (i) list.appendChild(document.createElement('br'));
+    const dot = document.createElement('span');
+    dot.className = `dot ${{ available: 'green', busy: 'red', away: 'yellow' }[a.status]}`;
+    list.appendChild(dot);
+    // names are whatever the agent typed
+    list.appendChild(document.createTextNode(` ${a.name}${a.socketId === socket.id ? ' (you)' : ''} - ${a.status}, ${a.callIds.length}/${a.maxCalls} call(s)`));
+  });
+});
+
+function toggleAgentLogin() {
+  if (agentLoggedIn) {
+    socket.emit('agent-logout');
+    localStorage.removeItem('agentName');
+    localStorage.removeItem('agentMaxCalls');
+    agentLoggedIn = false;
+    document.getElementById('btnAgentLogin').textContent = 'Log In';
+    document.getElementById('agentStatus').disabled = true;
+    log('Logged out as agent', 'info');
+    return;
+  }
+
+  const name = document.getElementById('agentName').value.trim();
+  if (!name) {
+    log('Enter your name to log in as an agent', 'error');
+    return;
+  }
+  const maxCalls = document.getElementById('agentMaxCalls').value;
+  localStorage.setItem('agentName', name);
+  localStorage.setItem('agentMaxCalls', maxCalls);
+  socket.emit('agent-login', { name, maxCalls });
+}
+
+function setAgentStatus(status) {
+  socket.emit('agent-status', { status });
+}
+
 socket.on('call-status', (data) => {
   log(`Call ${data.callId} status: ${data.status}`, 'info');
 });
@@ -102,19 +312,19 @@ socket.on('call-status', (data) => {
 // Browser-only mode: server asks browser to generate SDP offer
 socket.on('generate-sdp-offer', async (data) => {
   log(`Generating SDP offer for call ${data.callId}...`, 'api');
-  currentCallId = data.callId;
+  const call = trackCall(data.callId, { phone: data.phone, direction: 'outbound' });
 
   try {
-    await setupBrowserWebRTC();
-    const offer = await peerConnection.createOffer();
-    await peerConnection.setLocalDescription(offer);
+    await setupBrowserWebRTC(call);
+    const offer = await call.pc.createOffer();
+    await call.pc.setLocalDescription(offer);
 
     // Wait for ICE gathering
-    await waitForIceGathering(peerConnection);
+    await waitForIceGathering(call.pc);
 
     socket.emit('browser-offer', {
       callId: data.callId,
-      sdp: peerConnection.localDescription.sdp
+      sdp: call.pc.localDescription.sdp
     });
     log('SDP offer sent to server', 'api');
   } catch (err) {
@@ -125,9 +335,10 @@ socket.on('generate-sdp-offer', async (data) => {
 // Browser-only mode: SDP answer from WhatsApp
 socket.on('sdp-answer-from-whatsapp', async (data) => {
   log(`Received SDP answer from WhatsApp for call ${data.callId}`, 'event');
+  const call = myCalls.get(data.callId);
   try {
-    if (peerConnection) {
-      await peerConnection.setRemoteDescription(
+    if (call?.pc) {
+      await call.pc.setRemoteDescription(
         new RTCSessionDescription({ type: 'answer', sdp: data.sdp })
       );
       log('Remote SDP answer set - audio should be active', 'event');
@@ -140,16 +351,17 @@ socket.on('sdp-answer-from-whatsapp', async (data) => {
 // Server WebRTC mode: server asks browser to set up audio bridge
 socket.on('setup-browser-audio', async (data) => {
   log(`Setting up browser audio for call ${data.callId}...`, 'api');
+  const call = trackCall(data.callId);
   try {
-    await setupBrowserWebRTC();
-    const offer = await peerConnection.createOffer();
-    await peerConnection.setLocalDescription(offer);
+    await setupBrowserWebRTC(call);
+    const offer = await call.pc.createOffer();
+    await call.pc.setLocalDescription(offer);
 
-    await waitForIceGathering(peerConnection);
+    await waitForIceGathering(call.pc);
 
     socket.emit('browser-offer', {
       callId: data.callId,
-      sdp: peerConnection.localDescription.sdp
+      sdp: call.pc.localDescription.sdp
     });
   } catch (err) {
     log(`Error setting up browser audio: ${err.message}`, 'error');
@@ -158,9 +370,10 @@ socket.on('setup-browser-audio', async (data) => {
 
 // Server sends SDP answer for browser peer
 socket.on('browser-sdp-answer', async (data) => {
+  const call = myCalls.get(data.callId);
   try {
-    if (peerConnection) {
-      await peerConnection.setRemoteDescription(
+    if (call?.pc) {
+      await call.pc.setRemoteDescription(
         new RTCSessionDescription({ type: 'answer', sdp: data.sdp })
       );
       log('Browser audio bridge established', 'event');
@@ -173,19 +386,20 @@ socket.on('browser-sdp-answer', async (data) => {
 // Inbound call: SDP offer from WhatsApp forwarded to browser
 socket.on('inbound-sdp-offer', async (data) => {
   log(`Setting up audio for inbound call ${data.callId}...`, 'api');
+  const call = trackCall(data.callId);
   try {
-    await setupBrowserWebRTC();
-    await peerConnection.setRemoteDescription(
+    await setupBrowserWebRTC(call);
+    await call.pc.setRemoteDescription(
       new RTCSessionDescription({ type: 'offer', sdp: data.sdp })
     );
-    const answer = await peerConnection.createAnswer();
-    await peerConnection.setLocalDescription(answer);
+    const answer = await call.pc.createAnswer();
+    await call.pc.setLocalDescription(answer);
 
-    await waitForIceGathering(peerConnection);
+    await waitForIceGathering(call.pc);
 
     socket.emit('browser-answer', {
       callId: data.callId,
-      sdp: peerConnection.localDescription.sdp
+      sdp: call.pc.localDescription.sdp
     });
   } catch (err) {
     log(`Error handling inbound SDP: ${err.message}`, 'error');
@@ -197,54 +411,61 @@ socket.on('webhook-event', (data) => {
 });
 
 socket.on('call-error', (data) => {
-  clearTimeout(callStuckTimeout);
   log(`Call ${data.callId} failed: ${data.error}`, 'error');
-  showStatus('callStatus', `Call failed: ${data.error} <button onclick="resetCalls()" style="margin-left:8px;padding:4px 12px;cursor:pointer;border-radius:4px;border:1px solid #c00;background:#fff0f0;color:#c00;">Reset</button>`, 'error');
-  document.getElementById('btnCall').disabled = false;
+  if (!myCalls.has(data.callId)) return;
+  showStatus('callStatus', `Call to ${myCalls.get(data.callId).phone} failed: ${data.error} <button onclick="resetCalls()" style="margin-left:8px;padding:4px 12px;cursor:pointer;border-radius:4px;border:1px solid #c00;background:#fff0f0;color:#c00;">Reset</button>`, 'error');
+  endLocalCall(data.callId);
 });
 
 socket.on('calls-reset', (data) => {
   log(`${data.count} stuck call(s) reset`, 'event');
+  for (const callId of data.callIds || []) endLocalCall(callId);
   showStatus('callStatus', 'Calls reset. You can make a new call.', 'success');
-  document.getElementById('btnCall').disabled = false;
 });
 
 socket.on('error', (data) => {
   log(`Server error: ${data.message}`, 'error');
+  // A call we tried to answer but couldn't
+  if (data.callId) endLocalCall(data.callId);
 });
 
 // ── WebRTC Setup ──
 
-async function setupBrowserWebRTC() {
+// Each call gets its own peer connection, microphone stream and audio element
+async function setupBrowserWebRTC(call) {
+  closeCallMedia(call); // a repeated offer replaces the previous connection
+
   // Get microphone
-  localStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  call.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  call.stream.getTracks().forEach(track => { track.enabled = !call.muted; });
   log('Microphone access granted', 'info');
 
   // Create peer connection
-  peerConnection = new RTCPeerConnection({
+  const pc = new RTCPeerConnection({
     iceServers: [
       { urls: 'stun:stun.l.google.com:19302' },
       { urls: 'stun:stun1.l.google.com:19302' }
     ]
   });
+  call.pc = pc;
 
   // Add local audio tracks
-  localStream.getTracks().forEach(track => {
-    peerConnection.addTrack(track, localStream);
+  call.stream.getTracks().forEach(track => {
+    pc.addTrack(track, call.stream);
   });
 
   // Handle remote audio
-  peerConnection.ontrack = (event) => {
-    log('Remote audio track received', 'event');
-    document.getElementById('remoteAudio').srcObject = event.streams[0];
+  pc.ontrack = (event) => {
+    log(`Remote audio track received for call ${call.callId}`, 'event');
+    call.audio.srcObject = event.streams[0];
   };
 
-  peerConnection.oniceconnectionstatechange = () => {
-    log(`ICE state: ${peerConnection.iceConnectionState}`, 'info');
+  pc.oniceconnectionstatechange = () => {
+    log(`Call ${call.callId} ICE state: ${pc.iceConnectionState}`, 'info');
   };
 
-  peerConnection.onconnectionstatechange = () => {
-    log(`Connection state: ${peerConnection.connectionState}`, 'info');
+  pc.onconnectionstatechange = () => {
+    log(`Call ${call.callId} connection state: ${pc.connectionState}`, 'info');
   };
 }
 
@@ -268,47 +489,172 @@ function waitForIceGathering(pc, timeoutMs = 3000) {
 
 // ── API Calls ──
 
-async function enableCalling() {
-  const btn = document.getElementById('btnEnableCalling');
+let loadedSettings = null;
+
+function parseSipServers(text) {
+  return text.split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const [hostname, port] = entry.split(':');
+    return port ? { hostname, port: Number(port) } : { hostname };
+  });
+}
+
+function formatSipServers(servers) {
+  return (servers || []).map(s => (s.port ? `${s.hostname}:${s.port}` : s.hostname)).join(', ');
+}
+
+async function loadSettings() {
+  try {
+    const res = await fetch('/api/settings');
+    const data = await res.json();
+    if (!data.success) {
+      showStatus('enableStatus', `Could not load settings: ${data.error}`, 'error');
+      return;
+    }
+
+    loadedSettings = data.data;
+    document.getElementById('settingStatus').value = loadedSettings.status || 'DISABLED';
+    document.getElementById('settingIconVisibility').value = loadedSettings.call_icon_visibility || 'DEFAULT';
+    document.getElementById('settingCallbackPermission').value = loadedSettings.callback_permission_status || 'DISABLED';
+    document.getElementById('settingSipStatus').value = loadedSettings.sip?.status || 'DISABLED';
+    document.getElementById('settingSipServers').value = formatSipServers(loadedSettings.sip?.servers);
+
+    const hours = loadedSettings.call_hours;
+    document.getElementById('settingCallHours').textContent = hours?.status === 'ENABLED'
+      ? `Call hours: ${hours.weekly_operating_hours.length} opening period(s), ${(hours.holiday_schedule || []).length} holiday(s), ${hours.timezone_id}. Edit them in the Schedule tab.`
+      : 'Call hours: not set. Set them in the Schedule tab and sync them to WhatsApp.';
+  } catch (err) {
+    showStatus('enableStatus', `Could not load settings: ${err.message}`, 'error');
+  }
+}
+
+// Only sections that differ from what was loaded are sent
+async function saveSettings() {
+  const current = loadedSettings || {};
+  const changes = {};
+  const fields = {
+    status: 'settingStatus',
+    call_icon_visibility: 'settingIconVisibility',
+    callback_permission_status: 'settingCallbackPermission'
+  };
+  for (const [key, id] of Object.entries(fields)) {
+    const value = document.getElementById(id).value;
+    if (value !== current[key]) changes[key] = value;
+  }
+
+  const sip = {
+    status: document.getElementById('settingSipStatus').value,
+    servers: parseSipServers(document.getElementById('settingSipServers').value)
+  };
+  if (sip.status !== (current.sip?.status || 'DISABLED') ||
+      formatSipServers(sip.servers) !== formatSipServers(current.sip?.servers)) {
+    changes.sip = sip.status === 'DISABLED' ? { status: 'DISABLED' } : sip;
+  }
+
+  if (!Object.keys(changes).length) {
+    showStatus('enableStatus', 'Nothing changed', 'info');
+    return;
+  }
+
+  const btn = document.getElementById('btnSaveSettings');
   btn.disabled = true;
-  log('Enabling calling...', 'api');
+  log(`Updating calling settings: ${Object.keys(changes).join(', ')}`, 'api');
 
   try {
-    const res = await fetch('/api/enable-calling', { method: 'POST' });
+    const res = await fetch('/api/settings', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes)
+    });
     const data = await res.json();
     if (data.success) {
-      showStatus('enableStatus', 'Calling enabled successfully!', 'success');
-      log('Calling enabled', 'event');
+      showStatus('enableStatus', 'Settings saved', 'success');
+      log('Calling settings updated', 'event');
+      loadSettings();
     } else {
-      showStatus('enableStatus', `Error: ${JSON.stringify(data.error)}`, 'error');
-      log(`Enable calling error: ${JSON.stringify(data.error)}`, 'error');
+      showStatus('enableStatus', `Error: ${data.error}`, 'error');
     }
   } catch (err) {
     showStatus('enableStatus', `Error: ${err.message}`, 'error');
-    log(`Enable calling error: ${err.message}`, 'error');
   }
 
   btn.disabled = false;
 }
 
-async function disableCalling() {
+// ── Message templates ──
+let messageTemplates = []; // approved templates, as described by /api/templates
+
+async function loadTemplates(refresh = false) {
+  const picker = document.getElementById('templatePicker');
   try {
-    const res = await fetch('/api/disable-calling', { method: 'POST' });
+    const res = await fetch(`/api/templates${refresh ? '?refresh=true' : ''}`);
     const data = await res.json();
-    if (data.success) {
-      showStatus('enableStatus', 'Calling disabled', 'info');
-      log('Calling disabled', 'event');
-    } else {
-      showStatus('enableStatus', `Error: ${JSON.stringify(data.error)}`, 'error');
+    if (!data.success) {
+      picker.innerHTML = '<option value="">Templates unavailable - type the name below</option>';
+      log(`Could not load templates: ${data.error}`, 'error');
+      return;
     }
+
+    // Templates with a call permission button first
+    messageTemplates = data.data
+      .filter(t => t.status === 'APPROVED')
+      .sort((a, b) => b.callPermission - a.callPermission || a.name.localeCompare(b.name) || a.language.localeCompare(b.language));
+    picker.innerHTML = '<option value="">Choose a template...</option>' + messageTemplates.map((t, i) =>
+      `<option value="${i}">${t.name} (${t.language})${t.callPermission ? '' : ' - no call permission button'}</option>`).join('');
   } catch (err) {
-    showStatus('enableStatus', `Error: ${err.message}`, 'error');
+    log(`Could not load templates: ${err.message}`, 'error');
+  }
+}
+
+function paramInput(section, name, label, index) {
+  const data = index === undefined ? `data-param="${name}"` : `data-index="${index}"`;
+  return `<input type="text" data-section="${section}" ${data} placeholder="${label}" style="max-width: 250px;">`;
+}
+
+function selectTemplate() {
+  const template = messageTemplates[document.getElementById('templatePicker').value];
+  const el = document.getElementById('templateParams');
+  if (!template) {
+    el.innerHTML = '';
+    return;
+  }
+
+  document.getElementById('templateName').value = template.name;
+  document.getElementById('templateLanguage').value = template.language;
+  const inputs = [];
+  for (const name of template.header?.params || []) {
+    inputs.push(paramInput('header', name, name === 'link' ? `Header ${template.header.format.toLowerCase()} URL` : `Header {{${name}}}`));
+  }
+  for (const name of template.body?.params || []) {
+    inputs.push(paramInput('body', name, `Body {{${name}}}`));
   }
+  for (const button of template.buttons.filter(b => b.param)) {
+    const label = button.param === 'url' ? `"${button.text}" URL suffix` : `"${button.text}" payload (optional)`;
+    inputs.push(paramInput('buttons', null, label, button.index));
+  }
+  el.innerHTML = inputs.join('');
+}
+
+// { header, body, buttons } from the parameter inputs of the picked template
+function templateComponents() {
+  const components = {};
+  for (const input of document.querySelectorAll('#templateParams input')) {
+    const { section, param, index } = input.dataset;
+    const value = input.value.trim();
+    if (section === 'buttons') {
+      if (value) (components.buttons = components.buttons || []).push({ index: Number(index), payload: value });
+    } else if (param === 'link') {
+      components.header = value;
+    } else {
+      (components[section] = components[section] || {})[param] = value;
+    }
+  }
+  return Object.keys(components).length ? components : undefined;
 }
 
 async function sendPermission() {
   const phone = document.getElementById('permissionPhone').value.trim();
   const template = document.getElementById('templateName').value.trim() || undefined;
+  const language = document.getElementById('templateLanguage').value.trim() || undefined;
 
   if (!phone) {
     showStatus('permissionStatus', 'Please enter a phone number', 'warning');
@@ -321,15 +667,20 @@ async function sendPermission() {
     const res = await fetch('/api/send-permission', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ phone, templateName: template })
+      body: JSON.stringify({ phone, templateName: template, language, components: templateComponents() })
     });
     const data = await res.json();
     if (data.success) {
       showStatus('permissionStatus', `Permission request sent to ${phone}. Waiting for user to accept...`, 'info');
       log(`Permission request sent to ${phone}`, 'event');
+    } else if (data.rule) {
+      // Refused locally to stay within Meta's limits
+      const next = data.nextAllowedAt ? ` Next request allowed ${new Date(data.nextAllowedAt).toLocaleString()}.` : '';
+      showStatus('permissionStatus', `${data.error}.${next}`, 'warning');
+      log(`Permission request not sent: ${data.error}`, 'error');
     } else {
-      showStatus('permissionStatus', `Error: ${JSON.stringify(data.error)}`, 'error');
-      log(`Permission request error: ${JSON.stringify(data.error)}`, 'error');
+      showStatus('permissionStatus', `Error: ${data.error}`, 'error');
+      log(`Permission request error: ${data.error}`, 'error');
     }
   } catch (err) {
     showStatus('permissionStatus', `Error: ${err.message}`, 'error');
@@ -344,21 +695,85 @@ async function checkPermission() {
   }
 
   try {
-    const res = await fetch(`/api/permission-status/${phone}`);
+    const res = await fetch(`/api/permission-status/${encodeURIComponent(phone)}?refresh=true`);
+    renderPermission(await res.json());
+  } catch (err) {
+    showStatus('checkPermStatus', `Error: ${err.message}`, 'error');
+  }
+}
+
+function renderPermission(data) {
+  const since = data.updatedAt ? ` since ${new Date(data.updatedAt).toLocaleString()}` : '';
+  const views = {
+    granted_temporary: [`Permission GRANTED. Expires: ${data.expiresAt} (${data.remainingHours}h remaining)`, 'success'],
+    granted_permanent: ['Permission GRANTED permanently', 'success'],
+    expired: [`Permission EXPIRED${since}. Send a new request.`, 'warning'],
+    rejected: [`Permission request DECLINED${since}.`, 'warning'],
+    revoked: [`Permission REVOKED by the user${since}.`, 'error'],
+    none: ['No permission. Send a request first.', 'info']
+  };
+  const [message, type] = views[data.state] || views.none;
+  const sources = { meta: 'checked with WhatsApp', cache: 'WhatsApp, cached', local: 'local record only, WhatsApp unreachable' };
+  const actions = (data.actions || [])
+    .map(a => `${a.action.replace(/_/g, ' ')}: ${a.allowed ? 'allowed' : 'not allowed'}` +
+      a.limits.map(l => ` (${l.used}/${l.maxAllowed} per ${l.period})`).join(''))
+    .join('<br>');
+
+  const el = document.getElementById('checkPermStatus');
+  el.dataset.phone = data.phone;
+  showStatus('checkPermStatus', `${message}${data.source ? ` <small>(${sources[data.source]})</small>` : ''}`, type);
+  if (actions) el.innerHTML += `<div class="permission-info">${actions}</div>`;
+}
+
+// Keep the Check Permission card current when the checked number changes state
+function refreshCheckedPermission(data) {
+  if (document.getElementById('checkPermStatus').dataset.phone === data.phone) renderPermission(data);
+}
+
+const TIMELINE_LABELS = {
+  request_sent: 'Request sent',
+  request_delivered: 'Request delivered',
+  request_read: 'Request read',
+  request_failed: 'Request failed',
+  request_error: 'Error',
+  reply_accept: 'Accepted',
+  reply_reject: 'Declined'
+};
+
+async function loadPermissionHistory() {
+  const phone = document.getElementById('checkPermPhone').value.trim();
+  if (!phone) {
+    showStatus('checkPermStatus', 'Please enter a phone number', 'warning');
+    return;
+  }
+
+  try {
+    const res = await fetch(`/api/permissions/${encodeURIComponent(phone)}/history`);
     const data = await res.json();
-    if (data.granted) {
-      showStatus('checkPermStatus',
-        `Permission GRANTED. Expires: ${data.expiresAt} (${data.remainingHours}h remaining)`, 'success');
-    } else if (data.expired) {
-      showStatus('checkPermStatus', 'Permission EXPIRED. Send a new request.', 'warning');
-    } else {
-      showStatus('checkPermStatus', 'No permission. Send a request first.', 'info');
-    }
+
+    const lines = data.events.map(e => {
+      let detail = e.templateName ? ` (${e.templateName}${e.language ? `, ${e.language}` : ''})` : '';
+      if (e.error) detail = `: ${e.error}`;
+      if (e.isPermanent) detail = ' (permanent)';
+      return `${new Date(e.at).toLocaleString()} - ${TIMELINE_LABELS[e.type] || e.type}${detail}`;
+    });
+    lines.push(data.nextRequest.allowed
+      ? 'A new request can be sent now'
+      : `Next request: ${data.nextRequest.nextAllowedAt ? new Date(data.nextRequest.nextAllowedAt).toLocaleString() : 'after the user messages you'}`);
+
+    const el = document.getElementById('permHistory');
+    el.dataset.phone = data.phone;
+    el.innerHTML = lines.join('<br>');
   } catch (err) {
     showStatus('checkPermStatus', `Error: ${err.message}`, 'error');
   }
 }
 
+socket.on('permission-request-updated', (data) => {
+  const el = document.getElementById('permHistory');
+  if (el.dataset.phone === data.phone) loadPermissionHistory();
+});
+
 function manualGrantPermission() {
   const phone = document.getElementById('checkPermPhone').value.trim();
   if (!phone) {
@@ -377,7 +792,8 @@ async function initiateCall() {
     return;
   }
 
-  document.getElementById('btnCall').disabled = true;
+  const btn = document.getElementById('btnCall');
+  btn.disabled = true;
   log(`Initiating call to ${phone}...`, 'api');
   showStatus('callStatus', 'Initiating call...', 'info');
 
@@ -385,25 +801,24 @@ async function initiateCall() {
     const res = await fetch('/api/initiate-call', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ phone })
+      // This dashboard generates the SDP offer and owns the call
+      body: JSON.stringify({ phone, socketId: socket.id })
     });
     const data = await res.json();
     if (data.success) {
-      currentCallId = data.data.callId;
-      log(`Call initiated: ${currentCallId}`, 'event');
-      if (data.data.mode === 'browser-only') {
-        showStatus('callStatus', 'Browser-only mode: generating SDP...', 'info');
-      }
+      const call = trackCall(data.data.callId, { phone, direction: 'outbound' });
+      if (!call.status) updateCall(call, data.data.mode === 'browser-only' ? 'Generating SDP...' : 'Calling...');
+      log(`Call initiated: ${call.callId}`, 'event');
+      document.getElementById('callStatus').innerHTML = '';
       // Start a stuck-call timeout — if no progress in 15s, show reset
-      clearTimeout(callStuckTimeout);
-      callStuckTimeout = setTimeout(() => {
-        if (currentCallId && document.getElementById('btnCall').disabled) {
-          showStatus('callStatus', 'Call appears stuck. <button onclick="resetCalls()" style="margin-left:8px;padding:4px 12px;cursor:pointer;border-radius:4px;border:1px solid #c00;background:#fff0f0;color:#c00;">Reset &amp; Retry</button>', 'error');
-          log('Call stuck — no response from WhatsApp after 15s', 'error');
-        }
+      call.stuckTimer = setTimeout(() => {
+        if (!myCalls.has(call.callId)) return;
+        updateCall(call, 'Stuck');
+        showStatus('callStatus', `Call to ${phone} appears stuck. <button onclick="resetCalls()" style="margin-left:8px;padding:4px 12px;cursor:pointer;border-radius:4px;border:1px solid #c00;background:#fff0f0;color:#c00;">Reset &amp; Retry</button>`, 'error');
+        log(`Call to ${phone} stuck — no response from WhatsApp after 15s`, 'error');
       }, 15000);
     } else {
-      const errMsg = typeof data.error === 'string' ? data.error : JSON.stringify(data.error);
+      const errMsg = data.error;
       // If stuck call, show reset option
       if (errMsg.includes('already in progress')) {
         showStatus('callStatus', `${errMsg} <button onclick="resetCalls()" style="margin-left:8px;padding:2px 10px;cursor:pointer;">Reset &amp; Retry</button>`, 'error');
@@ -411,45 +826,137 @@ async function initiateCall() {
         showStatus('callStatus', `Error: ${errMsg}`, 'error');
       }
       log(`Call error: ${errMsg}`, 'error');
-      document.getElementById('btnCall').disabled = false;
     }
   } catch (err) {
     showStatus('callStatus', `Error: ${err.message}`, 'error');
-    document.getElementById('btnCall').disabled = false;
   }
+  btn.disabled = false;
 }
 
-async function endCall() {
-  if (!currentCallId) return;
-
-  log(`Ending call ${currentCallId}...`, 'api');
+async function endCall(callId) {
+  log(`Ending call ${callId}...`, 'api');
   try {
     await fetch('/api/end-call', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ callId: currentCallId })
+      body: JSON.stringify({ callId })
     });
   } catch (err) {
     log(`End call error: ${err.message}`, 'error');
   }
 
-  cleanupCall();
+  endLocalCall(callId);
+}
+
+function toggleMute(callId) {
+  const call = myCalls.get(callId);
+  if (!call) return;
+  call.muted = !call.muted;
+  if (call.stream) call.stream.getTracks().forEach(track => { track.enabled = !call.muted; });
+  log(`Call ${callId} ${call.muted ? 'muted' : 'unmuted'}`, 'info');
+  renderCalls();
+}
+
+function acceptInboundCall(callId) {
+  const offer = incomingCalls.get(callId);
+  if (!offer) return;
+  log(`Accepting call ${callId}...`, 'api');
+  trackCall(callId, { phone: offer.from, direction: 'inbound', status: 'Answering...' });
+  dropIncoming(callId);
+  socket.emit('accept-call', { callId });
+}
+
+function rejectInboundCall(callId) {
+  log(`Rejecting call ${callId}...`, 'api');
+  socket.emit('reject-call', { callId });
+  dropIncoming(callId);
+}
+
+// ── Active and incoming calls ──
+
+function trackCall(callId, fields = {}) {
+  let call = myCalls.get(callId);
+  if (!call) {
+    const audio = document.createElement('audio');
+    audio.autoplay = true;
+    document.getElementById('remoteAudios').appendChild(audio);
+    call = { callId, phone: '', direction: 'outbound', status: '', pc: null, stream: null, audio, connectedAt: null, muted: false };
+    myCalls.set(callId, call);
+  }
+  Object.assign(call, fields);
+  renderCalls();
+  return call;
+}
+
+function updateCall(call, status) {
+  call.status = status;
+  renderCalls();
+}
+
+function closeCallMedia(call) {
+  if (call.stream) call.stream.getTracks().forEach(track => track.stop());
+  if (call.pc) call.pc.close();
+  call.stream = null;
+  call.pc = null;
+}
+
+function endLocalCall(callId) {
+  const call = myCalls.get(callId);
+  if (!call) return;
+  clearTimeout(call.stuckTimer);
+  clearTimeout(call.ringingTimer);
+  closeCallMedia(call);
+  call.audio.srcObject = null;
+  call.audio.remove();
+  myCalls.delete(callId);
+  renderCalls();
+}
+
+function renderCalls() {
+  const el = document.getElementById('activeCalls');
+  el.innerHTML = '';
+  for (const call of myCalls.values()) {
+    const row = document.createElement('div');
+    row.className = 'call-controls';
+    row.innerHTML = `
+      <span style="flex: 1;"><strong>${call.phone || call.callId}</strong> (${call.direction}) - ${call.status}</span>
+      <span data-duration="${call.callId}" style="font-size: 14px; color: #6c757d;">${callDuration(call)}</span>
+      <button class="btn-secondary">${call.muted ? 'Unmute' : 'Mute'}</button>
+      <button class="btn-danger">End Call</button>`;
+    const [mute, end] = row.querySelectorAll('button');
+    mute.onclick = () => toggleMute(call.callId);
+    end.onclick = () => endCall(call.callId);
+    el.appendChild(row);
+  }
+
+  if (!myCalls.size && callTimer) {
+    clearInterval(callTimer);
+    callTimer = null;
+  }
 }
 
-function acceptInboundCall() {
-  if (!currentCallId) return;
-  log(`Accepting call ${currentCallId}...`, 'api');
-  showStatus('callStatus', 'Accepting incoming call...', 'info');
-  socket.emit('accept-call', { callId: currentCallId });
-  document.getElementById('inboundCard').style.display = 'none';
+function dropIncoming(callId) {
+  if (incomingCalls.delete(callId)) renderIncoming();
 }
 
-function rejectInboundCall() {
-  if (!currentCallId) return;
-  log(`Rejecting call ${currentCallId}...`, 'api');
-  socket.emit('reject-call', { callId: currentCallId });
-  document.getElementById('inboundCard').style.display = 'none';
-  cleanupCall();
+function renderIncoming() {
+  document.getElementById('inboundCard').style.display = incomingCalls.size ? 'block' : 'none';
+  const el = document.getElementById('inboundInfo');
+  el.innerHTML = '';
+  for (const data of incomingCalls.values()) {
+    const row = document.createElement('div');
+    row.innerHTML =
+      `<div class="status-bar warning">Incoming call from <strong>${data.from}</strong></div>` +
+      (data.context ? `<div class="permission-info">${formatCallContext(data.context)}</div>` : '') +
+      `<div style="display: flex; gap: 10px; margin: 10px 0;">
+        <button class="btn-success">Accept</button>
+        <button class="btn-danger">Reject</button>
+      </div>`;
+    const [accept, reject] = row.querySelectorAll('button');
+    accept.onclick = () => acceptInboundCall(data.callId);
+    reject.onclick = () => rejectInboundCall(data.callId);
+    el.appendChild(row);
+  }
 }
 
 async function resetCalls() {
@@ -457,10 +964,8 @@ async function resetCalls() {
   try {
     const res = await fetch('/api/reset-calls', { method: 'POST' });
     const data = await res.json();
-    if (data.success) {
-      log(`Reset ${data.reset} call(s)`, 'event');
-      cleanupCall();
-    }
+    if (data.success) log(`Reset ${data.reset} call(s)`, 'event');
+    else log(`Reset failed: ${data.error}`, 'error');
   } catch (err) {
     log(`Reset error: ${err.message}`, 'error');
   }
@@ -486,48 +991,472 @@ async function sendMessage() {
       showStatus('msgStatus', 'Message sent!', 'success');
       log(`Message sent to ${phone}`, 'event');
     } else {
-      showStatus('msgStatus', `Error: ${JSON.stringify(data.error)}`, 'error');
+      showStatus('msgStatus', `Error: ${data.error}`, 'error');
     }
   } catch (err) {
     showStatus('msgStatus', `Error: ${err.message}`, 'error');
   }
 }
 
-// ── Helpers ──
+// ── Call History ──
 
-function cleanupCall() {
-  clearTimeout(callStuckTimeout);
-  clearTimeout(ringingTimeout);
-  if (localStream) {
-    localStream.getTracks().forEach(track => track.stop());
-    localStream = null;
+function showTab(name) {
+  document.querySelectorAll('.tab-panel').forEach(panel => {
+    panel.style.display = panel.id === `tab-${name}` ? 'block' : 'none';
+  });
+  document.querySelectorAll('.tab').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.tab === name);
+  });
+  if (name === 'history') {
+    loadHistory(historyPage);
+    loadDeadLetters();
   }
-  if (peerConnection) {
-    peerConnection.close();
-    peerConnection = null;
+  if (name === 'voicemail') loadVoicemails();
+  if (name === 'schedule') loadSchedule();
+  if (name === 'campaigns') loadCampaigns();
+}
+
+function historyQuery() {
+  const params = new URLSearchParams();
+  const filters = {
+    from: document.getElementById('cdrFrom').value,
+    to: document.getElementById('cdrTo').value,
+    phone: document.getElementById('cdrPhone').value.trim(),
+    direction: document.getElementById('cdrDirection').value,
+    status: document.getElementById('cdrStatus').value
+  };
+  for (const [key, value] of Object.entries(filters)) {
+    if (value) params.set(key, value);
   }
-  if (callTimer) {
-    clearInterval(callTimer);
-    callTimer = null;
+  return params;
+}
+
+async function loadHistory(page = 1) {
+  const params = historyQuery();
+  params.set('page', Math.max(page, 1));
+
+  try {
+    const res = await fetch(`/api/cdr?${params}`);
+    const data = await res.json();
+    if (!res.ok) {
+      log(`History error: ${data.error}`, 'error');
+      return;
+    }
+
+    historyPage = data.page;
+    const rows = document.getElementById('cdrRows');
+    rows.innerHTML = data.records.length ? '' : '<tr><td colspan="8">No calls found</td></tr>';
+    for (const r of data.records) {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${new Date(r.createdAt).toLocaleString()}</td>
+        <td>${r.direction}</td>
+        <td>${r.phone || ''}</td>
+        <td>${r.status}</td>
+        <td>${r.endReason || ''}</td>
+        <td>${formatDuration(r.talkSeconds)}</td>
+        <td>${r.duration != null ? formatDuration(r.duration) : ''}</td>
+        <td>${recordingLinks(r)}</td>`;
+      rows.appendChild(tr);
+    }
+
+    const pages = Math.max(Math.ceil(data.total / data.pageSize), 1);
+    document.getElementById('cdrPageInfo').textContent = `Page ${data.page} of ${pages} (${data.total} calls)`;
+    document.getElementById('btnPrevPage').disabled = data.page <= 1;
+    document.getElementById('btnNextPage').disabled = data.page >= pages;
+  } catch (err) {
+    log(`History error: ${err.message}`, 'error');
+  }
+}
+
+function recordingLinks(record) {
+  if (!record.recordingUrl) return '';
+  return Object.keys(record.recording.files)
+    .map(channel => `<a href="${record.recordingUrl}?channel=${channel}" download>${channel === 'mix' ? 'Download' : channel}</a>`)
+    .join(' ');
+}
+
+function exportHistory(format) {
+  const params = historyQuery();
+  params.set('format', format);
+  window.location = `/api/cdr/export?${params}`;
+}
+
+// ── Schedule ──
+
+const DAYS = ['SUNDAY', 'MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY'];
+
+// [{ day, open, close }] -> "Mon-Fri 09:00-17:00; Sat 10:00-14:00"
+function formatHours(hours) {
+  const abbr = day => day.charAt(0) + day.slice(1, 3).toLowerCase();
+  const ranges = [];
+  for (const h of hours || []) {
+    const last = ranges[ranges.length - 1];
+    const consecutive = last && DAYS.indexOf(h.day) === (DAYS.indexOf(last.to) + 1) % 7;
+    if (consecutive && last.open === h.open && last.close === h.close) {
+      last.to = h.day;
+    } else {
+      ranges.push({ from: h.day, to: h.day, open: h.open, close: h.close });
+    }
+  }
+  return ranges
+    .map(r => `${abbr(r.from)}${r.to !== r.from ? `-${abbr(r.to)}` : ''} ${r.open}-${r.close}`)
+    .join('; ');
+}
+
+function formatHolidays(holidays) {
+  return holidays
+    .map(h => (h.start === '00:00' && h.end === '23:59' ? h.date : `${h.date} ${h.start}-${h.end}`))
+    .join(', ');
+}
+
+function renderSchedule(data) {
+  const describe = (status) => (status.open ? 'open' : `closed (${status.note || status.reason})`);
+  showStatus('scheduleStatus',
+    `Inbound: ${describe(data.inbound)} - Outbound: ${describe(data.outbound)}`,
+    data.inbound.open ? 'success' : 'warning');
+
+  const { schedule } = data;
+  document.getElementById('scheduleTimezone').value = schedule.timezone;
+  document.getElementById('scheduleHours').value = formatHours(schedule.weeklyHours);
+  document.getElementById('scheduleOutboundHours').value = formatHours(schedule.outboundHours);
+  document.getElementById('scheduleHolidays').value = formatHolidays(schedule.holidays);
+  document.getElementById('scheduleClosedAction').value = schedule.closedAction;
+  document.getElementById('scheduleClosedMessage').value = schedule.closedMessage;
+
+  const rows = document.getElementById('overrideRows');
+  rows.innerHTML = schedule.overrides.length ? '' : '<tr><td>No overrides</td></tr>';
+  for (const o of schedule.overrides) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td>${new Date(o.from).toLocaleString()} - ${new Date(o.to).toLocaleString()}</td>
+      <td>${o.open ? 'Open' : 'Closed'}</td>
+      <td>${escapeHtml(o.note || '')}</td>
+      <td><button class="btn-secondary needs-admin">Remove</button></td>`;
+    tr.querySelector('button').onclick = () => removeOverride(o.id);
+    rows.appendChild(tr);
+  }
+}
+
+async function loadSchedule() {
+  try {
+    const res = await fetch('/api/schedule');
+    renderSchedule(await res.json());
+  } catch (err) {
+    log(`Schedule error: ${err.message}`, 'error');
+  }
+}
+
+async function postSchedule(url, body, method = 'POST') {
+  const res = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error);
+  return data;
+}
+
+async function saveSchedule() {
+  try {
+    await postSchedule('/api/schedule', {
+      timezone: document.getElementById('scheduleTimezone').value.trim(),
+      weeklyHours: document.getElementById('scheduleHours').value.trim(),
+      outboundHours: document.getElementById('scheduleOutboundHours').value.trim() || null,
+      holidays: document.getElementById('scheduleHolidays').value,
+      closedAction: document.getElementById('scheduleClosedAction').value,
+      closedMessage: document.getElementById('scheduleClosedMessage').value
+    });
+    showStatus('scheduleSaveStatus', 'Schedule saved', 'success');
+  } catch (err) {
+    showStatus('scheduleSaveStatus', `Error: ${err.message}`, 'error');
+  }
+}
+
+async function syncSchedule() {
+  log('Syncing call hours to WhatsApp...', 'api');
+  try {
+    await postSchedule('/api/schedule/sync');
+    showStatus('scheduleSaveStatus', 'Call hours synced to WhatsApp', 'success');
+  } catch (err) {
+    showStatus('scheduleSaveStatus', `Error: ${err.message}`, 'error');
+  }
+}
+
+async function addOverride() {
+  try {
+    await postSchedule('/api/schedule/overrides', {
+      from: document.getElementById('overrideFrom').value,
+      to: document.getElementById('overrideTo').value,
+      open: document.getElementById('overrideOpen').value === 'true',
+      note: document.getElementById('overrideNote').value.trim()
+    });
+  } catch (err) {
+    log(`Override error: ${err.message}`, 'error');
+  }
+}
+
+async function removeOverride(id) {
+  try {
+    await postSchedule(`/api/schedule/overrides/${encodeURIComponent(id)}`, null, 'DELETE');
+  } catch (err) {
+    log(`Override error: ${err.message}`, 'error');
+  }
+}
+
+socket.on('schedule-updated', (data) => {
+  if (document.getElementById('tab-schedule').style.display !== 'none') renderSchedule(data);
+});
+
+// ── Unmatched Webhooks ──
+
+async function loadDeadLetters() {
+  try {
+    const res = await fetch('/api/dead-letters');
+    const data = await res.json();
+
+    const rows = document.getElementById('deadLetterRows');
+    rows.innerHTML = data.deadLetters.length ? '' : '<tr><td colspan="6">None</td></tr>';
+    for (const entry of data.deadLetters) {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${new Date(entry.receivedAt).toLocaleString()}</td>
+        <td>${entry.kind}</td>
+        <td>${entry.callId || '-'}</td>
+        <td>${entry.phone || '-'}</td>
+        <td>${entry.detail || '-'}</td>
+        <td>${entry.reason}</td>`;
+      rows.appendChild(tr);
+    }
+  } catch (err) {
+    log(`Dead letter error: ${err.message}`, 'error');
+  }
+}
+
+async function clearDeadLetters() {
+  try {
+    await fetch('/api/dead-letters', { method: 'DELETE' });
+    loadDeadLetters();
+  } catch (err) {
+    log(`Dead letter error: ${err.message}`, 'error');
+  }
+}
+
+// ── Campaigns ──
+
+let shownCampaign = null;
+
+async function createCampaign(start) {
+  const file = document.getElementById('campaignFile').files[0];
+  if (!file) return showStatus('campaignStatus', 'Choose a CSV file', 'error');
+
+  const body = { name: document.getElementById('campaignName').value.trim(), csv: await file.text(), start };
+  const settings = {
+    maxConcurrent: 'campaignConcurrent',
+    pacingSeconds: 'campaignPacing',
+    maxAttempts: 'campaignAttempts',
+    retryDelayMinutes: 'campaignRetryDelay',
+    callingHours: 'campaignHours',
+    templateName: 'campaignTemplate'
+  };
+  for (const [key, id] of Object.entries(settings)) {
+    const value = document.getElementById(id).value.trim();
+    if (value) body[key] = value;
+  }
+
+  try {
+    const res = await fetch('/api/campaigns', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (!res.ok) return showStatus('campaignStatus', `Error: ${data.error}`, 'error');
+
+    const skipped = data.skipped.length ? `, ${data.skipped.length} row(s) skipped` : '';
+    showStatus('campaignStatus', `Created ${escapeHtml(data.campaign.name)} with ${data.campaign.contacts.length} contact(s)${skipped}`, 'success');
+    document.getElementById('campaignFile').value = '';
+    loadCampaigns();
+    showCampaign(data.campaign.id);
+  } catch (err) {
+    showStatus('campaignStatus', `Error: ${err.message}`, 'error');
   }
+}
+
+function campaignState(campaign) {
+  const waiting = { window: 'outside calling hours', agent: 'waiting for a free agent', capacity: 'all call slots in use' };
+  if (campaign.error) return `${campaign.status} (${campaign.error})`;
+  if (campaign.status === 'running' && campaign.waitingFor) return `running, ${waiting[campaign.waitingFor]}`;
+  return campaign.status;
+}
 
-  currentCallId = null;
-  document.getElementById('callControls').style.display = 'none';
-  document.getElementById('btnCall').disabled = false;
-  document.getElementById('callDuration').textContent = '';
-  document.getElementById('remoteAudio').srcObject = null;
+async function loadCampaigns() {
+  try {
+    const res = await fetch('/api/campaigns');
+    const data = await res.json();
+
+    const rows = document.getElementById('campaignRows');
+    rows.innerHTML = data.campaigns.length ? '' : '<tr><td colspan="7">No campaigns</td></tr>';
+    for (const campaign of data.campaigns) {
+      const counts = Object.entries(campaign.counts).map(([status, n]) => `${status.replace(/_/g, ' ')}: ${n}`).join(', ');
+      const actions = {
+        draft: ['start', 'cancel'],
+        running: ['pause', 'cancel'],
+        paused: ['start', 'cancel']
+      }[campaign.status] || [];
+
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${new Date(campaign.createdAt).toLocaleString()}</td>
+        <td><a href="#"></a></td>
+        <td>${campaignState(campaign)}</td>
+        <td>${campaign.done}/${campaign.total}</td>
+        <td>${counts}</td>
+        <td>${campaign.calls}</td>
+        <td>${actions.map(a => `<button class="btn-secondary needs-admin" data-action="${a}">${a[0].toUpperCase()}${a.slice(1)}</button>`).join(' ')}</td>`;
+      tr.querySelector('a').textContent = campaign.name; // names come from uploads
+      tr.querySelector('a').onclick = (e) => {
+        e.preventDefault();
+        showCampaign(campaign.id);
+      };
+      tr.querySelectorAll('button').forEach(btn => {
+        btn.onclick = () => campaignAction(campaign.id, btn.dataset.action);
+      });
+      rows.appendChild(tr);
+    }
+  } catch (err) {
+    log(`Campaign error: ${err.message}`, 'error');
+  }
 }
 
+async function campaignAction(id, action) {
+  try {
+    const res = await fetch(`/api/campaigns/${encodeURIComponent(id)}/${action}`, { method: 'POST' });
+    const data = await res.json();
+    if (!res.ok) log(`Campaign error: ${data.error}`, 'error');
+  } catch (err) {
+    log(`Campaign error: ${err.message}`, 'error');
+  }
+}
+
+async function showCampaign(id) {
+  try {
+    const res = await fetch(`/api/campaigns/${encodeURIComponent(id)}`);
+    const campaign = await res.json();
+    if (!res.ok) return log(`Campaign error: ${campaign.error}`, 'error');
+    shownCampaign = id;
+
+    document.getElementById('campaignContactsCard').style.display = 'block';
+    document.getElementById('campaignContactsTitle').textContent = `Contacts: ${campaign.name}`;
+    const rows = document.getElementById('campaignContactRows');
+    rows.innerHTML = '';
+    for (const contact of campaign.contacts) {
+      const last = contact.attempts[contact.attempts.length - 1];
+      const next = contact.status === 'ready' && contact.nextAttemptAt ? new Date(contact.nextAttemptAt).toLocaleString() : '-';
+      const status = contact.blockedBy ? `${contact.status} (${contact.blockedBy.replace(/_/g, ' ')})` : contact.status;
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${contact.phone}</td>
+        <td></td>
+        <td title="${escapeHtml(contact.error || '')}">${status.replace(/_/g, ' ')}</td>
+        <td>${contact.attempts.length}/${campaign.settings.maxAttempts}</td>
+        <td>${last?.outcome ? last.outcome.replace(/_/g, ' ') : '-'}</td>
+        <td>${next}</td>`;
+      tr.children[1].textContent = contact.name || '-';
+      rows.appendChild(tr);
+    }
+  } catch (err) {
+    log(`Campaign error: ${err.message}`, 'error');
+  }
+}
+
+// Updates that arrive together are reloaded together
+let campaignReload = null;
+
+socket.on('campaign-updated', (campaign) => {
+  if (['completed', 'cancelled'].includes(campaign.status)) log(`Campaign ${escapeHtml(campaign.name)} ${campaign.status}`, 'info');
+  if (document.getElementById('tab-campaigns').style.display === 'none' || campaignReload) return;
+  campaignReload = setTimeout(() => {
+    campaignReload = null;
+    loadCampaigns();
+    if (shownCampaign) showCampaign(shownCampaign);
+  }, 500);
+});
+
+// ── Voicemail ──
+
+async function loadVoicemails() {
+  const handled = document.getElementById('voicemailFilter').value;
+  try {
+    const res = await fetch(`/api/voicemails${handled ? `?handled=${handled}` : ''}`);
+    const data = await res.json();
+
+    const badge = document.getElementById('voicemailBadge');
+    badge.textContent = data.unhandled;
+    badge.style.display = data.unhandled ? 'inline-block' : 'none';
+
+    const rows = document.getElementById('voicemailRows');
+    rows.innerHTML = data.voicemails.length ? '' : '<tr><td colspan="6">No voicemail</td></tr>';
+    for (const vm of data.voicemails) {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${new Date(vm.createdAt).toLocaleString()}</td>
+        <td>${vm.phone}</td>
+        <td>${vm.reason.replace(/_/g, ' ')}</td>
+        <td>${formatDuration(vm.durationSeconds)}</td>
+        <td><audio controls preload="none" src="${vm.audioUrl}"></audio></td>
+        <td><button class="btn-secondary">${vm.handled ? 'Mark unhandled' : 'Mark handled'}</button></td>`;
+      tr.querySelector('button').onclick = () => markVoicemailHandled(vm.callId, !vm.handled);
+      rows.appendChild(tr);
+    }
+  } catch (err) {
+    log(`Voicemail error: ${err.message}`, 'error');
+  }
+}
+
+async function markVoicemailHandled(callId, handled) {
+  try {
+    const res = await fetch(`/api/voicemails/${encodeURIComponent(callId)}/handled`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ handled })
+    });
+    const data = await res.json();
+    if (!res.ok) log(`Voicemail error: ${data.error}`, 'error');
+  } catch (err) {
+    log(`Voicemail error: ${err.message}`, 'error');
+  }
+}
+
+// ── Helpers ──
+
+function formatDuration(seconds) {
+  const min = String(Math.floor(seconds / 60)).padStart(2, '0');
+  const sec = String(seconds % 60).padStart(2, '0');
+  return `${min}:${sec}`;
+}
+
+function callDuration(call) {
+  return call.connectedAt ? formatDuration(Math.floor((Date.now() - call.connectedAt) / 1000)) : '';
+}
+
+// One timer updates the duration of every connected call
 function startCallTimer() {
-  callStartTime = Date.now();
+  if (callTimer) return;
   callTimer = setInterval(() => {
-    const elapsed = Math.floor((Date.now() - callStartTime) / 1000);
-    const min = String(Math.floor(elapsed / 60)).padStart(2, '0');
-    const sec = String(elapsed % 60).padStart(2, '0');
-    document.getElementById('callDuration').textContent = `${min}:${sec}`;
+    for (const call of myCalls.values()) {
+      const el = document.querySelector(`[data-duration="${call.callId}"]`);
+      if (el) el.textContent = callDuration(call);
+    }
   }, 1000);
 }
 
+// For text from users or uploads that goes into showStatus() or log(), which take HTML
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
 function showStatus(elementId, message, type) {
   const el = document.getElementById(elementId);
   el.innerHTML = `<div class="status-bar ${type}">${message}</div>`;
@@ -547,6 +1476,8 @@ function clearLog() {
   document.getElementById('eventLog').innerHTML = '';
 }
 
+checkSession();
+
 // Auto-populate phone fields from each other
 document.getElementById('permissionPhone').addEventListener('input', (e) => {
   document.getElementById('callPhone').value = e.target.value;
@@ -4,14 +4,45 @@ const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
 
-const { verifyWebhook, validateSignature, handleWebhookEvent } = require('./src/webhookHandler');
+const {
+  verifyWebhook,
+  validateSignature,
+  validateForwardSignature,
+  handleWebhookEvent,
+  handleForwardedEvent,
+  replayWebhookEvent
+} = require('./src/webhookHandler');
+const webhookJournal = require('./src/webhookJournal');
 const whatsappApi = require('./src/whatsappApi');
 const callManager = require('./src/callManager');
+const cdr = require('./src/cdr');
+const recorder = require('./src/recorder');
+const agentManager = require('./src/agentManager');
+const callQueue = require('./src/callQueue');
+const ivr = require('./src/ivr');
+const voicemail = require('./src/voicemail');
+const schedule = require('./src/schedule');
+const permissionLedger = require('./src/permissionLedger');
+const templates = require('./src/templates');
+const webrtcBridge = require('./src/webrtcBridge');
+const deadLetters = require('./src/deadLetters');
+const campaigns = require('./src/campaigns');
+const auth = require('./src/auth');
+const auditLog = require('./src/auditLog');
+const apiKeys = require('./src/apiKeys');
+const publicApi = require('./src/publicApi');
+const outgoingWebhooks = require('./src/outgoingWebhooks');
+const { ValidationError, NotFoundError, ConflictError, sendError } = require('./src/errors');
 
 const app = express();
+// Behind a reverse proxy, req.ip is only the client's address if the proxy is trusted
+if (config.TRUST_PROXY) app.set('trust proxy', config.TRUST_PROXY);
 const server = http.createServer(app);
 const io = new Server(server);
 
+// n8n forwards JSON, JSON strings or text/plain; the signatures cover the text as sent
+app.use('/webhook/forward', express.text({ type: () => true, limit: '1mb' }));
+
 // Raw body capture for signature verification
 app.use(express.json({
   verify: (req, res, buf) => {
@@ -30,138 +61,614 @@ app.post('/webhook', validateSignature, (req, res) => {
   handleWebhookEvent(req, res, callManager, io);
 });
 
-// Forwarded webhook from n8n (no Meta signature - n8n already validated)
-app.post('/webhook/forward', (req, res) => {
-  const field = req.body?.entry?.[0]?.changes?.[0]?.field;
-  console.log(`[Webhook] Forwarded from n8n (field: ${field})`);
-  handleWebhookEvent(req, res, callManager, io);
+// Forwarded webhook from n8n: Meta's signature passed through, or one made with FORWARD_SECRET
+app.post('/webhook/forward', validateForwardSignature, (req, res) => {
+  const fields = req.forwardedBodies.map(body => body.entry?.[0]?.changes?.[0]?.field);
+  console.log(`[Webhook] Forwarded from n8n (field: ${fields.join(', ')})`);
+  handleForwardedEvent(req, res, callManager, io);
+});
+
+// ── Public API (API keys, see src/publicApi.js) ──
+
+app.use('/v1', publicApi.createRouter(io), publicApi.handleError);
+
+// ── Auth ──
+
+app.post('/api/auth/login', (req, res) => {
+  try {
+    const { token, user, expiresAt } = auth.login(req.body?.username, req.body?.password, { ip: req.ip });
+    const secure = req.secure || req.headers['x-forwarded-proto'] === 'https';
+    res.set('Set-Cookie', auth.sessionCookie(token, { secure, expiresAt }));
+    res.json({ success: true, user, token, expiresAt });
+  } catch (err) {
+    sendError(res, err, 'Login');
+  }
+});
+
+// Everything else under /api needs a login. Reads are open to every role; routes that
+// change something name the role they need.
+app.use('/api', auth.requireLogin);
+const agentOnly = auth.requireRole('agent');
+const adminOnly = auth.requireRole('admin');
+
+app.post('/api/auth/logout', async (req, res) => {
+  auth.logout(auth.tokenFromHeaders(req.headers));
+  res.set('Set-Cookie', auth.sessionCookie(null));
+  await auth.recheckSockets(io);
+  res.json({ success: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user });
+});
+
+app.get('/api/users', adminOnly, (req, res) => {
+  res.json({ roles: auth.ROLES, users: auth.listUsers() });
+});
+
+// Body: { username, password, role }
+app.post('/api/users', adminOnly, (req, res) => {
+  try {
+    const user = auth.createUser(req.body || {});
+    auditLog.record(req.user, 'user-create', { username: user.username, role: user.role });
+    res.json({ success: true, user });
+  } catch (err) {
+    sendError(res, err, 'Create user');
+  }
+});
+
+// Body: any of { password, role, disabled }
+app.patch('/api/users/:username', adminOnly, async (req, res) => {
+  try {
+    const { password, role, disabled } = req.body || {};
+    const user = auth.updateUser(req.params.username, { password, role, disabled });
+    auditLog.record(req.user, 'user-update', { username: user.username, role, disabled, passwordChanged: password !== undefined });
+    await auth.recheckSockets(io);
+    res.json({ success: true, user });
+  } catch (err) {
+    sendError(res, err, 'Update user');
+  }
+});
+
+app.delete('/api/users/:username', adminOnly, async (req, res) => {
+  try {
+    auth.deleteUser(req.params.username);
+    auditLog.record(req.user, 'user-delete', { username: req.params.username });
+    await auth.recheckSockets(io);
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err, 'Delete user');
+  }
+});
+
+// Keys for the /v1 API. The key itself is only in the response to the POST.
+app.get('/api/api-keys', adminOnly, (req, res) => {
+  res.json({ scopes: apiKeys.SCOPES, keys: apiKeys.listKeys() });
+});
+
+// Body: { name, scopes: ['calls:read', ...] }
+app.post('/api/api-keys', adminOnly, (req, res) => {
+  try {
+    const { key, apiKey } = apiKeys.createKey(req.body || {}, req.user);
+    auditLog.record(req.user, 'api-key-create', { keyId: apiKey.id, scopes: apiKey.scopes });
+    res.json({ success: true, key, apiKey });
+  } catch (err) {
+    sendError(res, err, 'Create API key');
+  }
+});
+
+app.delete('/api/api-keys/:id', adminOnly, (req, res) => {
+  try {
+    const apiKey = apiKeys.revokeKey(req.params.id);
+    auditLog.record(req.user, 'api-key-revoke', { keyId: apiKey.id });
+    res.json({ success: true, apiKey });
+  } catch (err) {
+    sendError(res, err, 'Revoke API key');
+  }
+});
+
+// Filters: username, action, callId, phone, limit
+app.get('/api/audit', adminOnly, (req, res) => {
+  const { username, action, callId, phone } = req.query;
+  const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 1000);
+  res.json({ entries: auditLog.listEntries({ username, action, callId, phone, limit }) });
 });
 
 // ── API routes ──
 
-app.post('/api/enable-calling', async (req, res) => {
+app.post('/api/enable-calling', adminOnly, async (req, res) => {
   try {
     const result = await whatsappApi.enableCalling();
+    auditLog.record(req.user, 'calling-enable');
     res.json({ success: true, data: result });
   } catch (err) {
-    console.error('[API] Enable calling error:', err.response?.data || err.message);
-    res.status(500).json({ success: false, error: err.response?.data || err.message });
+    sendError(res, err, 'Enable calling');
   }
 });
 
-app.post('/api/disable-calling', async (req, res) => {
+app.post('/api/disable-calling', adminOnly, async (req, res) => {
   try {
     const result = await whatsappApi.disableCalling();
+    auditLog.record(req.user, 'calling-disable');
+    res.json({ success: true, data: result });
+  } catch (err) {
+    sendError(res, err, 'Disable calling');
+  }
+});
+
+app.get('/api/settings', async (req, res) => {
+  try {
+    const settings = await whatsappApi.getCallingSettings();
+    res.json({ success: true, data: settings });
+  } catch (err) {
+    sendError(res, err, 'Get settings');
+  }
+});
+
+// Body: the calling sections to change, e.g. { "call_icon_visibility": "DISABLE_ALL" }
+app.post('/api/settings', adminOnly, async (req, res) => {
+  try {
+    const result = await whatsappApi.updateCallingSettings(req.body);
+    auditLog.record(req.user, 'settings-update', { sections: Object.keys(req.body || {}) });
     res.json({ success: true, data: result });
   } catch (err) {
-    console.error('[API] Disable calling error:', err.response?.data || err.message);
-    res.status(500).json({ success: false, error: err.response?.data || err.message });
+    sendError(res, err, 'Update settings');
+  }
+});
+
+app.get('/api/templates', async (req, res) => {
+  try {
+    const list = await templates.listTemplates({ refresh: req.query.refresh === 'true' });
+    res.json({ success: true, data: list.map(templates.describe) });
+  } catch (err) {
+    sendError(res, err, 'Templates');
   }
 });
 
-app.post('/api/send-permission', async (req, res) => {
+// Body: { phone, templateName, language, components: { header, body, buttons: [{ index, payload }] }, force }
+app.post('/api/send-permission', agentOnly, async (req, res) => {
   try {
-    const { phone, templateName } = req.body;
-    if (!phone) return res.status(400).json({ error: 'phone is required' });
+    const { phone, templateName, language, components, force } = req.body;
+    if (!phone) return sendError(res, new ValidationError('phone is required'));
 
-    const result = await whatsappApi.sendCallPermissionRequest(phone, templateName);
+    // `force` skips the local checks, e.g. when the user messaged before the ledger existed
+    const result = await auditLog.track(req.user, 'permission-request', { phone, templateName, force: Boolean(force) },
+      () => callManager.requestPermission(phone, { templateName, language, components, force }, io));
     res.json({ success: true, data: result });
   } catch (err) {
-    console.error('[API] Send permission error:', err.response?.data || err.message);
-    res.status(500).json({ success: false, error: err.response?.data || err.message });
+    sendError(res, err, 'Send permission');
   }
 });
 
-app.post('/api/initiate-call', async (req, res) => {
+app.post('/api/initiate-call', agentOnly, async (req, res) => {
   try {
     const { phone } = req.body;
-    if (!phone) return res.status(400).json({ error: 'phone is required' });
+    if (!phone) return sendError(res, new ValidationError('phone is required'));
 
-    // Pick the first connected socket so SDP request goes to one client only
-    const sockets = await io.fetchSockets();
-    const socket = sockets[0] || null;
-    const result = await callManager.startOutboundCall(phone, io, socket);
+    schedule.checkOutboundOpen();
+    const socket = await callManager.dialingSocket(io, req.body.socketId);
+    const result = await auditLog.track(req.user, 'call-start', { phone },
+      () => callManager.startOutboundCall(phone, io, socket));
     res.json({ success: true, data: result });
   } catch (err) {
-    console.error('[API] Initiate call error:', err.response?.data || err.message);
-    res.status(500).json({ success: false, error: err.response?.data || err.message });
+    sendError(res, err, 'Initiate call');
   }
 });
 
-app.post('/api/accept-call', async (req, res) => {
+// Outbound campaigns. A CSV can be posted as JSON ({ name, csv, ...settings }) or as the raw
+// body (Content-Type: text/csv) with the name and settings in the query string.
+app.get('/api/campaigns', (req, res) => {
+  res.json({ campaigns: campaigns.listCampaigns() });
+});
+
+app.post('/api/campaigns', adminOnly, express.text({ type: 'text/csv', limit: '5mb' }), (req, res) => {
+  try {
+    const input = typeof req.body === 'string' ? { ...req.query, csv: req.body } : req.body;
+    const { campaign, skipped } = campaigns.createCampaign(input || {}, io);
+    auditLog.record(req.user, 'campaign-create', { campaignId: campaign.id, name: campaign.name });
+    res.json({ success: true, campaign, skipped });
+  } catch (err) {
+    sendError(res, err, 'Create campaign');
+  }
+});
+
+app.get('/api/campaigns/:id', (req, res) => {
+  try {
+    res.json(campaigns.getCampaign(req.params.id));
+  } catch (err) {
+    sendError(res, err, 'Get campaign');
+  }
+});
+
+for (const action of ['start', 'pause', 'cancel']) {
+  app.post(`/api/campaigns/:id/${action}`, adminOnly, (req, res) => {
+    try {
+      const campaign = campaigns[`${action}Campaign`](req.params.id, io);
+      auditLog.record(req.user, `campaign-${action}`, { campaignId: campaign.id });
+      res.json({ success: true, campaign: campaigns.summarize(campaign) });
+    } catch (err) {
+      sendError(res, err, `Campaign ${action}`);
+    }
+  });
+}
+
+app.post('/api/accept-call', agentOnly, async (req, res) => {
   try {
     const { callId } = req.body;
-    if (!callId) return res.status(400).json({ error: 'callId is required' });
+    if (!callId) return sendError(res, new ValidationError('callId is required'));
 
-    await callManager.acceptInboundCall(callId, io);
+    await auditLog.track(req.user, 'call-accept', { callId }, () => callManager.acceptInboundCall(callId, io));
     res.json({ success: true });
   } catch (err) {
-    console.error('[API] Accept call error:', err.response?.data || err.message);
-    res.status(500).json({ success: false, error: err.response?.data || err.message });
+    sendError(res, err, 'Accept call');
   }
 });
 
-app.post('/api/reject-call', async (req, res) => {
+app.post('/api/reject-call', agentOnly, async (req, res) => {
   try {
     const { callId } = req.body;
-    if (!callId) return res.status(400).json({ error: 'callId is required' });
+    if (!callId) return sendError(res, new ValidationError('callId is required'));
 
-    await callManager.rejectInboundCall(callId, io);
+    await auditLog.track(req.user, 'call-reject', { callId }, () => callManager.rejectInboundCall(callId, io));
     res.json({ success: true });
   } catch (err) {
-    console.error('[API] Reject call error:', err.response?.data || err.message);
-    res.status(500).json({ success: false, error: err.response?.data || err.message });
+    sendError(res, err, 'Reject call');
   }
 });
 
-app.post('/api/end-call', async (req, res) => {
+app.post('/api/end-call', agentOnly, async (req, res) => {
   try {
     const { callId } = req.body;
-    if (!callId) return res.status(400).json({ error: 'callId is required' });
+    if (!callId) return sendError(res, new ValidationError('callId is required'));
 
-    await callManager.endCall(callId, io);
+    await auditLog.track(req.user, 'call-end', { callId }, () => callManager.endCall(callId, io));
     res.json({ success: true });
   } catch (err) {
-    console.error('[API] End call error:', err.response?.data || err.message);
-    res.status(500).json({ success: false, error: err.response?.data || err.message });
+    sendError(res, err, 'End call');
   }
 });
 
-app.get('/api/permission-status/:phone', (req, res) => {
-  const status = callManager.getPermissionStatus(req.params.phone);
-  res.json(status);
+app.get('/api/permissions/:phone/history', (req, res) => {
+  res.json(permissionLedger.getTimeline(req.params.phone));
+});
+
+// ?refresh=true bypasses the cached answer from Meta
+app.get('/api/permission-status/:phone', async (req, res) => {
+  try {
+    const status = await callManager.getPermissionStatus(req.params.phone, { refresh: req.query.refresh === 'true' });
+    res.json(status);
+  } catch (err) {
+    sendError(res, err, 'Permission status');
+  }
 });
 
 app.get('/api/calls', (req, res) => {
   res.json(callManager.getAllCalls());
 });
 
-app.post('/api/reset-calls', (req, res) => {
+app.get('/api/calls/:callId/history', (req, res) => {
+  const history = callManager.getCallHistory(req.params.callId);
+  if (!history) return sendError(res, new NotFoundError('Call not found'));
+  res.json({ callId: req.params.callId, history });
+});
+
+app.get('/api/calls/:callId/recording', (req, res) => {
+  const { callId } = req.params;
+  const recording = recorder.getRecording(callId);
+  if (!recording) return sendError(res, new NotFoundError('No recording for this call'));
+  if (recorder.isRecording(callId)) return sendError(res, new ConflictError('Recording still in progress'));
+
+  // stereo recordings have a single "mix" file, separate ones a "caller" and an "agent" file
+  const channel = String(req.query.channel || Object.keys(recording.files)[0]);
+  const file = Object.hasOwn(recording.files, channel) && recording.files[channel];
+  if (!file) return sendError(res, new ValidationError(`Unknown channel: ${channel}`, { details: { channels: Object.keys(recording.files) } }));
+
+  res.download(path.resolve(file));
+});
+
+// ── Call detail records ──
+
+app.get('/api/cdr', (req, res) => {
+  try {
+    res.json(cdr.queryCdr(req.query));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.get('/api/cdr/export', (req, res) => {
+  try {
+    const records = cdr.filterCdr(req.query);
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (req.query.format === 'json') {
+      res.attachment(`calls-${stamp}.json`);
+      return res.json(records);
+    }
+
+    res.attachment(`calls-${stamp}.csv`);
+    res.type('text/csv').send(cdr.toCsv(records));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.get('/api/cdr/:callId', (req, res) => {
+  const record = cdr.getCdr(req.params.callId);
+  if (!record) return sendError(res, new NotFoundError('Call record not found'));
+  res.json(record);
+});
+
+// Call webhooks that matched no call
+app.get('/api/dead-letters', (req, res) => {
+  res.json({ deadLetters: deadLetters.listDeadLetters() });
+});
+
+app.delete('/api/dead-letters', adminOnly, (req, res) => {
+  deadLetters.clearDeadLetters();
+  auditLog.record(req.user, 'dead-letters-clear');
+  res.json({ success: true });
+});
+
+// Journal of inbound webhooks: list, inspect, replay, and import from another instance
+app.get('/api/webhook-events', adminOnly, (req, res) => {
+  const { source, outcome, field } = req.query;
+  const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 500);
+  res.json({ events: webhookJournal.listEvents({ source, outcome, field, limit }) });
+});
+
+app.get('/api/webhook-events/:id', adminOnly, (req, res) => {
+  const event = webhookJournal.getEvent(req.params.id);
+  if (!event) return sendError(res, new NotFoundError('Webhook event not found', { eventId: req.params.id }));
+  res.json(event);
+});
+
+app.post('/api/webhook-events/:id/replay', adminOnly, async (req, res) => {
+  try {
+    // Duplicates run again unless the caller asks for the live dedup behaviour
+    const event = await auditLog.track(req.user, 'webhook-replay', { eventId: req.params.id },
+      () => replayWebhookEvent(req.params.id, callManager, io, { dedupe: req.body?.dedupe === true }));
+    res.json(webhookJournal.summarize(event));
+  } catch (err) {
+    sendError(res, err, 'Webhook replay');
+  }
+});
+
+app.post('/api/webhook-events/import', adminOnly, (req, res) => {
+  try {
+    const events = webhookJournal.importEvents(req.body?.events);
+    auditLog.record(req.user, 'webhook-import', { eventIds: events.map(e => e.id) });
+    res.json({ events: events.map(webhookJournal.summarize) });
+  } catch (err) {
+    sendError(res, err, 'Webhook import');
+  }
+});
+
+// Outgoing webhooks: subscriptions to call and permission events, and their delivery log.
+// A subscription's secret is only in the response that creates or rotates it.
+app.get('/api/outgoing-webhooks', adminOnly, (req, res) => {
+  res.json({ events: outgoingWebhooks.EVENTS, subscriptions: outgoingWebhooks.listSubscriptions() });
+});
+
+// Body: { name, url, events: ['call-ended', ...] or ['*'], secret }
+app.post('/api/outgoing-webhooks', adminOnly, (req, res) => {
+  try {
+    const result = outgoingWebhooks.createSubscription(req.body || {}, req.user);
+    auditLog.record(req.user, 'outgoing-webhook-create', { subscriptionId: result.subscription.id, url: result.subscription.url });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    sendError(res, err, 'Create outgoing webhook');
+  }
+});
+
+// Body: any of { name, url, events, enabled, rotateSecret }
+app.patch('/api/outgoing-webhooks/:id', adminOnly, (req, res) => {
+  try {
+    const result = outgoingWebhooks.updateSubscription(req.params.id, req.body || {});
+    auditLog.record(req.user, 'outgoing-webhook-update', { subscriptionId: req.params.id });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    sendError(res, err, 'Update outgoing webhook');
+  }
+});
+
+app.delete('/api/outgoing-webhooks/:id', adminOnly, (req, res) => {
+  try {
+    outgoingWebhooks.deleteSubscription(req.params.id);
+    auditLog.record(req.user, 'outgoing-webhook-delete', { subscriptionId: req.params.id });
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err, 'Delete outgoing webhook');
+  }
+});
+
+app.post('/api/outgoing-webhooks/:id/ping', adminOnly, (req, res) => {
+  try {
+    res.json({ success: true, delivery: outgoingWebhooks.ping(req.params.id) });
+  } catch (err) {
+    sendError(res, err, 'Ping outgoing webhook');
+  }
+});
+
+// Filters: subscriptionId, status (pending, delivered, failed, cancelled), event, limit
+app.get('/api/outgoing-webhooks/deliveries', adminOnly, (req, res) => {
+  const { subscriptionId, status, event } = req.query;
+  const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 500);
+  res.json({ deliveries: outgoingWebhooks.listDeliveries({ subscriptionId, status, event, limit }) });
+});
+
+app.get('/api/outgoing-webhooks/deliveries/:id', adminOnly, (req, res) => {
+  try {
+    res.json(outgoingWebhooks.getDelivery(req.params.id));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.post('/api/outgoing-webhooks/deliveries/:id/redeliver', adminOnly, (req, res) => {
+  try {
+    const delivery = outgoingWebhooks.redeliver(req.params.id);
+    auditLog.record(req.user, 'outgoing-webhook-redeliver', { deliveryId: req.params.id });
+    res.json({ success: true, delivery });
+  } catch (err) {
+    sendError(res, err, 'Redeliver webhook');
+  }
+});
+
+app.get('/api/agents', (req, res) => {
+  res.json({ strategy: config.ROUTING_STRATEGY, agents: agentManager.getAgents() });
+});
+
+app.get('/api/queue', (req, res) => {
+  res.json({ enabled: callQueue.isEnabled(), ...callQueue.getStats() });
+});
+
+function scheduleStatus() {
+  return {
+    schedule: schedule.getSchedule(),
+    inbound: schedule.getStatus('inbound'),
+    outbound: schedule.getStatus('outbound')
+  };
+}
+
+app.get('/api/schedule', (req, res) => {
+  res.json(scheduleStatus());
+});
+
+app.post('/api/schedule', adminOnly, (req, res) => {
+  try {
+    schedule.updateSchedule(req.body || {});
+  } catch (err) {
+    return sendError(res, err);
+  }
+  auditLog.record(req.user, 'schedule-update');
+  io.emit('schedule-updated', scheduleStatus());
+  res.json({ success: true, ...scheduleStatus() });
+});
+
+app.post('/api/schedule/overrides', adminOnly, (req, res) => {
+  let override;
+  try {
+    override = schedule.addOverride(req.body || {});
+  } catch (err) {
+    return sendError(res, err);
+  }
+  auditLog.record(req.user, 'schedule-override-add', { overrideId: override.id });
+  io.emit('schedule-updated', scheduleStatus());
+  res.json({ success: true, override });
+});
+
+app.delete('/api/schedule/overrides/:id', adminOnly, (req, res) => {
+  if (!schedule.removeOverride(req.params.id)) return sendError(res, new NotFoundError('Override not found'));
+  auditLog.record(req.user, 'schedule-override-remove', { overrideId: req.params.id });
+  io.emit('schedule-updated', scheduleStatus());
+  res.json({ success: true });
+});
+
+// Publish the weekly hours and holidays to Meta so WhatsApp shows callers when we're open
+app.post('/api/schedule/sync', adminOnly, async (req, res) => {
+  try {
+    const result = await whatsappApi.updateCallingSettings({ call_hours: schedule.toCallHours() });
+    auditLog.record(req.user, 'schedule-sync');
+    res.json({ success: true, data: result });
+  } catch (err) {
+    sendError(res, err, 'Sync call hours');
+  }
+});
+
+app.get('/api/voicemails', (req, res) => {
+  // ?handled=false for the unhandled inbox
+  const handled = req.query.handled === undefined ? undefined : req.query.handled === 'true';
+  const voicemails = voicemail.listVoicemails({ handled });
+  res.json({
+    enabled: voicemail.isEnabled(),
+    unhandled: voicemail.listVoicemails({ handled: false }).length,
+    voicemails: voicemails.map(vm => ({ ...vm, audioUrl: `/api/voicemails/${encodeURIComponent(vm.callId)}/audio` }))
+  });
+});
+
+app.get('/api/voicemails/:callId/audio', (req, res) => {
+  const vm = voicemail.getVoicemail(req.params.callId);
+  if (!vm) return sendError(res, new NotFoundError('Voicemail not found'));
+  res.sendFile(path.resolve(vm.file));
+});
+
+app.post('/api/voicemails/:callId/handled', agentOnly, (req, res) => {
+  const vm = voicemail.setHandled(req.params.callId, req.body.handled !== false);
+  if (!vm) return sendError(res, new NotFoundError('Voicemail not found'));
+  auditLog.record(req.user, 'voicemail-handled', { callId: vm.callId, handled: vm.handled });
+  io.emit('voicemail-updated', vm);
+  res.json({ success: true, voicemail: vm });
+});
+
+app.post('/api/reset-calls', adminOnly, (req, res) => {
   const count = callManager.resetCalls(io);
+  auditLog.record(req.user, 'calls-reset', { count });
   res.json({ success: true, reset: count });
 });
 
-app.post('/api/send-message', async (req, res) => {
+app.post('/api/send-message', agentOnly, async (req, res) => {
   try {
     const { phone, message } = req.body;
-    if (!phone || !message) return res.status(400).json({ error: 'phone and message are required' });
+    if (!phone || !message) return sendError(res, new ValidationError('phone and message are required'));
 
-    const result = await whatsappApi.sendTextMessage(phone, message);
+    const result = await auditLog.track(req.user, 'message-send', { phone }, () => whatsappApi.sendTextMessage(phone, message));
     res.json({ success: true, data: result });
   } catch (err) {
-    console.error('[API] Send message error:', err.response?.data || err.message);
-    res.status(500).json({ success: false, error: err.response?.data || err.message });
+    sendError(res, err, 'Send message');
   }
 });
 
 // ── Socket.IO ──
 
+// The handshake carries the session cookie (or `auth: { token }`), see auth.socketAuth
+io.use(auth.socketAuth);
+
+// Answers the socket with an error when its user lacks the role
+function allowed(socket, role) {
+  if (auth.hasRole(socket.data.user, role)) return true;
+  socket.emit('error', { message: `This needs the ${role} role (you are ${socket.data.user?.role})` });
+  return false;
+}
+
 io.on('connection', (socket) => {
-  console.log('[Socket.IO] Client connected:', socket.id);
+  console.log(`[Socket.IO] Client connected: ${socket.id} (${socket.data.user.username})`);
+
+  socket.emit('agents-updated', agentManager.getAgents());
+  if (callQueue.isEnabled()) socket.emit('queue-updated', callQueue.getStats());
+
+  // Without agents every dashboard may answer, so show calls that are still ringing
+  if (!agentManager.hasAgents()) {
+    for (const call of callManager.getAllCalls()) {
+      if (call.direction === 'inbound' && call.status === 'incoming') {
+        socket.emit('call-incoming', { callId: call.callId, from: call.phone, timestamp: call.createdAt });
+      }
+    }
+  }
+
+  socket.on('agent-login', (data) => {
+    if (!allowed(socket, 'agent')) return;
+    const agent = agentManager.login(socket.id, data?.name || socket.data.user.username, io, { maxCalls: data?.maxCalls });
+    socket.emit('agent-logged-in', agent);
+  });
+
+  socket.on('agent-logout', () => {
+    agentManager.logout(socket.id, io);
+  });
+
+  socket.on('agent-status', (data) => {
+    if (!allowed(socket, 'agent')) return;
+    try {
+      agentManager.setStatus(socket.id, data.status, io);
+    } catch (err) {
+      socket.emit('error', { message: err.message });
+    }
+  });
 
   socket.on('browser-offer', async (data) => {
+    if (!allowed(socket, 'agent')) return;
     try {
-      await callManager.handleBrowserSdpOffer(data.callId, data.sdp, io);
+      await callManager.handleBrowserSdpOffer(data.callId, data.sdp, io, socket);
     } catch (err) {
       console.error('[Socket.IO] browser-offer error:', err.message);
       socket.emit('error', { message: err.message });
@@ -169,6 +676,7 @@ io.on('connection', (socket) => {
   });
 
   socket.on('browser-answer', async (data) => {
+    if (!allowed(socket, 'agent')) return;
     try {
       await callManager.handleBrowserSdpAnswer(data.callId, data.sdp, io);
     } catch (err) {
@@ -178,17 +686,21 @@ io.on('connection', (socket) => {
   });
 
   socket.on('accept-call', async (data) => {
+    if (!allowed(socket, 'agent')) return;
     try {
-      await callManager.acceptInboundCall(data.callId, io, socket);
+      await auditLog.track(socket.data.user, 'call-accept', { callId: data.callId },
+        () => callManager.acceptInboundCall(data.callId, io, socket));
     } catch (err) {
       console.error('[Socket.IO] accept-call error:', err.message);
-      socket.emit('error', { message: err.message });
+      socket.emit('error', { message: err.message, callId: data.callId });
     }
   });
 
   socket.on('reject-call', async (data) => {
+    if (!allowed(socket, 'agent')) return;
     try {
-      await callManager.rejectInboundCall(data.callId, io);
+      await auditLog.track(socket.data.user, 'call-reject', { callId: data.callId },
+        () => callManager.rejectInboundCall(data.callId, io, socket));
     } catch (err) {
       console.error('[Socket.IO] reject-call error:', err.message);
       socket.emit('error', { message: err.message });
@@ -196,8 +708,9 @@ io.on('connection', (socket) => {
   });
 
   socket.on('end-call', async (data) => {
+    if (!allowed(socket, 'agent')) return;
     try {
-      await callManager.endCall(data.callId, io);
+      await auditLog.track(socket.data.user, 'call-end', { callId: data.callId }, () => callManager.endCall(data.callId, io));
     } catch (err) {
       console.error('[Socket.IO] end-call error:', err.message);
       socket.emit('error', { message: err.message });
@@ -206,16 +719,42 @@ io.on('connection', (socket) => {
 
   // For browser-only mode: manually grant permission (testing)
   socket.on('grant-permission', (data) => {
+    if (!allowed(socket, 'admin')) return;
     callManager.handlePermissionGranted(data.phone, io);
+    auditLog.record(socket.data.user, 'permission-grant', { phone: data.phone });
   });
 
   socket.on('disconnect', () => {
     console.log('[Socket.IO] Client disconnected:', socket.id);
+    agentManager.logout(socket.id, io);
   });
 });
 
 // ── Start ──
 
+if (ivr.isEnabled()) {
+  try {
+    ivr.getFlow();
+  } catch (err) {
+    console.error(`[Startup] Failed to load IVR flow ${config.IVR_FLOW}: ${err.message}`);
+  }
+}
+
+auth.ensureAdmin();
+outgoingWebhooks.start();
+
+try {
+  schedule.getSchedule();
+} catch (err) {
+  console.error(`[Startup] Invalid business hours settings: ${err.message}`);
+}
+
+callManager.restore(io)
+  .catch(err => {
+    console.error('[Startup] Failed to restore call state:', err.message);
+  })
+  .then(() => campaigns.start(io));
+
 server.listen(config.PORT, () => {
   console.log(`\n${'='.repeat(50)}`);
   console.log(`WhatsApp Calling Demo Server`);
@@ -224,6 +763,9 @@ server.listen(config.PORT, () => {
   console.log(`Webhook:   https://<your-domain>/webhook`);
   console.log(`Phone ID:  ${config.PHONE_NUMBER_ID}`);
   console.log(`API Ver:   ${config.GRAPH_API_VERSION}`);
-  console.log(`WebRTC:    ${require('./src/webrtcBridge').isAvailable() ? 'Server-side (Node.js)' : 'Browser-only mode'}`);
+  console.log(`Routing:   ${config.ROUTING_STRATEGY} (${config.AGENT_OFFER_TIMEOUT}s offer timeout)`);
+  console.log(`IVR:       ${ivr.isEnabled() ? config.IVR_FLOW : 'off'}`);
+  console.log(`Voicemail: ${voicemail.isEnabled() ? `on (${config.VOICEMAIL_RING_TIMEOUT}s ring timeout)` : 'off'}`);
+  console.log(`WebRTC:    ${webrtcBridge.isAvailable() ? 'Server-side (Node.js)' : 'Browser-only mode'}`);
   console.log(`${'='.repeat(50)}\n`);
 });
@@ -0,0 +1,299 @@
+const config = require('./config');
+const { ValidationError, ForbiddenError } = require('./errors');
+
+// Agents are logged-in dashboard sockets. Inbound calls are offered to them according
+// to ROUTING_STRATEGY instead of being broadcast to every connected browser. An agent
+// can be on several calls (up to maxCalls) and is busy once it is on that many.
+const AGENT_STATUSES = ['available', 'busy', 'away'];
+const STRATEGIES = ['round-robin', 'longest-idle', 'ring-all'];
+const NAME_MAX = 40;
+
+const agents = new Map(); // socketId -> Agent
+const offers = new Map(); // callId -> { call, offeredTo: Set<socketId>, tried: Set<socketId>, timer }
+let roundRobinCursor = 0;
+
+function publicAgent(agent) {
+  return {
+    socketId: agent.socketId,
+    name: agent.name,
+    status: agent.status,
+    callIds: [...agent.callIds],
+    maxCalls: agent.maxCalls,
+    loggedInAt: agent.loggedInAt,
+    idleSince: agent.status === 'available' ? agent.idleSince : null
+  };
+}
+
+function getAgents() {
+  return Array.from(agents.values()).map(publicAgent);
+}
+
+function getAgent(socketId) {
+  return agents.get(socketId) || null;
+}
+
+// How many calls this socket may be on at once; dashboards that aren't agents get the default
+function maxCallsFor(socketId) {
+  return agents.get(socketId)?.maxCalls ?? config.AGENT_MAX_CALLS;
+}
+
+function hasAgents() {
+  return agents.size > 0;
+}
+
+function hasAvailableAgent() {
+  return availableAgents().length > 0;
+}
+
+function broadcastAgents(io) {
+  io.emit('agents-updated', getAgents());
+}
+
+function login(socketId, name, io, { maxCalls } = {}) {
+  const existing = agents.get(socketId);
+  const agent = existing || {
+    socketId,
+    status: 'available',
+    callIds: new Set(),
+    loggedInAt: new Date(),
+    idleSince: new Date()
+  };
+  agent.name = String(name || '').trim().slice(0, NAME_MAX) || `Agent ${agents.size + 1}`;
+  const limit = parseInt(maxCalls, 10);
+  agent.maxCalls = limit > 0 ? limit : config.AGENT_MAX_CALLS;
+  agents.set(socketId, agent);
+
+  console.log(`[Agents] ${agent.name} logged in (${socketId})`);
+  broadcastAgents(io);
+  routeWaitingCalls(io);
+  return publicAgent(agent);
+}
+
+function logout(socketId, io) {
+  const agent = agents.get(socketId);
+  if (!agent) return;
+  agents.delete(socketId);
+  console.log(`[Agents] ${agent.name} logged out`);
+
+  passOffers(socketId, io);
+  broadcastAgents(io);
+}
+
+// Move any call currently offered to this agent on to someone else
+function passOffers(socketId, io) {
+  for (const offer of offers.values()) {
+    if (offer.offeredTo.delete(socketId)) {
+      io.to(socketId).emit('call-offer-cancelled', { callId: offer.call.callId });
+      if (offer.offeredTo.size === 0) {
+        clearTimeout(offer.timer);
+        offerNext(offer, io);
+      }
+    }
+  }
+}
+
+function setStatus(socketId, status, io) {
+  const agent = agents.get(socketId);
+  if (!agent) throw new ForbiddenError('Not logged in as an agent');
+  if (!AGENT_STATUSES.includes(status)) {
+    throw new ValidationError(`Invalid agent status: ${status} (expected ${AGENT_STATUSES.join(', ')})`);
+  }
+
+  if (status === 'available' && agent.status !== 'available') agent.idleSince = new Date();
+  agent.status = status;
+  console.log(`[Agents] ${agent.name} is ${status}`);
+
+  broadcastAgents(io);
+  if (status === 'available') {
+    routeWaitingCalls(io);
+  } else {
+    passOffers(socketId, io);
+  }
+}
+
+// Agents that may be offered another call: available and below their own maxCalls
+function availableAgents(exclude = new Set()) {
+  return Array.from(agents.values())
+    .filter(a => a.status === 'available' && a.callIds.size < a.maxCalls && !exclude.has(a.socketId));
+}
+
+function pickAgents(candidates) {
+  if (!candidates.length) return [];
+
+  switch (config.ROUTING_STRATEGY) {
+    case 'ring-all':
+      return candidates;
+    case 'round-robin': {
+      const agent = candidates[roundRobinCursor % candidates.length];
+      roundRobinCursor++;
+      return [agent];
+    }
+    case 'longest-idle':
+    default:
+      return [candidates.reduce((a, b) => (new Date(a.idleSince) <= new Date(b.idleSince) ? a : b))];
+  }
+}
+
+function offerNext(offer, io) {
+  if (!agents.size) {
+    // Nobody logged in as an agent: every open dashboard may answer
+    io.emit('call-incoming', {
+      callId: offer.call.callId,
+      from: offer.call.from,
+      timestamp: offer.call.timestamp,
+      context: offer.call.context
+    });
+    return true;
+  }
+
+  let candidates = availableAgents(offer.tried);
+  if (!candidates.length && availableAgents().length) {
+    // Everyone available has had a go - start another round
+    offer.tried.clear();
+    candidates = availableAgents();
+  }
+
+  const picked = pickAgents(candidates);
+  if (!picked.length) {
+    console.log(`[Agents] No agent available for call ${offer.call.callId}, waiting`);
+    io.emit('call-waiting', { callId: offer.call.callId, from: offer.call.from });
+    return false;
+  }
+
+  for (const agent of picked) {
+    offer.offeredTo.add(agent.socketId);
+    offer.tried.add(agent.socketId);
+    io.to(agent.socketId).emit('call-incoming', {
+      callId: offer.call.callId,
+      from: offer.call.from,
+      timestamp: offer.call.timestamp,
+      context: offer.call.context,
+      offerTimeout: config.AGENT_OFFER_TIMEOUT
+    });
+  }
+  console.log(`[Agents] Call ${offer.call.callId} offered to ${picked.map(a => a.name).join(', ')}`);
+
+  offer.timer = setTimeout(() => {
+    console.log(`[Agents] Offer for call ${offer.call.callId} timed out after ${config.AGENT_OFFER_TIMEOUT}s`);
+    withdrawOffer(offer, io);
+    offerNext(offer, io);
+  }, config.AGENT_OFFER_TIMEOUT * 1000);
+  return true;
+}
+
+function withdrawOffer(offer, io, exceptSocketId = null) {
+  clearTimeout(offer.timer);
+  offer.timer = null;
+  for (const socketId of offer.offeredTo) {
+    if (socketId !== exceptSocketId) {
+      io.to(socketId).emit('call-offer-cancelled', { callId: offer.call.callId });
+    }
+  }
+  offer.offeredTo.clear();
+}
+
+// Entry point for a new inbound call
+function offerCall(call, io) {
+  const offer = { call, offeredTo: new Set(), tried: new Set(), timer: null };
+  offers.set(call.callId, offer);
+  return offerNext(offer, io);
+}
+
+function routeWaitingCalls(io) {
+  for (const offer of offers.values()) {
+    if (offer.offeredTo.size === 0 && availableAgents().length) {
+      clearTimeout(offer.timer);
+      offerNext(offer, io);
+    }
+  }
+}
+
+function isRouted(callId) {
+  return offers.has(callId);
+}
+
+// Agent accepted: the call is theirs, everyone else's offer is withdrawn
+function claimCall(callId, socketId, io) {
+  const offer = offers.get(callId);
+  if (offer && agents.size && !offer.offeredTo.has(socketId)) {
+    throw new ForbiddenError('This call is not offered to you');
+  }
+  if (!offer) {
+    assignCall(socketId, callId, io);
+    return;
+  }
+
+  withdrawOffer(offer, io, socketId);
+  offers.delete(callId);
+  assignCall(socketId, callId, io);
+}
+
+// Agent declined: try the next agent. Returns false when nobody else can take it.
+function declineOffer(callId, socketId, io) {
+  const offer = offers.get(callId);
+  if (!offer || !agents.size) return false;
+  if (!offer.offeredTo.has(socketId)) {
+    throw new ForbiddenError('This call is not offered to you');
+  }
+
+  offer.offeredTo.delete(socketId);
+  if (offer.offeredTo.size > 0) return true; // ring-all: others are still ringing
+
+  clearTimeout(offer.timer);
+  const others = availableAgents(offer.tried);
+  if (!others.length) return false;
+  return offerNext(offer, io);
+}
+
+function assignCall(socketId, callId, io) {
+  const agent = agents.get(socketId);
+  if (!agent) return;
+  agent.callIds.add(callId);
+  agent.idleSince = new Date(); // longest-idle prefers agents not on a call
+  if (agent.callIds.size >= agent.maxCalls) agent.status = 'busy';
+  broadcastAgents(io);
+}
+
+// Call ended (or was answered elsewhere): cancel pending offers and free the agent
+function releaseCall(callId, io) {
+  const offer = offers.get(callId);
+  if (offer) {
+    withdrawOffer(offer, io);
+    offers.delete(callId);
+  }
+
+  let changed = false;
+  for (const agent of agents.values()) {
+    if (agent.callIds.delete(callId)) {
+      if (agent.status === 'busy' && agent.callIds.size < agent.maxCalls) {
+        agent.status = 'available';
+        if (!agent.callIds.size) agent.idleSince = new Date();
+      }
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    broadcastAgents(io);
+    routeWaitingCalls(io);
+  }
+}
+
+module.exports = {
+  AGENT_STATUSES,
+  STRATEGIES,
+  getAgents,
+  getAgent,
+  maxCallsFor,
+  hasAgents,
+  hasAvailableAgent,
+  login,
+  logout,
+  setStatus,
+  offerCall,
+  isRouted,
+  claimCall,
+  declineOffer,
+  assignCall,
+  releaseCall
+};
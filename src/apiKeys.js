@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const store = require('./store');
+const { ValidationError, UnauthorizedError, ForbiddenError, NotFoundError } = require('./errors');
+
+// Keys for the public /v1 API (src/publicApi.js). A key is shown once when it is created;
+// only its SHA-256 is stored. Each key carries the scopes it may use.
+const SCOPES = {
+  'calls:read': 'List and read calls and their outcomes',
+  'calls:write': 'Start and end calls',
+  'permissions:read': 'Read call permission status',
+  'permissions:write': 'Send call permission requests',
+  'messages:write': 'Send text messages'
+};
+const PREFIX = 'wck_';
+
+const keyStore = store.collection('api_keys'); // id -> ApiKey
+const LAST_USED_EVERY_MS = 60 * 1000; // lastUsedAt is written at most this often per key
+let idsByHash = null; // hash -> key id, so a request doesn't scan every key
+
+function keyIdFor(hash) {
+  if (!idsByHash) idsByHash = new Map(keyStore.all().map(k => [k.hash, k.id]));
+  return idsByHash.get(hash);
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function publicKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    scopes: apiKey.scopes,
+    hint: apiKey.hint,
+    createdAt: apiKey.createdAt,
+    createdBy: apiKey.createdBy,
+    lastUsedAt: apiKey.lastUsedAt || null,
+    revokedAt: apiKey.revokedAt || null
+  };
+}
+
+function listKeys() {
+  return keyStore.all().map(publicKey).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Returns { key, apiKey }; `key` is the secret and can't be read back later
+function createKey({ name, scopes } = {}, user = null) {
+  const label = String(name || '').trim();
+  if (!label) throw new ValidationError('name is required');
+  if (!Array.isArray(scopes) || !scopes.length) {
+    throw new ValidationError('scopes must be a non-empty array', { details: { scopes: Object.keys(SCOPES) } });
+  }
+  const unknown = scopes.filter(s => !SCOPES[s]);
+  if (unknown.length) throw new ValidationError(`Unknown scope: ${unknown.join(', ')}`, { details: { scopes: Object.keys(SCOPES) } });
+
+  const key = PREFIX + crypto.randomBytes(24).toString('base64url');
+  const apiKey = {
+    id: `key_${crypto.randomBytes(6).toString('hex')}`,
+    name: label,
+    scopes: [...new Set(scopes)],
+    hash: hashKey(key),
+    hint: `${key.slice(0, PREFIX.length + 4)}...${key.slice(-4)}`,
+    createdAt: new Date().toISOString(),
+    createdBy: user?.username || null,
+    lastUsedAt: null,
+    revokedAt: null
+  };
+  keyStore.set(apiKey.id, apiKey);
+  if (idsByHash) idsByHash.set(apiKey.hash, apiKey.id);
+  console.log(`[ApiKeys] Created ${apiKey.id} "${label}" (${apiKey.scopes.join(', ')})`);
+  return { key, apiKey: publicKey(apiKey) };
+}
+
+function revokeKey(id) {
+  const apiKey = keyStore.get(id);
+  if (!apiKey) throw new NotFoundError(`No API key ${id}`);
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = new Date().toISOString();
+    keyStore.set(id, apiKey);
+    console.log(`[ApiKeys] Revoked ${id}`);
+  }
+  return publicKey(apiKey);
+}
+
+// The key sent as `Authorization: Bearer <key>` or `X-API-Key`
+function keyFromHeaders(headers) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(headers.authorization || '');
+  return bearer ? bearer[1] : headers['x-api-key'] || null;
+}
+
+// The active key for a secret, or null
+function authenticateKey(key) {
+  if (!key || !String(key).startsWith(PREFIX)) return null;
+  const id = keyIdFor(hashKey(key));
+  const apiKey = id && keyStore.get(id);
+  if (!apiKey || apiKey.revokedAt) return null;
+
+  if (!apiKey.lastUsedAt || Date.now() - new Date(apiKey.lastUsedAt).getTime() >= LAST_USED_EVERY_MS) {
+    apiKey.lastUsedAt = new Date().toISOString();
+    keyStore.set(apiKey.id, apiKey);
+  }
+  return publicKey(apiKey);
+}
+
+// Middleware: sets req.apiKey, 401 without an active key, 403 without the scope
+function requireScope(scope) {
+  return (req, res, next) => {
+    req.apiKey = req.apiKey || authenticateKey(keyFromHeaders(req.headers));
+    if (!req.apiKey) return next(new UnauthorizedError('A valid API key is required'));
+    if (!req.apiKey.scopes.includes(scope)) return next(new ForbiddenError(`This API key lacks the ${scope} scope`, { details: { scope } }));
+    next();
+  };
+}
+
+module.exports = {
+  SCOPES,
+  listKeys,
+  createKey,
+  revokeKey,
+  keyFromHeaders,
+  authenticateKey,
+  requireScope
+};
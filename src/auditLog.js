@@ -0,0 +1,57 @@
+const store = require('./store');
+
+// Who did what: every call action and admin change taken through the API or a dashboard,
+// with the user, the call or phone it concerned and whether it worked.
+const auditStore = store.collection('audit_log'); // id -> AuditEntry
+
+let counter = 0;
+
+// `user` is the logged-in user (auth.publicUser) or null for the system itself.
+// `details` may carry callId, phone, campaignId and anything else worth keeping.
+function record(user, action, details = {}, error = null) {
+  const { callId = null, phone = null, ...rest } = details;
+  const entry = {
+    id: `aud_${Date.now()}_${counter++}`,
+    at: new Date().toISOString(),
+    username: user?.username || 'system',
+    role: user?.role || null,
+    action,
+    callId,
+    phone,
+    details: rest,
+    result: error ? 'error' : 'ok',
+    error: error ? error.message : null
+  };
+  auditStore.set(entry.id, entry);
+  console.log(`[Audit] ${entry.username} ${action}${callId ? ` ${callId}` : ''}${phone ? ` ${phone}` : ''}${error ? ` failed: ${error.message}` : ''}`);
+  return entry;
+}
+
+// Runs a call action for `user` and records it whether it worked or not. A callId in the
+// action's result (e.g. of a new outbound call) is added to the entry.
+async function track(user, action, details, fn) {
+  let result;
+  try {
+    result = await fn();
+  } catch (err) {
+    record(user, action, details, err);
+    throw err;
+  }
+  record(user, action, { ...details, callId: details.callId || result?.callId || null });
+  return result;
+}
+
+// Newest first
+function listEntries({ username, action, callId, phone, limit = 100 } = {}) {
+  return auditStore.all()
+    .filter(e => (!username || e.username === username) && (!action || e.action === action) &&
+      (!callId || e.callId === callId) && (!phone || e.phone === phone))
+    .sort((a, b) => b.at.localeCompare(a.at) || b.id.localeCompare(a.id))
+    .slice(0, limit);
+}
+
+module.exports = {
+  record,
+  track,
+  listEntries
+};
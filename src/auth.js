@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const config = require('./config');
+const store = require('./store');
+const { ValidationError, UnauthorizedError, ForbiddenError, NotFoundError, ConflictError, RateLimitError, sendError } = require('./errors');
+
+// Dashboard and API accounts. Passwords are scrypt hashes; a login is a random session
+// token, sent back as an HttpOnly cookie for the dashboard (and its Socket.IO handshake)
+// or used as `Authorization: Bearer <token>` by API clients. Only the token's SHA-256 is
+// stored, so the database never holds a usable token.
+//
+// Roles, each including the ones below it:
+//   admin   settings, calling on/off, schedule, campaigns, resets, users and the audit log
+//   agent   places and takes calls, sends permission requests and messages
+//   viewer  read-only
+const ROLES = ['viewer', 'agent', 'admin'];
+const COOKIE = 'session';
+
+const userStore = store.collection('users');       // username -> User
+const sessionStore = store.collection('sessions'); // sha256(token) -> { id, username, createdAt, expiresAt }
+
+const MAX_FAILURES = 5;
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const MAX_TRACKED = 10000;  // failure lists kept at once, oldest dropped first
+// "ip username" -> [timestamps of failed logins]. Per address, so that someone guessing
+// from elsewhere can't lock the real user out.
+const failures = new Map();
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function publicUser(user) {
+  return {
+    username: user.username,
+    role: user.role,
+    disabled: Boolean(user.disabled),
+    createdAt: user.createdAt,
+    lastLoginAt: user.lastLoginAt || null
+  };
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) throw new ValidationError(`Invalid role: ${role} (expected ${ROLES.join(', ')})`);
+  return role;
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < 8) throw new ValidationError('password must be at least 8 characters');
+  return password;
+}
+
+// ── Users ──
+
+function listUsers() {
+  return userStore.all().map(publicUser).sort((a, b) => a.username.localeCompare(b.username));
+}
+
+function createUser({ username, password, role = 'agent' }) {
+  const name = String(username || '').trim().toLowerCase();
+  if (!/^[a-z0-9._-]{2,32}$/.test(name)) {
+    throw new ValidationError('username must be 2-32 letters, digits, dots, dashes or underscores');
+  }
+  if (userStore.get(name)) throw new ConflictError(`User ${name} already exists`);
+
+  const user = {
+    username: name,
+    role: validateRole(role),
+    passwordHash: hashPassword(validatePassword(password)),
+    disabled: false,
+    createdAt: new Date().toISOString(),
+    lastLoginAt: null
+  };
+  userStore.set(name, user);
+  console.log(`[Auth] Created ${user.role} ${name}`);
+  return publicUser(user);
+}
+
+// `changes`: { password, role, disabled }. A new password or disabling ends the user's sessions.
+function updateUser(username, changes) {
+  const user = userStore.get(username);
+  if (!user) throw new NotFoundError(`No user ${username}`);
+
+  if (changes.role !== undefined) user.role = validateRole(changes.role);
+  if (changes.disabled !== undefined) user.disabled = Boolean(changes.disabled);
+  if (changes.password !== undefined) user.passwordHash = hashPassword(validatePassword(changes.password));
+  if (user.role !== 'admin' || user.disabled) ensureAnotherAdmin(username);
+
+  userStore.set(username, user);
+  if (changes.password !== undefined || user.disabled) endSessions(username);
+  console.log(`[Auth] Updated ${username}`);
+  return publicUser(user);
+}
+
+function deleteUser(username) {
+  if (!userStore.get(username)) throw new NotFoundError(`No user ${username}`);
+  ensureAnotherAdmin(username);
+  userStore.delete(username);
+  endSessions(username);
+  console.log(`[Auth] Deleted ${username}`);
+}
+
+// There must always be an admin left to manage users
+function ensureAnotherAdmin(username) {
+  const admins = userStore.find(u => u.role === 'admin' && !u.disabled && u.username !== username);
+  if (!admins.length) throw new ConflictError('This would leave no active admin');
+}
+
+// First start: without any users nobody could log in, so create the admin from config
+function ensureAdmin() {
+  if (userStore.all().length) return null;
+
+  const password = config.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+  const user = createUser({ username: config.ADMIN_USERNAME, password, role: 'admin' });
+  if (!config.ADMIN_PASSWORD) {
+    console.warn(`[Auth] No users yet: created admin "${user.username}" with password ${password} - change it after logging in`);
+  }
+  return user;
+}
+
+// ── Sessions ──
+
+function recentFailures(key) {
+  const recent = (failures.get(key) || []).filter(at => Date.now() - at < FAILURE_WINDOW_MS);
+  if (recent.length) failures.set(key, recent);
+  else failures.delete(key);
+  return recent;
+}
+
+function checkFailures(key) {
+  const recent = recentFailures(key);
+  if (recent.length >= MAX_FAILURES) {
+    const retryAfter = Math.ceil((recent[0] + FAILURE_WINDOW_MS - Date.now()) / 1000);
+    throw new RateLimitError('Too many failed logins, try again later', { retryAfter });
+  }
+}
+
+function addFailure(key) {
+  if (!failures.has(key) && failures.size >= MAX_TRACKED) {
+    for (const old of failures.keys()) recentFailures(old);
+    if (failures.size >= MAX_TRACKED) failures.delete(failures.keys().next().value);
+  }
+  failures.set(key, [...recentFailures(key), Date.now()]);
+}
+
+// Returns { token, user, expiresAt }. `ip` is the client's address, for the lockout.
+function login(username, password, { ip = '' } = {}) {
+  const name = String(username || '').trim().toLowerCase();
+  const key = `${ip} ${name}`;
+  checkFailures(key);
+
+  const user = userStore.get(name);
+  if (!user || user.disabled || !verifyPassword(password, user.passwordHash)) {
+    addFailure(key);
+    console.warn(`[Auth] Failed login for ${name}${ip ? ` from ${ip}` : ''}`);
+    throw new UnauthorizedError('Wrong username or password');
+  }
+  failures.delete(key);
+
+  for (const expired of sessionStore.find(s => new Date(s.expiresAt) < new Date())) sessionStore.delete(expired.id);
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + config.SESSION_TTL_HOURS * 3600000).toISOString();
+  const id = hashToken(token);
+  sessionStore.set(id, { id, username: name, createdAt: new Date().toISOString(), expiresAt });
+  user.lastLoginAt = new Date().toISOString();
+  userStore.set(name, user);
+
+  console.log(`[Auth] ${name} logged in`);
+  return { token, user: publicUser(user), expiresAt };
+}
+
+function logout(token) {
+  if (token) sessionStore.delete(hashToken(token));
+}
+
+function endSessions(username) {
+  for (const session of sessionStore.find(s => s.username === username)) {
+    sessionStore.delete(session.id);
+  }
+}
+
+// The user a token belongs to, or null when it is unknown, expired or the user is disabled
+function authenticate(token) {
+  if (!token) return null;
+  const key = hashToken(token);
+  const session = sessionStore.get(key);
+  if (!session) return null;
+  if (new Date(session.expiresAt) < new Date()) {
+    sessionStore.delete(key);
+    return null;
+  }
+  const user = userStore.get(session.username);
+  return user && !user.disabled ? publicUser(user) : null;
+}
+
+// Bearer token, else the session cookie
+function tokenFromHeaders(headers) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(headers.authorization || '');
+  if (bearer) return bearer[1];
+  const cookie = String(headers.cookie || '').split(';').map(c => c.trim()).find(c => c.startsWith(`${COOKIE}=`));
+  return cookie ? decodeURIComponent(cookie.slice(COOKIE.length + 1)) : null;
+}
+
+function sessionCookie(token, { secure = false, expiresAt = null } = {}) {
+  const parts = [`${COOKIE}=${encodeURIComponent(token || '')}`, 'Path=/', 'HttpOnly', 'SameSite=Strict'];
+  parts.push(token ? `Max-Age=${Math.floor((new Date(expiresAt) - Date.now()) / 1000)}` : 'Max-Age=0');
+  if (secure) parts.push('Secure');
+  return parts.join('; ');
+}
+
+// ── Middleware ──
+
+// Sets req.user from the request's token; 401 without a valid one
+function requireLogin(req, res, next) {
+  req.user = authenticate(tokenFromHeaders(req.headers));
+  if (!req.user) return sendError(res, new UnauthorizedError('Log in first'));
+  next();
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) return sendError(res, new UnauthorizedError('Log in first'));
+    if (!hasRole(req.user, role)) return sendError(res, new ForbiddenError(`This needs the ${role} role (you are ${req.user.role})`));
+    next();
+  };
+}
+
+// Socket.IO handshake: the dashboard's cookie, or `auth: { token }` from other clients
+function socketAuth(socket, next) {
+  const token = socket.handshake.auth?.token || tokenFromHeaders(socket.handshake.headers);
+  const user = authenticate(token);
+  if (!user) return next(new UnauthorizedError('Log in first'));
+  socket.data.token = token;
+  socket.data.user = user;
+  next();
+}
+
+// After a logout or a user change: drop sockets whose session ended, pick up new roles
+async function recheckSockets(io) {
+  for (const socket of await io.fetchSockets()) {
+    const user = authenticate(socket.data.token);
+    if (user) socket.data.user = user;
+    else socket.disconnect(true);
+  }
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+  ensureAdmin,
+  login,
+  logout,
+  authenticate,
+  tokenFromHeaders,
+  sessionCookie,
+  requireLogin,
+  requireRole,
+  socketAuth,
+  recheckSockets
+};
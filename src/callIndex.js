@@ -0,0 +1,63 @@
+// Correlation index: every identifier a webhook can carry for a call maps to our own
+// call id, which never changes for the life of the call.
+//   - the WhatsApp call id (wacid...), known once /calls answers (outbound) or from the
+//     connect webhook (inbound)
+//   - biz_opaque_callback_data, which we set to our call id on connect and Meta echoes back
+//     on every webhook of that call, so it matches even before /calls has answered
+//   - the remote phone, used only while exactly one active call has that number
+const byId = new Map();    // our id, WhatsApp id or opaque data -> our call id
+const byPhone = new Map(); // phone -> Set of our ids of active calls
+const keysOf = new Map();  // our id -> Set of keys in byId
+
+function normalize(phone) {
+  return String(phone || '').replace(/\D/g, '');
+}
+
+function register(callId, { waCallId, opaque, phone } = {}) {
+  const keys = keysOf.get(callId) || new Set([callId]);
+  for (const key of [callId, waCallId, opaque]) {
+    if (!key) continue;
+    byId.set(key, callId);
+    keys.add(key);
+  }
+  keysOf.set(callId, keys);
+
+  if (phone) {
+    const active = byPhone.get(normalize(phone)) || new Set();
+    active.add(callId);
+    byPhone.set(normalize(phone), active);
+  }
+}
+
+// Returns { callId, via } or null. `refs` are whatever the webhook carried.
+function resolve({ callId, opaque, phone } = {}) {
+  if (opaque && byId.has(opaque)) return { callId: byId.get(opaque), via: 'opaque' };
+  if (callId && byId.has(callId)) return { callId: byId.get(callId), via: 'id' };
+
+  const active = phone ? byPhone.get(normalize(phone)) : null;
+  if (active?.size === 1) return { callId: [...active][0], via: 'phone' };
+  return null;
+}
+
+// The call has ended: its number can belong to a new call now, its ids still resolve
+function release(callId) {
+  for (const [phone, active] of byPhone) {
+    active.delete(callId);
+    if (!active.size) byPhone.delete(phone);
+  }
+}
+
+function forget(callId) {
+  release(callId);
+  for (const key of keysOf.get(callId) || []) {
+    if (byId.get(key) === callId) byId.delete(key);
+  }
+  keysOf.delete(callId);
+}
+
+module.exports = {
+  register,
+  resolve,
+  release,
+  forget
+};
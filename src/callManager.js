@@ -1,17 +1,63 @@
+const config = require('./config');
 const whatsappApi = require('./whatsappApi');
 const webrtcBridge = require('./webrtcBridge');
+const store = require('./store');
+const cdr = require('./cdr');
+const recorder = require('./recorder');
+const agentManager = require('./agentManager');
+const callQueue = require('./callQueue');
+const ivr = require('./ivr');
+const voicemail = require('./voicemail');
+const schedule = require('./schedule');
+const callIndex = require('./callIndex');
+const stateMachine = require('./callStateMachine');
+const templates = require('./templates');
+const permissionLedger = require('./permissionLedger');
+const auth = require('./auth');
+const outgoingWebhooks = require('./outgoingWebhooks');
+const { addDeadLetter } = require('./deadLetters');
+const { normalizePhone } = permissionLedger;
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError, RateLimitError } = require('./errors');
+
+// Live call state (peer connections can't be persisted); every change is mirrored to the store.
+// A call keeps our own callId for life; the WhatsApp call id is state.waCallId.
+const calls = new Map(); // callId -> CallState
+
+const callStore = store.collection('calls');             // callId -> persisted CallState
+const permissionStore = store.collection('permissions'); // phone -> { phone, state, grantedAt, expiresAt, updatedAt }
+
+const RETENTION_MS = 5 * 60 * 1000;       // ended calls stay queryable for 5 minutes
+const INBOUND_RESTORE_WINDOW = 60 * 1000; // an incoming call younger than this may still be ringing
+
+// Call permission states and the Socket.IO event announcing each. A temporary grant
+// expires; either grant is revoked when the user declines later on.
+const PERMISSION_EVENTS = {
+  granted_temporary: 'permission-granted',
+  granted_permanent: 'permission-granted-permanent',
+  rejected: 'permission-rejected',
+  revoked: 'permission-revoked',
+  expired: 'permission-expired'
+};
+const DEFAULT_PERMISSION_MS = 72 * 60 * 60 * 1000; // when Meta sends no expiration
+const expiryTimers = new Map(); // phone -> timer
+const remotePermissions = new Map(); // phone -> { fetchedAt, permission, actions } from Meta
+const permissionListeners = [];
 
-// In-memory call state
-const calls = new Map();       // callId -> CallState
-const permissions = new Map(); // phone -> { grantedAt, expiresAt }
-
+// Also accepts the WhatsApp call id
 function getCallState(callId) {
-  return calls.get(callId);
+  return calls.get(callId) || calls.get(callIndex.resolve({ callId })?.callId);
+}
+
+// Status changes of a live or recently ended call, see callStateMachine
+function getCallHistory(callId) {
+  const state = getCallState(callId) || callStore.get(callId) || cdr.getCdr(callId);
+  return state ? state.history || [] : null;
 }
 
 function getAllCalls() {
-  return Array.from(calls.entries()).map(([id, state]) => ({
-    callId: id,
+  return callStore.all().map(state => ({
+    callId: state.callId,
+    waCallId: state.waCallId || null,
     status: state.status,
     direction: state.direction,
     phone: state.recipientPhone,
@@ -19,107 +65,387 @@ function getAllCalls() {
   }));
 }
 
-function getPermissionStatus(phone) {
-  const perm = permissions.get(phone);
-  if (!perm) return { granted: false };
+// Live media objects that only exist in this process
+const RUNTIME_KEYS = ['whatsappPeer', 'browserPeer', 'output', 'browserOutput', 'bridge', 'ringTimer'];
+
+function trackCall(state, io) {
+  calls.set(state.callId, state);
+  callIndex.register(state.callId, { waCallId: state.waCallId, phone: state.recipientPhone });
+  stateMachine.track(state, { onTimeout: (s, status) => handleStateTimeout(s, status, io) });
+}
+
+function newCallId() {
+  return `call_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// The call a webhook belongs to, matched on its ids only. Anything unmatched becomes a
+// dead letter instead of being applied to some other call.
+function findWebhookCall(kind, refs, io) {
+  const match = callIndex.resolve(refs);
+  const state = match && calls.get(match.callId);
+  if (!state) {
+    addDeadLetter(kind, refs, match ? 'Call is no longer tracked' : 'No call matches its ids', io);
+    return null;
+  }
+
+  if (match.via !== 'id') console.log(`[CallManager] ${kind} webhook for ${refs.callId} matched call ${state.callId} by ${match.via}`);
+  // Matched by opaque data before /calls answered: learn the WhatsApp id now
+  if (refs.callId && !state.waCallId) {
+    state.waCallId = refs.callId;
+    callIndex.register(state.callId, { waCallId: refs.callId });
+    persistCall(state);
+  }
+  return state;
+}
+
+function persistCall(state) {
+  const record = { ...state, updatedAt: new Date() };
+  for (const key of RUNTIME_KEYS) delete record[key];
+  callStore.set(state.callId, record);
+}
+
+// First time a call reaches one of these statuses is recorded for the CDR
+const STATUS_TIMESTAMPS = {
+  ringing: 'ringingAt',
+  queued: 'queuedAt',
+  connected: 'connectedAt'
+};
+
+stateMachine.onTransition((state, from, to) => {
+  const field = STATUS_TIMESTAMPS[to];
+  if (field && !state[field]) state[field] = new Date();
+  if (stateMachine.isTerminal(to) && !state.endedAt) state.endedAt = new Date();
+});
 
+// Dashboards get the event over Socket.IO, outgoing webhook subscribers (src/outgoingWebhooks.js) too
+function broadcast(io, event, data) {
+  if (io) io.emit(event, data);
+  outgoingWebhooks.publish(event, data);
+}
+
+// False when the state machine refuses the change (see callStateMachine)
+function setStatus(state, status, reason = null) {
+  const changed = stateMachine.transition(state, status, reason);
+  persistCall(state);
+  return changed;
+}
+
+function isGranted(perm) {
+  return perm.state === 'granted_temporary' || perm.state === 'granted_permanent';
+}
+
+function getPermission(phone) {
+  const perm = permissionStore.get(normalizePhone(phone));
+  if (perm && !perm.state) perm.state = 'granted_temporary'; // saved before permission states existed
+  return perm || null;
+}
+
+function describePermission(perm) {
   const now = Date.now();
-  if (now > perm.expiresAt) {
-    permissions.delete(phone);
-    return { granted: false, expired: true };
+  return {
+    phone: perm.phone,
+    state: perm.state,
+    granted: isGranted(perm),
+    permanent: perm.state === 'granted_permanent',
+    expired: perm.state === 'expired',
+    grantedAt: perm.grantedAt ? new Date(perm.grantedAt).toISOString() : null,
+    expiresAt: perm.expiresAt ? new Date(perm.expiresAt).toISOString() : null,
+    remainingHours: perm.state === 'granted_temporary' ? Math.max(Math.round((perm.expiresAt - now) / 3600000), 0) : null,
+    updatedAt: new Date(perm.updatedAt || perm.grantedAt).toISOString()
+  };
+}
+
+function setPermission(phone, state, fields, io) {
+  const key = normalizePhone(phone);
+  const perm = { ...permissionStore.get(key), ...fields, phone: key, state, updatedAt: Date.now() };
+  permissionStore.set(key, perm);
+
+  clearTimeout(expiryTimers.get(key));
+  expiryTimers.delete(key);
+  if (state === 'granted_temporary') scheduleExpiry(perm, io);
+
+  console.log(`[CallManager] Permission for ${key} is now ${state}${perm.expiresAt && state === 'granted_temporary' ? ` until ${new Date(perm.expiresAt).toISOString()}` : ''}`);
+  broadcast(io, PERMISSION_EVENTS[state], describePermission(perm));
+  for (const listener of permissionListeners) {
+    try {
+      listener(describePermission(perm), io);
+    } catch (err) {
+      console.error(`[CallManager] Permission hook failed for ${key}: ${err.message}`);
+    }
   }
+  return perm;
+}
 
+// Runs after every permission change as listener(permission, io); io may be null
+function onPermissionChange(listener) {
+  permissionListeners.push(listener);
+}
+
+function scheduleExpiry(perm, io) {
+  // setTimeout tops out at ~24.8 days; longer grants just re-arm
+  const delay = Math.min(perm.expiresAt - Date.now(), 2 ** 31 - 1);
+  expiryTimers.set(perm.phone, setTimeout(() => {
+    const current = getPermission(perm.phone);
+    if (!current || current.state !== 'granted_temporary') return;
+    if (Date.now() < current.expiresAt) {
+      scheduleExpiry(current, io);
+    } else {
+      setPermission(perm.phone, 'expired', {}, io);
+    }
+  }, Math.max(delay, 0)).unref());
+}
+
+function getLocalPermissionStatus(phone) {
+  const perm = getPermission(phone);
+  if (!perm) return { phone: normalizePhone(phone), state: 'none', granted: false };
+
+  if (perm.state === 'granted_temporary' && Date.now() > perm.expiresAt) {
+    return describePermission(setPermission(phone, 'expired', {}, null));
+  }
+  return describePermission(perm);
+}
+
+// Meta's view, cached for PERMISSION_CACHE_TTL seconds. `source` says who answered:
+// 'meta' (just fetched), 'cache' (fetched earlier) or 'local' (Meta unreachable).
+async function fetchRemotePermission(phone, refresh) {
+  const key = normalizePhone(phone);
+  const cached = remotePermissions.get(key);
+  if (!refresh && cached && Date.now() - cached.fetchedAt < config.PERMISSION_CACHE_TTL * 1000) {
+    return { ...cached, source: 'cache' };
+  }
+
+  const data = await whatsappApi.getCallPermissions(key);
+  const remote = {
+    fetchedAt: Date.now(),
+    permission: data.permission || { status: 'no_permission' },
+    actions: (data.actions || []).map(a => ({
+      action: a.action_name,
+      allowed: a.can_perform_action,
+      limits: (a.limits || []).map(l => ({
+        period: l.time_period,
+        maxAllowed: l.max_allowed,
+        used: l.current_usage,
+        resetsAt: l.limit_expiration_time ? new Date(l.limit_expiration_time * 1000).toISOString() : null
+      }))
+    }))
+  };
+  remotePermissions.set(key, remote);
+  return { ...remote, source: 'meta' };
+}
+
+// Bring the local state in line with what Meta reports
+function mergeRemotePermission(phone, remote) {
+  const local = getPermission(phone);
+  const { status, expiration_time: expirationTime } = remote.permission;
+
+  if (status === 'granted' || status === 'temporary') {
+    const state = expirationTime ? 'granted_temporary' : 'granted_permanent';
+    const expiresAt = expirationTime ? expirationTime * 1000 : null;
+    if (!local || local.state !== state || local.expiresAt !== expiresAt) {
+      setPermission(phone, state, { grantedAt: local?.grantedAt || Date.now(), expiresAt, manual: false }, null);
+    }
+  } else if (local && isGranted(local) && !local.manual) {
+    // Granted here but not at Meta: it lapsed or the user withdrew it elsewhere
+    const lapsed = local.state === 'granted_temporary' && Date.now() > local.expiresAt;
+    setPermission(phone, lapsed ? 'expired' : 'revoked', { expiresAt: null }, null);
+  }
+}
+
+async function getPermissionStatus(phone, { refresh = false } = {}) {
+  let remote;
+  try {
+    remote = await fetchRemotePermission(phone, refresh);
+  } catch (err) {
+    console.warn(`[CallManager] Could not fetch call permission for ${phone} from Meta: ${err.message}`);
+    return { ...getLocalPermissionStatus(phone), source: 'local' };
+  }
+
+  mergeRemotePermission(phone, remote);
   return {
-    granted: true,
-    grantedAt: new Date(perm.grantedAt).toISOString(),
-    expiresAt: new Date(perm.expiresAt).toISOString(),
-    remainingHours: Math.round((perm.expiresAt - now) / 3600000)
+    ...getLocalPermissionStatus(phone),
+    source: remote.source,
+    fetchedAt: new Date(remote.fetchedAt).toISOString(),
+    actions: remote.actions
   };
 }
 
-function handlePermissionGranted(phone, io) {
-  const grantedAt = Date.now();
-  const expiresAt = grantedAt + (72 * 60 * 60 * 1000); // 72 hours
+// `reply` is the call_permission_reply from the webhook:
+// { response: 'accept' | 'reject', is_permanent, expiration_timestamp (Unix seconds) }
+function handlePermissionReply(phone, reply, io, extra = {}) {
+  remotePermissions.delete(normalizePhone(phone));
+  if (reply.response === 'accept') {
+    const grantedAt = Date.now();
+    if (reply.is_permanent) {
+      return setPermission(phone, 'granted_permanent', { grantedAt, expiresAt: null, manual: false, ...extra }, io);
+    }
+    const expiresAt = reply.expiration_timestamp
+      ? Number(reply.expiration_timestamp) * 1000
+      : grantedAt + DEFAULT_PERMISSION_MS;
+    return setPermission(phone, 'granted_temporary', { grantedAt, expiresAt, manual: false, ...extra }, io);
+  }
 
-  permissions.set(phone, { grantedAt, expiresAt });
+  const current = getPermission(phone);
+  const wasGranted = current && isGranted(current) &&
+    (current.state === 'granted_permanent' || Date.now() < current.expiresAt);
+  return setPermission(phone, wasGranted ? 'revoked' : 'rejected', { expiresAt: null, manual: false }, io);
+}
 
-  console.log(`[CallManager] Permission granted for ${phone}, expires in 72 hours`);
+// Sends a call permission request once the template and Meta's request limits allow it
+// (see permissionLedger). `force` skips the limits, e.g. when the user messaged before the
+// ledger existed. `components` are the template parameters, see templates.buildComponents.
+async function requestPermission(phone, { templateName = 'call_permission', language = 'en_US', components, force = false } = {}, io) {
+  const template = templates.isConfigured() ? await templates.findTemplate(templateName, language) : null;
+  if (templates.isConfigured() && !template) {
+    throw new ValidationError(`No approved template ${templateName} in language ${language}`);
+  }
+  const sendComponents = templates.buildComponents(template, components);
 
-  io.emit('permission-granted', {
-    phone,
-    grantedAt: new Date(grantedAt).toISOString(),
-    expiresAt: new Date(expiresAt).toISOString()
-  });
+  const check = permissionLedger.checkRequestAllowed(phone);
+  if (!check.allowed && !force) {
+    throw new RateLimitError(check.reason, { details: { rule: check.rule, nextAllowedAt: check.nextAllowedAt } });
+  }
+
+  const result = await whatsappApi.sendCallPermissionRequest(phone, templateName, language, sendComponents);
+  permissionLedger.recordRequest(phone, { messageId: result.messages?.[0]?.id, templateName, language });
+  if (io) io.emit('permission-request-updated', { phone: normalizePhone(phone) });
+  return result;
+}
+
+// Manual grant from the dashboard (testing) - Meta knows nothing about it, so it isn't revoked when Meta says no
+function handlePermissionGranted(phone, io) {
+  return handlePermissionReply(phone, { response: 'accept' }, io, { manual: true });
 }
 
 async function startOutboundCall(phone, io, socket) {
   // Check permission
-  const permStatus = getPermissionStatus(phone);
+  const permStatus = await getPermissionStatus(phone);
   if (!permStatus.granted) {
-    throw new Error(
-      permStatus.expired
-        ? 'Call permission has expired. Send a new permission request.'
-        : 'No call permission for this number. Send a permission request first.'
-    );
+    const reasons = {
+      expired: 'Call permission has expired. Send a new permission request.',
+      rejected: 'The user declined the call permission request.',
+      revoked: 'The user revoked call permission.'
+    };
+    throw new ForbiddenError(reasons[permStatus.state] || 'No call permission for this number. Send a permission request first.');
   }
 
-  // Block if there's already an active outbound call (auto-expire stale ones)
-  const STALE_TIMEOUT = 30 * 1000; // 30 seconds
-  for (const [id, s] of calls) {
-    if (s.direction === 'outbound' && ['awaiting_browser_sdp', 'ringing', 'accepted', 'connected'].includes(s.status)) {
-      const age = Date.now() - new Date(s.createdAt).getTime();
-      if (s.status === 'awaiting_browser_sdp' && age > STALE_TIMEOUT) {
-        console.log(`[CallManager] Auto-expiring stale call ${id} (stuck in ${s.status} for ${Math.round(age/1000)}s)`);
-        s.status = 'expired';
-        cleanup(id);
-        continue;
-      }
-      throw new Error(`An outbound call is already in progress (${id}, status: ${s.status})`);
-    }
+  checkCallLimits(phone, socket);
+
+  const result = webrtcBridge.isAvailable()
+    ? await startOutboundCallWithServerWebRTC(phone, io, socket)
+    : await startOutboundCallBrowserOnly(phone, io, socket);
+
+  // An agent on an outbound call shouldn't be offered inbound ones
+  if (socket) agentManager.assignCall(socket.id, result.callId, io);
+  return result;
+}
+
+// The dashboard that places a call (and, in browser-only mode, generates its SDP offer):
+// the one named by socketId, else an available agent or a dashboard with a free call slot.
+// Null in server WebRTC mode when no dashboard is free; the call then starts unattended.
+async function dialingSocket(io, socketId = null) {
+  if (socketId) {
+    const socket = io.sockets.sockets.get(socketId);
+    if (!socket) throw new NotFoundError(`No dashboard is connected as ${socketId}`);
+    if (!auth.hasRole(socket.data.user, 'agent')) throw new ForbiddenError(`Dashboard ${socketId} is not logged in as an agent`);
+    return socket;
   }
 
-  if (webrtcBridge.isAvailable()) {
-    return startOutboundCallWithServerWebRTC(phone, io);
-  } else {
-    return startOutboundCallBrowserOnly(phone, io, socket);
+  // Viewers' dashboards can't take part in calls
+  const sockets = (await io.fetchSockets()).filter(s => auth.hasRole(s.data.user, 'agent') && hasCallCapacity(s.id));
+  const socket = sockets.find(s => agentManager.getAgent(s.id)?.status === 'available')
+    || sockets.find(s => !agentManager.getAgent(s.id))
+    || null;
+  if (!socket && !webrtcBridge.isAvailable()) {
+    throw new ConflictError('No dashboard has a free call slot to place the call from');
   }
+  return socket;
 }
 
-async function startOutboundCallWithServerWebRTC(phone, io) {
+function activeCalls() {
+  return [...calls.values()].filter(s => !stateMachine.isTerminal(s.status));
+}
+
+// Whether this socket may take on another call (AGENT_MAX_CALLS or the agent's own limit)
+function hasCallCapacity(socketId) {
+  const mine = activeCalls().filter(s => s.socketId === socketId);
+  return mine.length < agentManager.maxCallsFor(socketId);
+}
+
+// Throws unless another outbound call fits: one call per number, MAX_OUTBOUND_CALLS in
+// total and the caller's own limit
+function checkCallLimits(phone, socket) {
+  const active = activeCalls();
+
+  const sameNumber = active.find(s => normalizePhone(s.recipientPhone) === normalizePhone(phone));
+  if (sameNumber) {
+    throw new ConflictError(`A call with ${phone} is already in progress (${sameNumber.callId}, status: ${sameNumber.status})`);
+  }
+
+  const outbound = active.filter(s => s.direction === 'outbound');
+  if (config.MAX_OUTBOUND_CALLS > 0 && outbound.length >= config.MAX_OUTBOUND_CALLS) {
+    throw new ConflictError(`All ${config.MAX_OUTBOUND_CALLS} outbound call slots are in use`, { details: { limit: config.MAX_OUTBOUND_CALLS } });
+  }
+
+  if (!socket) return;
+  const limit = agentManager.maxCallsFor(socket.id);
+  const mine = active.filter(s => s.socketId === socket.id);
+  if (mine.length >= limit) {
+    throw new ConflictError(`You are already on ${mine.length} call(s) (limit ${limit})`, { details: { limit } });
+  }
+}
+
+async function startOutboundCallWithServerWebRTC(phone, io, socket) {
   // Create WebRTC peer connection for WhatsApp side
   const whatsappPeer = webrtcBridge.createPeerConnection('wa-outbound');
+  const output = webrtcBridge.attachAudioOutput(whatsappPeer);
 
   // Generate SDP offer
   const sdpOffer = await webrtcBridge.createOfferSdp(whatsappPeer);
 
-  // Send to WhatsApp via Graph API
-  const result = await whatsappApi.initiateOutboundCall(phone, sdpOffer);
-  // API returns { calls: [{ id: "wacid..." }], success: true }
-  const callId = result.calls?.[0]?.id || result.call_id || result.id || `call_${Date.now()}`;
-
+  const callId = newCallId();
   const state = {
     callId,
+    waCallId: null,
     direction: 'outbound',
     recipientPhone: phone,
-    status: 'ringing',
+    status: 'calling',
+    socketId: socket?.id || null,
     whatsappPeer,
+    output,
     browserPeer: null,
     createdAt: new Date()
   };
 
-  calls.set(callId, state);
+  // Tracked before the API call so webhooks that beat its response still match
+  trackCall(state, io);
+  persistCall(state);
+
+  try {
+    // Send to WhatsApp via Graph API
+    const result = await whatsappApi.initiateOutboundCall(phone, sdpOffer, callId);
+    // API returns { calls: [{ id: "wacid..." }], success: true }
+    state.waCallId = result.calls?.[0]?.id || result.call_id || result.id || null;
+    callIndex.register(callId, { waCallId: state.waCallId });
+  } catch (err) {
+    setStatus(state, 'failed', 'api_error');
+    cleanup(callId, 'api_error', io);
+    throw err;
+  }
+  if (await endIfHungUp(state)) return { callId, status: state.status };
+  if (state.status === 'calling') setStatus(state, 'ringing');
 
-  io.emit('call-ringing', { callId, phone });
-  console.log(`[CallManager] Outbound call ${callId} initiated to ${phone}`);
+  broadcast(io, 'call-ringing', { callId, phone });
+  console.log(`[CallManager] Outbound call ${callId} (${state.waCallId}) initiated to ${phone}`);
 
-  return { callId, status: 'ringing' };
+  return { callId, status: state.status };
 }
 
 async function startOutboundCallBrowserOnly(phone, io, socket) {
-  const callId = `call_${Date.now()}`;
+  const callId = newCallId();
 
   const state = {
     callId,
+    waCallId: null,
     direction: 'outbound',
     recipientPhone: phone,
     status: 'awaiting_browser_sdp',
@@ -129,7 +455,8 @@ async function startOutboundCallBrowserOnly(phone, io, socket) {
     createdAt: new Date()
   };
 
-  calls.set(callId, state);
+  trackCall(state, io);
+  persistCall(state);
 
   // Send ONLY to the socket that initiated the call, not all clients
   if (socket) {
@@ -142,15 +469,26 @@ async function startOutboundCallBrowserOnly(phone, io, socket) {
   return { callId, status: 'awaiting_browser_sdp', mode: 'browser-only' };
 }
 
-async function handleBrowserSdpOffer(callId, sdpOffer, io) {
+async function handleBrowserSdpOffer(callId, sdpOffer, io, socket) {
   const state = calls.get(callId);
   if (!state) {
     console.warn(`[CallManager] No call state for ${callId}`);
     return;
   }
 
+  // Server mode: the WhatsApp leg already exists, this offer is for the browser leg
+  if (state.whatsappPeer) {
+    return connectBrowserLeg(state, sdpOffer, io, socket);
+  }
+
+  // Only the dashboard that was asked for the offer places the call
+  if (socket && state.socketId && state.socketId !== socket.id) {
+    console.warn(`[CallManager] Ignoring SDP offer for call ${callId} from ${socket.id}, it belongs to ${state.socketId}`);
+    return;
+  }
+
   // Prevent double call initiation
-  if (state.status === 'ringing' || state.status === 'connected') {
+  if (state.waCallId || state.status !== 'awaiting_browser_sdp') {
     console.warn(`[CallManager] Call ${callId} already in progress (${state.status}), ignoring duplicate SDP offer`);
     return;
   }
@@ -158,56 +496,84 @@ async function handleBrowserSdpOffer(callId, sdpOffer, io) {
   try {
     // Browser provided SDP offer - forward to WhatsApp
     console.log(`[CallManager] Sending SDP offer to WhatsApp API for ${state.recipientPhone}...`);
-    const result = await whatsappApi.initiateOutboundCall(state.recipientPhone, sdpOffer);
+    setStatus(state, 'calling');
+    const result = await whatsappApi.initiateOutboundCall(state.recipientPhone, sdpOffer, callId);
     // API returns { calls: [{ id: "wacid..." }], success: true }
-    const waCallId = result.calls?.[0]?.id || result.call_id || result.id || callId;
-    state.callId = waCallId;
-    state.status = 'ringing';
-    console.log(`[CallManager] WhatsApp call ID mapped: ${callId} -> ${waCallId}`);
-
-    // Update map with new callId if different
-    if (state.callId !== callId) {
-      calls.delete(callId);
-      calls.set(state.callId, state);
-    }
+    state.waCallId = result.calls?.[0]?.id || result.call_id || result.id || null;
+    callIndex.register(callId, { waCallId: state.waCallId });
+    console.log(`[CallManager] Call ${callId} has WhatsApp call ID ${state.waCallId}`);
+    if (await endIfHungUp(state)) return;
+
+    // An early webhook may already have moved it on
+    if (state.status === 'calling') setStatus(state, 'ringing');
 
-    io.emit('call-ringing', { callId: state.callId, phone: state.recipientPhone });
-    console.log(`[CallManager] Browser SDP forwarded, call ${state.callId} ringing`);
+    broadcast(io, 'call-ringing', { callId, phone: state.recipientPhone });
+    console.log(`[CallManager] Browser SDP forwarded, call ${callId} ringing`);
   } catch (err) {
-    const errMsg = err.response?.data?.error?.message || err.message;
-    console.error(`[CallManager] WhatsApp API error for call ${callId}: ${errMsg}`, err.response?.data || '');
-    state.status = 'failed';
-    cleanup(callId);
-    io.emit('call-error', { callId, error: errMsg });
+    console.error(`[CallManager] WhatsApp API error for call ${callId}: ${err.message}`, err.meta || '');
+    setStatus(state, 'failed', 'api_error');
+    cleanup(callId, 'api_error', io);
+    broadcast(io, 'call-error', { callId, error: err.message, type: err.name });
   }
 }
 
-async function handleOutboundSdpAnswer(callId, sdpAnswer, io) {
-  let state = calls.get(callId);
+// The agent hung up while /calls was still answering: end the call it just placed
+async function endIfHungUp(state) {
+  if (!stateMachine.isTerminal(state.status) || !state.waCallId) return false;
+  try {
+    await whatsappApi.terminateCall(state.waCallId);
+  } catch (e) {
+    console.warn(`[CallManager] Error terminating call ${state.callId} placed after hangup: ${e.message}`);
+  }
+  return true;
+}
 
-  // Fallback: if callId not found, search by active outbound call
-  if (!state) {
-    console.log(`[CallManager] Exact callId not found, searching active outbound calls...`);
-    for (const [id, s] of calls) {
-      if (s.direction === 'outbound' && (s.status === 'ringing' || s.status === 'accepted')) {
-        console.log(`[CallManager] Found matching outbound call: ${id}`);
-        state = s;
-        // Update the map with the correct callId
-        calls.delete(id);
-        state.callId = callId;
-        calls.set(callId, state);
-        break;
-      }
-    }
+// Server mode B2BUA: answer the browser's offer with a server-side browser peer and
+// bridge its audio with the WhatsApp peer
+async function connectBrowserLeg(state, sdpOffer, io, socket) {
+  const { callId } = state;
+
+  // A repeated offer (e.g. page reload) replaces the previous browser leg
+  closeBrowserLeg(state);
+
+  const browserPeer = webrtcBridge.createPeerConnection('browser');
+  state.browserPeer = browserPeer;
+  state.browserOutput = webrtcBridge.attachAudioOutput(browserPeer);
+
+  const sdpAnswer = await webrtcBridge.createAnswerSdp(browserPeer, sdpOffer);
+  state.bridge = webrtcBridge.bridgeAudio(
+    { peer: state.whatsappPeer, output: state.output },
+    { peer: browserPeer, output: state.browserOutput }
+  );
+
+  const target = socket?.id || state.socketId;
+  if (target) {
+    io.to(target).emit('browser-sdp-answer', { callId, sdp: sdpAnswer });
+  } else {
+    io.emit('browser-sdp-answer', { callId, sdp: sdpAnswer });
   }
+  console.log(`[CallManager] Browser leg connected for call ${callId} (socket: ${target || 'broadcast'})`);
+}
 
-  if (!state) {
-    console.warn(`[CallManager] No call state for outbound SDP answer: ${callId}`);
-    return;
+function closeBrowserLeg(state) {
+  if (state.bridge) state.bridge.stop();
+  if (state.browserOutput) state.browserOutput.close();
+  if (state.browserPeer) {
+    try { state.browserPeer.close(); } catch (e) { /* ignore */ }
   }
+  state.bridge = null;
+  state.browserOutput = null;
+  state.browserPeer = null;
+}
+
+// `refs` are the other ids the webhook carried: { opaque, phone }
+async function handleOutboundSdpAnswer(waCallId, sdpAnswer, io, refs = {}) {
+  const state = findWebhookCall('connect', { ...refs, callId: waCallId }, io);
+  if (!state) return;
+  const { callId } = state;
 
   console.log(`[CallManager] Received SDP answer for outbound call ${callId}`);
-  state.status = 'connected';
+  if (!setStatus(state, 'connected')) return;
 
   // Target SDP events to the specific socket that started the call
   const targetEmit = state.socketId ? (event, data) => {
@@ -220,6 +586,7 @@ async function handleOutboundSdpAnswer(callId, sdpAnswer, io) {
     // Server WebRTC mode - set remote description
     await webrtcBridge.setRemoteAnswer(state.whatsappPeer, sdpAnswer);
     console.log(`[CallManager] WebRTC connected to WhatsApp for call ${callId}`);
+    startRecording(state);
 
     // Signal browser to set up audio
     targetEmit('setup-browser-audio', { callId });
@@ -229,42 +596,27 @@ async function handleOutboundSdpAnswer(callId, sdpAnswer, io) {
   }
 
   // Broadcast call-connected to all clients (status update)
-  io.emit('call-connected', { callId, phone: state.recipientPhone });
+  broadcast(io, 'call-connected', { callId, phone: state.recipientPhone });
 }
 
-function handleOutboundStatus(callId, statusValue, io) {
-  let state = calls.get(callId);
-
-  // Fallback: search by active outbound call
-  if (!state) {
-    for (const [, s] of calls) {
-      if (s.direction === 'outbound' && ['ringing', 'accepted', 'awaiting_browser_sdp'].includes(s.status)) {
-        state = s;
-        break;
-      }
-    }
-  }
-
-  if (!state) {
-    console.warn(`[CallManager] No call state for status: ${callId}`);
-    return;
-  }
+function handleOutboundStatus(waCallId, statusValue, io, refs = {}) {
+  const state = findWebhookCall('status', { ...refs, callId: waCallId, detail: statusValue }, io);
+  if (!state) return;
+  const { callId } = state;
 
   console.log(`[CallManager] Call ${callId} status: ${statusValue}`);
 
   switch (statusValue) {
     case 'ringing':
-      state.status = 'ringing';
-      io.emit('call-ringing', { callId, phone: state.recipientPhone });
+      if (setStatus(state, 'ringing')) broadcast(io, 'call-ringing', { callId, phone: state.recipientPhone });
       break;
     case 'accepted':
-      state.status = 'accepted';
-      io.emit('call-accepted', { callId, phone: state.recipientPhone });
+      if (setStatus(state, 'accepted')) broadcast(io, 'call-accepted', { callId, phone: state.recipientPhone });
       break;
     case 'rejected':
-      state.status = 'rejected';
-      io.emit('call-rejected', { callId, phone: state.recipientPhone });
-      cleanup(callId);
+      if (!setStatus(state, 'rejected', 'user_rejected')) break;
+      broadcast(io, 'call-rejected', { callId, phone: state.recipientPhone });
+      cleanup(callId, 'user_rejected', io);
       break;
     default:
       io.emit('call-status', { callId, status: statusValue });
@@ -276,48 +628,284 @@ async function handleInboundCall(callId, from, sdpOffer, io) {
 
   const state = {
     callId,
+    waCallId: callId,
     direction: 'inbound',
     recipientPhone: from,
     status: 'incoming',
     whatsappSdpOffer: sdpOffer,
     whatsappPeer: null,
     browserPeer: null,
-    createdAt: new Date()
+    createdAt: new Date(),
+    ringingAt: new Date()
   };
 
-  calls.set(callId, state);
+  trackCall(state, io);
+  persistCall(state);
+  // Dashboards hear of it when agentManager offers the call
+  outgoingWebhooks.publish('call-incoming', { callId, phone: from, timestamp: state.createdAt.toISOString() });
+
+  const hours = schedule.getStatus('inbound');
+  if (!hours.open && schedule.getSchedule().closedAction !== 'offer') {
+    console.log(`[CallManager] Call ${callId} arrived while closed (${hours.reason})`);
+    handleClosedHours(state, io)
+      .catch(err => console.error(`[CallManager] Closed-hours handling failed for call ${callId}: ${err.message}`));
+    return;
+  }
+
+  if (ivr.isEnabled()) {
+    startIvr(state, io)
+      .catch(err => console.error(`[CallManager] IVR handling failed for call ${callId}: ${err.message}`));
+    return;
+  }
+
+  // Agents are logged in but all busy: answer it ourselves and hold it in the queue
+  if (callQueue.isEnabled() && agentManager.hasAgents() && !agentManager.hasAvailableAgent()) {
+    const queued = await queueInboundCall(state, io);
+    if (!queued) return;
+  }
+
+  startRingTimer(state, io);
+  agentManager.offerCall({ callId, from, timestamp: new Date().toISOString() }, io);
+}
+
+// Closed: take a message, or turn the caller away (optionally with a WhatsApp text)
+async function handleClosedHours(state, io) {
+  const { closedAction, closedMessage } = schedule.getSchedule();
+  await overflowCall(state, closedAction === 'voicemail' ? 'voicemail' : 'reject', 'after_hours', io);
+
+  if (closedAction === 'auto-reply' && closedMessage) {
+    try {
+      await whatsappApi.sendTextMessage(state.recipientPhone, closedMessage);
+    } catch (err) {
+      console.error(`[CallManager] Closed-hours reply to ${state.recipientPhone} failed: ${err.message}`);
+    }
+  }
+}
+
+// Unanswered after VOICEMAIL_RING_TIMEOUT: take a message instead
+function startRingTimer(state, io) {
+  if (!voicemail.isEnabled() || config.VOICEMAIL_RING_TIMEOUT <= 0) return;
+
+  state.ringTimer = setTimeout(() => {
+    if (state.status !== 'incoming') return;
+    console.log(`[CallManager] Call ${state.callId} unanswered after ${config.VOICEMAIL_RING_TIMEOUT}s`);
+    sendToVoicemail(state, 'no_answer', io)
+      .catch(err => console.error(`[CallManager] Voicemail failed for call ${state.callId}: ${err.message}`));
+  }, config.VOICEMAIL_RING_TIMEOUT * 1000);
+}
+
+// Answer (unless already answered for the queue/IVR), record a message, then hang up
+async function sendToVoicemail(state, reason, io) {
+  clearTimeout(state.ringTimer);
+  agentManager.releaseCall(state.callId, io);
+  callQueue.remove(state.callId, io);
+
+  if (!state.whatsappPeer) {
+    try {
+      await answerWithServerPeer(state);
+    } catch (err) {
+      console.error(`[CallManager] Could not answer call ${state.callId} for voicemail: ${err.message}`);
+      await overflowCall(state, 'reject', reason, io);
+      return;
+    }
+  }
+
+  if (!setStatus(state, 'voicemail', reason)) return;
+  broadcast(io, 'call-voicemail', { callId: state.callId, phone: state.recipientPhone, reason });
+
+  const message = await voicemail.record(state, reason);
+  if (message) broadcast(io, 'voicemail-new', message);
+  if (stateMachine.isTerminal(state.status)) return; // caller hung up while recording
+
+  try {
+    await whatsappApi.terminateCall(state.waCallId);
+  } catch (e) {
+    console.warn(`[CallManager] Error terminating call after voicemail: ${e.message}`);
+  }
+  setStatus(state, 'terminated', 'voicemail');
+  broadcast(io, 'call-ended', { callId: state.callId, phone: state.recipientPhone, reason: 'voicemail' });
+  cleanup(state.callId, 'voicemail', io);
+}
+
+// Server WebRTC mode: answer WhatsApp's SDP offer with a server-side peer (pre_accept, then accept)
+async function answerWithServerPeer(state) {
+  const whatsappPeer = webrtcBridge.createPeerConnection('wa-inbound');
+  state.whatsappPeer = whatsappPeer;
+  state.output = webrtcBridge.attachAudioOutput(whatsappPeer);
+
+  // Create SDP answer from the WhatsApp SDP offer
+  let sdpAnswer = await webrtcBridge.createAnswerSdp(whatsappPeer, state.whatsappSdpOffer);
+  sdpAnswer = webrtcBridge.filterSdpForWhatsApp(sdpAnswer);
+
+  // Step 1: Send pre_accept with SDP answer
+  await whatsappApi.answerCall(state.waCallId, 'pre_accept', sdpAnswer);
+  setStatus(state, 'pre_accepted');
+
+  // Step 2: Send accept with SDP answer (media only reaches the caller once accepted)
+  await whatsappApi.answerCall(state.waCallId, 'accept', sdpAnswer);
+}
+
+// Answers the call with the server peer and runs the IVR flow, then acts on where it ended
+async function startIvr(state, io) {
+  try {
+    await answerWithServerPeer(state);
+  } catch (err) {
+    console.error(`[CallManager] Could not answer call ${state.callId} for IVR: ${err.message}`);
+    agentManager.offerCall({ callId: state.callId, from: state.recipientPhone, timestamp: new Date().toISOString() }, io);
+    return;
+  }
+  if (!setStatus(state, 'ivr')) return;
+
+  let result;
+  try {
+    result = await ivr.runIvr(state, {
+      onNode: (node, def) => io.emit('call-ivr', { callId: state.callId, phone: state.recipientPhone, node, type: def.type })
+    });
+  } catch (err) {
+    // A broken flow shouldn't strand the caller - send them to an agent
+    console.error(`[CallManager] IVR failed for call ${state.callId}: ${err.message}`);
+    result = { action: 'transfer', queue: null, vars: {} };
+  }
+  if (stateMachine.isTerminal(state.status)) return; // caller hung up mid-flow
+
+  state.ivrVars = result.vars;
+  persistCall(state);
+
+  if (result.action === 'transfer') {
+    console.log(`[CallManager] IVR transferred call ${state.callId}${result.queue ? ` to ${result.queue}` : ''}`);
+    const offer = {
+      callId: state.callId,
+      from: state.recipientPhone,
+      timestamp: new Date().toISOString(),
+      context: { queue: result.queue, ivr: result.vars }
+    };
+    if (!callQueue.isEnabled()) return offerTransferredCall(state, offer, io);
+
+    // Already answered, so the caller waits on hold until an agent picks up
+    if (!(await queueInboundCall(state, io))) return;
+    agentManager.offerCall(offer, io);
+    return;
+  }
+
+  try {
+    await whatsappApi.terminateCall(state.waCallId);
+  } catch (e) {
+    console.warn(`[CallManager] Error terminating call after IVR: ${e.message}`);
+  }
+  setStatus(state, 'terminated', 'ivr_hangup');
+  broadcast(io, 'call-ended', { callId: state.callId, phone: state.recipientPhone, reason: 'ivr_hangup' });
+  cleanup(state.callId, 'ivr_hangup', io);
+}
+
+// Without the queue (QUEUE_ENABLED=false) a transferred caller is offered to agents
+// straight from the IVR, and like a ringing call goes to voicemail, or is hung up on,
+// when nobody answers in time
+function offerTransferredCall(state, offer, io) {
+  state.transferred = true;
+  const toVoicemail = voicemail.isEnabled() && config.VOICEMAIL_RING_TIMEOUT > 0;
+  const seconds = toVoicemail ? config.VOICEMAIL_RING_TIMEOUT : config.CALL_RINGING_TIMEOUT;
+  if (seconds > 0) {
+    state.ringTimer = setTimeout(() => {
+      if (state.status !== 'ivr') return;
+      console.log(`[CallManager] Transferred call ${state.callId} unanswered after ${seconds}s`);
+      overflowCall(state, toVoicemail ? 'voicemail' : 'reject', 'no_answer', io)
+        .catch(err => console.error(`[CallManager] Overflow failed for call ${state.callId}: ${err.message}`));
+    }, seconds * 1000);
+  }
+  agentManager.offerCall(offer, io);
+}
+
+// Returns false if the call was turned away instead of queued
+async function queueInboundCall(state, io) {
+  if (callQueue.isFull()) {
+    console.log(`[CallManager] Queue full (${config.QUEUE_MAX_SIZE}), overflowing call ${state.callId}`);
+    await overflowCall(state, config.QUEUE_FULL_ACTION, 'queue_full', io);
+    return false;
+  }
+
+  if (!state.whatsappPeer) {
+    try {
+      await answerWithServerPeer(state);
+    } catch (err) {
+      console.error(`[CallManager] Could not answer call ${state.callId} for queueing: ${err.message}`);
+      return true; // leave it ringing for agents
+    }
+  }
+
+  if (!setStatus(state, 'queued')) return false;
+  callQueue.enqueue(state, io, () => {
+    overflowCall(state, config.QUEUE_TIMEOUT_ACTION, 'queue_timeout', io)
+      .catch(err => console.error(`[CallManager] Queue timeout handling failed: ${err.message}`));
+  });
+  broadcast(io, 'call-queued', { callId: state.callId, phone: state.recipientPhone, position: callQueue.position(state.callId) });
+  return true;
+}
+
+async function overflowCall(state, action, reason, io) {
+  if (action === 'voicemail') {
+    if (voicemail.isEnabled()) return sendToVoicemail(state, reason, io);
+    console.warn(`[CallManager] Voicemail is disabled (VOICEMAIL_ENABLED), rejecting call ${state.callId}`);
+  }
+
+  // Queued calls were already answered and must be terminated; new ones can still be rejected
+  const answered = state.whatsappPeer !== null;
+  try {
+    if (answered) {
+      await whatsappApi.terminateCall(state.waCallId);
+    } else {
+      await whatsappApi.rejectCall(state.waCallId);
+    }
+  } catch (e) {
+    console.warn(`[CallManager] Error ending overflowed call: ${e.message}`);
+  }
 
-  io.emit('call-incoming', { callId, from, timestamp: new Date().toISOString() });
+  setStatus(state, answered ? 'terminated' : 'rejected', reason);
+  broadcast(io, 'call-ended', { callId: state.callId, phone: state.recipientPhone, reason });
+  cleanup(state.callId, reason, io);
 }
 
 async function acceptInboundCall(callId, io, socket) {
   const state = calls.get(callId);
   if (!state || state.direction !== 'inbound') {
-    throw new Error('No inbound call to accept');
+    throw new NotFoundError('No inbound call to accept');
+  }
+  if (socket && state.socketId !== socket.id && !hasCallCapacity(socket.id)) {
+    throw new ConflictError(`You are already on ${agentManager.maxCallsFor(socket.id)} call(s)`);
+  }
+  if (!['incoming', 'queued'].includes(state.status) && !(state.status === 'ivr' && state.transferred)) {
+    throw new ConflictError(`Call already ${state.status === 'accepting' ? 'being answered' : state.status}`);
   }
 
-  state.status = 'accepting';
+  clearTimeout(state.ringTimer);
+  if (socket) {
+    agentManager.claimCall(callId, socket.id, io);
+    state.socketId = socket.id;
+  } else {
+    agentManager.releaseCall(callId, io); // answered via REST: withdraw agent offers
+  }
   const emit = socket ? socket.emit.bind(socket) : io.emit.bind(io);
 
-  if (webrtcBridge.isAvailable()) {
-    // Server WebRTC mode
-    const whatsappPeer = webrtcBridge.createPeerConnection('wa-inbound');
-    state.whatsappPeer = whatsappPeer;
+  if (['queued', 'ivr'].includes(state.status)) {
+    // Already answered by the server - stop the hold audio and hand the media to the agent
+    callQueue.remove(callId, io, { served: true });
+    setStatus(state, 'connected');
+    startRecording(state);
 
-    // Create SDP answer from the WhatsApp SDP offer
-    let sdpAnswer = await webrtcBridge.createAnswerSdp(whatsappPeer, state.whatsappSdpOffer);
-    sdpAnswer = webrtcBridge.filterSdpForWhatsApp(sdpAnswer);
+    emit('setup-browser-audio', { callId });
+    broadcast(io, 'call-connected', { callId, phone: state.recipientPhone });
+    return;
+  }
 
-    // Step 1: Send pre_accept with SDP answer
-    await whatsappApi.answerCall(callId, 'pre_accept', sdpAnswer);
-    state.status = 'pre_accepted';
+  setStatus(state, 'accepting');
 
-    // Step 2: Send accept with SDP answer
-    await whatsappApi.answerCall(callId, 'accept', sdpAnswer);
-    state.status = 'connected';
+  if (webrtcBridge.isAvailable()) {
+    // Server WebRTC mode
+    await answerWithServerPeer(state);
+    setStatus(state, 'connected');
+    startRecording(state);
 
     emit('setup-browser-audio', { callId });
-    io.emit('call-connected', { callId, phone: state.recipientPhone });
+    broadcast(io, 'call-connected', { callId, phone: state.recipientPhone });
   } else {
     // Browser-only mode - forward SDP offer to browser for SDP answer generation
     // Browser will generate the answer, then handleBrowserSdpAnswer will send pre_accept + accept
@@ -330,20 +918,24 @@ async function handleBrowserSdpAnswer(callId, sdpAnswer, io) {
   if (!state) return;
 
   if (state.direction === 'inbound' && !webrtcBridge.isAvailable()) {
+    if (!stateMachine.canTransition(state.status, 'pre_accepted')) {
+      console.warn(`[CallManager] Ignoring browser answer for call ${callId} in ${state.status}`);
+      return;
+    }
     // Browser-only mode: browser generated answer for inbound call
     const filteredSdp = webrtcBridge.filterSdpForWhatsApp(sdpAnswer);
 
     // Step 1: pre_accept with SDP answer (establishes media connection)
-    await whatsappApi.answerCall(callId, 'pre_accept', filteredSdp);
-    state.status = 'pre_accepted';
+    await whatsappApi.answerCall(state.waCallId, 'pre_accept', filteredSdp);
+    setStatus(state, 'pre_accepted');
     console.log(`[CallManager] Inbound call ${callId} pre_accepted`);
 
     // Step 2: accept with SDP answer (formally answers the call)
-    await whatsappApi.answerCall(callId, 'accept', filteredSdp);
-    state.status = 'connected';
+    await whatsappApi.answerCall(state.waCallId, 'accept', filteredSdp);
+    if (!setStatus(state, 'connected')) return;
     console.log(`[CallManager] Inbound call ${callId} accepted and connected`);
 
-    io.emit('call-connected', { callId, phone: state.recipientPhone });
+    broadcast(io, 'call-connected', { callId, phone: state.recipientPhone });
   } else if (state.whatsappPeer) {
     // Server mode: browser answer for the browser-facing peer connection
     const browserPeer = state.browserPeer;
@@ -353,84 +945,250 @@ async function handleBrowserSdpAnswer(callId, sdpAnswer, io) {
   }
 }
 
-function handleTerminate(callId, io) {
-  const state = calls.get(callId);
+// `details` are Meta's { duration, status } plus the webhook's other ids { opaque, phone }
+function handleTerminate(waCallId, io, details = {}) {
+  const { opaque, phone, ...figures } = details;
+  const match = callIndex.resolve({ callId: waCallId, opaque, phone });
+  const state = match && calls.get(match.callId);
   if (!state) {
-    console.log(`[CallManager] Terminate for unknown call ${callId}`);
+    // Already ended and removed locally - still keep Meta's duration on the record
+    if (!cdr.updateFromTerminate(waCallId, figures)) {
+      addDeadLetter('terminate', { callId: waCallId, opaque, phone, detail: figures.status }, 'No call matches its ids', io);
+    }
+    return;
+  }
+  const { callId } = state;
+  details = figures;
+
+  if (details.duration != null) state.metaDuration = Number(details.duration);
+  if (details.status) state.metaStatus = details.status;
+
+  if (stateMachine.isTerminal(state.status)) {
+    // We ended it first (endCall/reject); the webhook only adds Meta's figures
+    persistCall(state);
+    cdr.updateFromTerminate(callId, details);
     return;
   }
 
   console.log(`[CallManager] Call ${callId} terminated`);
-  state.status = 'terminated';
-  io.emit('call-ended', { callId, phone: state.recipientPhone });
-  cleanup(callId);
+  setStatus(state, 'terminated', 'remote_hangup');
+  broadcast(io, 'call-ended', { callId, phone: state.recipientPhone });
+  cleanup(callId, 'remote_hangup', io);
 }
 
-async function rejectInboundCall(callId, io) {
+async function rejectInboundCall(callId, io, socket) {
   const state = calls.get(callId);
   if (!state || state.direction !== 'inbound') {
-    throw new Error('No inbound call to reject');
+    throw new NotFoundError('No inbound call to reject');
+  }
+  if (!stateMachine.canTransition(state.status, 'rejected')) {
+    throw new ConflictError(`Call is ${state.status}, it can no longer be rejected`);
+  }
+
+  // A routed call declined by one agent goes to the next one instead
+  if (socket && agentManager.declineOffer(callId, socket.id, io)) {
+    console.log(`[CallManager] Call ${callId} declined by ${socket.id}, offered to next agent`);
+    return;
+  }
+  // Nobody else free right now: a queued caller keeps waiting
+  if (socket && state.status === 'queued') {
+    console.log(`[CallManager] Queued call ${callId} declined, stays in queue`);
+    return;
   }
 
   try {
-    await whatsappApi.rejectCall(callId);
+    if (['queued', 'ivr', 'voicemail'].includes(state.status)) {
+      await whatsappApi.terminateCall(state.waCallId);
+    } else {
+      await whatsappApi.rejectCall(state.waCallId);
+    }
   } catch (e) {
     console.warn(`[CallManager] Error rejecting call: ${e.message}`);
   }
 
-  state.status = 'rejected';
-  io.emit('call-ended', { callId, phone: state.recipientPhone });
-  cleanup(callId);
+  setStatus(state, 'rejected', 'agent_rejected');
+  broadcast(io, 'call-ended', { callId, phone: state.recipientPhone });
+  cleanup(callId, 'agent_rejected', io);
 }
 
 async function endCall(callId, io) {
   const state = calls.get(callId);
-  if (!state) throw new Error('No active call');
-
-  try {
-    await whatsappApi.terminateCall(callId);
-  } catch (e) {
-    console.warn(`[CallManager] Error terminating call: ${e.message}`);
+  if (!state) throw new NotFoundError('No active call');
+  if (stateMachine.isTerminal(state.status)) return; // already over
+
+  // A call still waiting for the browser's offer never reached WhatsApp
+  if (state.waCallId) {
+    try {
+      await whatsappApi.terminateCall(state.waCallId);
+    } catch (e) {
+      console.warn(`[CallManager] Error terminating call: ${e.message}`);
+    }
   }
 
-  state.status = 'terminated';
-  io.emit('call-ended', { callId });
-  cleanup(callId);
+  setStatus(state, 'terminated', 'local_hangup');
+  broadcast(io, 'call-ended', { callId });
+  cleanup(callId, 'local_hangup', io);
+}
+
+// Runs in the background so a consent prompt doesn't hold up signaling
+function startRecording(state) {
+  recorder.startRecording(state)
+    .then(recording => {
+      if (!recording) return;
+      state.recording = recording;
+      persistCall(state);
+    })
+    .catch(err => console.error(`[CallManager] Recording failed for call ${state.callId}: ${err.message}`));
 }
 
-function cleanup(callId) {
+function cleanup(callId, reason, io) {
   const state = calls.get(callId);
   if (!state) return;
 
+  clearTimeout(state.ringTimer);
+  stateMachine.untrack(callId);
+  ivr.stop(callId);
+  voicemail.stop(callId);
+  callQueue.remove(callId, io);
+  if (io) agentManager.releaseCall(callId, io);
+
+  const recording = recorder.stopRecording(callId);
+  if (recording) state.recording = recording;
+
+  cdr.recordCall(state, reason);
+  callIndex.release(callId);
+
+  closeBrowserLeg(state);
+  if (state.output) state.output.close();
   if (state.whatsappPeer) {
     try { state.whatsappPeer.close(); } catch (e) { /* ignore */ }
   }
-  if (state.browserPeer) {
-    try { state.browserPeer.close(); } catch (e) { /* ignore */ }
-  }
 
-  // Keep in map for 5 minutes for status queries, then remove
-  setTimeout(() => calls.delete(callId), 5 * 60 * 1000);
+  // Keep for 5 minutes for status queries, then remove
+  scheduleRemoval(callId, RETENTION_MS);
+}
+
+// Housekeeping timers are unref'd so they never keep the process alive
+function scheduleRemoval(callId, delayMs) {
+  setTimeout(() => {
+    calls.delete(callId);
+    callStore.delete(callId);
+    callIndex.forget(callId);
+  }, delayMs).unref();
+}
+
+// A call left too long in one state (see callStateMachine): expire it, then end it at WhatsApp
+async function handleStateTimeout(state, status, io) {
+  const reason = `${status}_timeout`;
+  if (!setStatus(state, 'expired', reason)) return;
+  broadcast(io, 'call-ended', { callId: state.callId, phone: state.recipientPhone, reason });
+  cleanup(state.callId, reason, io);
+
+  if (!state.waCallId) return; // never reached WhatsApp
+  try {
+    if (status === 'incoming') {
+      await whatsappApi.rejectCall(state.waCallId);
+    } else {
+      await whatsappApi.terminateCall(state.waCallId);
+    }
+  } catch (e) {
+    console.warn(`[CallManager] Error ending timed out call ${state.callId}: ${e.message}`);
+  }
 }
 
 function resetCalls(io) {
-  let count = 0;
+  const callIds = [];
   for (const [id, s] of calls) {
-    if (['awaiting_browser_sdp', 'ringing', 'accepted', 'incoming'].includes(s.status)) {
-      s.status = 'reset';
-      cleanup(id);
-      count++;
+    if (['awaiting_browser_sdp', 'calling', 'ringing', 'accepted', 'incoming'].includes(s.status)) {
+      setStatus(s, 'reset');
+      cleanup(id, 'reset', io);
+      callIds.push(id);
     }
   }
-  if (io) io.emit('calls-reset', { count });
+  const count = callIds.length;
+  broadcast(io, 'calls-reset', { count, callIds });
   console.log(`[CallManager] Reset ${count} stuck call(s)`);
   return count;
 }
 
+// Called once on startup: expire lapsed permissions and reconcile calls that were
+// mid-flight when the process stopped. Their peer connections and sockets are gone,
+// so the only call worth keeping is an inbound one that may still be ringing.
+async function restore(io) {
+  const now = Date.now();
+
+  let permCount = 0;
+  for (const { phone } of permissionStore.all()) {
+    const perm = getPermission(phone);
+    if (perm.state !== 'granted_temporary') {
+      if (perm.state === 'granted_permanent') permCount++;
+      continue;
+    }
+    if (now > perm.expiresAt) {
+      setPermission(phone, 'expired', {}, null);
+    } else {
+      scheduleExpiry(perm, io);
+      permCount++;
+    }
+  }
+
+  let restored = 0;
+  let interrupted = 0;
+  for (const saved of callStore.all()) {
+    if (stateMachine.isTerminal(saved.status)) {
+      const age = now - new Date(saved.updatedAt).getTime();
+      scheduleRemoval(saved.callId, Math.max(RETENTION_MS - age, 0));
+      continue;
+    }
+
+    const age = now - new Date(saved.createdAt).getTime();
+    if (saved.direction === 'inbound' && saved.status === 'incoming' && age < INBOUND_RESTORE_WINDOW) {
+      const state = { ...saved, whatsappPeer: null, browserPeer: null };
+      trackCall(state, io);
+      startRingTimer(state, io);
+      agentManager.offerCall({ callId: saved.callId, from: saved.recipientPhone, timestamp: saved.createdAt }, io);
+      restored++;
+      continue;
+    }
+
+    // Only calls that reached WhatsApp can be ended remotely. Calls saved before waCallId
+    // existed were renamed to the WhatsApp id.
+    const waCallId = saved.waCallId || (saved.callId.startsWith('wacid') ? saved.callId : null);
+    if (waCallId) {
+      try {
+        if (saved.direction === 'inbound' && saved.status === 'incoming') {
+          await whatsappApi.rejectCall(waCallId);
+        } else {
+          await whatsappApi.terminateCall(waCallId);
+        }
+      } catch (e) {
+        console.warn(`[CallManager] Could not end interrupted call ${saved.callId}: ${e.message}`);
+      }
+    }
+
+    const state = { ...saved, waCallId, whatsappPeer: null, browserPeer: null };
+    trackCall(state, io);
+    setStatus(state, 'interrupted', 'server_restart');
+    cdr.recordCall(state, 'server_restart');
+    callIndex.release(saved.callId);
+    scheduleRemoval(saved.callId, RETENTION_MS);
+    interrupted++;
+  }
+
+  console.log(`[CallManager] Restored ${permCount} permission(s), ${restored} ringing call(s); ${interrupted} interrupted call(s) ended`);
+}
+
 module.exports = {
+  restore,
   getCallState,
   getAllCalls,
+  getCallHistory,
+  hasCallCapacity,
+  dialingSocket,
   getPermissionStatus,
+  onPermissionChange,
+  requestPermission,
+  handlePermissionReply,
   handlePermissionGranted,
   startOutboundCall,
   handleBrowserSdpOffer,
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const webrtcBridge = require('./webrtcBridge');
+const { loadPrompt, generateTone, concat } = require('./wav');
+
+// FIFO of inbound calls the server has answered itself while no agent is free.
+// Callers hear hold audio through the call's RTCAudioSource output; routing to agents
+// stays in agentManager, which offers waiting calls in arrival order.
+
+const queue = []; // [{ state, enqueuedAt, waitTimer, announceTimer }]
+let statsTimer = null;
+let servedWaits = []; // wait seconds of the last calls handed to agents
+
+let holdAudio = null;
+const badPrompts = new Set(); // files that failed to load, played as the generated audio instead
+
+// A missing or unusable WAV (not 16-bit mono, ...) must not take a waiting call down with it
+function tryLoadPrompt(file, sampleRate) {
+  if (badPrompts.has(file)) return null;
+  try {
+    return loadPrompt(file, sampleRate);
+  } catch (err) {
+    console.warn(`[Queue] Can't use ${file}, playing the default instead: ${err.message}`);
+    badPrompts.add(file);
+    return null;
+  }
+}
+
+function getHoldAudio(sampleRate) {
+  if (holdAudio && holdAudio.sampleRate === sampleRate) return holdAudio.samples;
+
+  // Default: a soft C-E-G chime followed by silence
+  const samples = (config.QUEUE_HOLD_MUSIC && tryLoadPrompt(config.QUEUE_HOLD_MUSIC, sampleRate)) || concat(
+    generateTone(523, 300, sampleRate, 0.1),
+    generateTone(659, 300, sampleRate, 0.1),
+    generateTone(784, 300, sampleRate, 0.1),
+    new Int16Array(sampleRate * 2)
+  );
+  holdAudio = { sampleRate, samples };
+  return samples;
+}
+
+// "You are caller number N": position-<n>.wav from QUEUE_PROMPTS_DIR if present, else N short beeps
+function getPositionAnnouncement(position, sampleRate) {
+  if (config.QUEUE_PROMPTS_DIR) {
+    const file = path.join(config.QUEUE_PROMPTS_DIR, `position-${position}.wav`);
+    const samples = fs.existsSync(file) && tryLoadPrompt(file, sampleRate);
+    if (samples) return samples;
+  }
+
+  const parts = [new Int16Array(sampleRate / 2)];
+  for (let i = 0; i < Math.min(position, 9); i++) {
+    parts.push(generateTone(880, 150, sampleRate, 0.2), new Int16Array(sampleRate / 5));
+  }
+  parts.push(new Int16Array(sampleRate / 2));
+  return concat(...parts);
+}
+
+function isEnabled() {
+  return config.QUEUE_ENABLED && webrtcBridge.isAvailable();
+}
+
+function isFull() {
+  return queue.length >= config.QUEUE_MAX_SIZE;
+}
+
+function position(callId) {
+  return queue.findIndex(entry => entry.state.callId === callId) + 1;
+}
+
+function playHold(entry) {
+  const { output } = entry.state;
+  if (!output) return;
+  output.play(getHoldAudio(output.sampleRate), { loop: true });
+}
+
+function announcePosition(entry) {
+  const { output } = entry.state;
+  const pos = position(entry.state.callId);
+  if (!output || !pos) return;
+
+  output.play(getPositionAnnouncement(pos, output.sampleRate))
+    .then(() => {
+      // Resume hold audio unless the call left the queue during the announcement
+      if (position(entry.state.callId)) playHold(entry);
+    })
+    .catch(err => console.error(`[Queue] Audio for call ${entry.state.callId} failed: ${err.message}`));
+}
+
+function getStats() {
+  const now = Date.now();
+  const entries = queue.map((entry, i) => ({
+    callId: entry.state.callId,
+    phone: entry.state.recipientPhone,
+    position: i + 1,
+    waitSeconds: Math.round((now - entry.enqueuedAt) / 1000)
+  }));
+
+  return {
+    depth: queue.length,
+    maxSize: config.QUEUE_MAX_SIZE,
+    maxWaitSeconds: config.QUEUE_MAX_WAIT,
+    longestWaitSeconds: entries.length ? entries[0].waitSeconds : 0,
+    averageServedWaitSeconds: servedWaits.length
+      ? Math.round(servedWaits.reduce((a, b) => a + b, 0) / servedWaits.length)
+      : 0,
+    entries
+  };
+}
+
+function broadcastStats(io) {
+  io.emit('queue-updated', getStats());
+
+  // Keep wait times ticking on dashboards while anyone is waiting
+  if (queue.length && !statsTimer) {
+    statsTimer = setInterval(() => io.emit('queue-updated', getStats()), 5000);
+  } else if (!queue.length && statsTimer) {
+    clearInterval(statsTimer);
+    statsTimer = null;
+  }
+}
+
+// `onTimeout` runs when the caller has waited QUEUE_MAX_WAIT seconds
+function enqueue(state, io, onTimeout) {
+  const entry = { state, enqueuedAt: Date.now(), waitTimer: null, announceTimer: null };
+  queue.push(entry);
+
+  entry.waitTimer = setTimeout(() => {
+    console.log(`[Queue] Call ${state.callId} waited ${config.QUEUE_MAX_WAIT}s, overflowing`);
+    onTimeout();
+  }, config.QUEUE_MAX_WAIT * 1000);
+
+  if (config.QUEUE_ANNOUNCE_INTERVAL > 0) {
+    entry.announceTimer = setInterval(() => announcePosition(entry), config.QUEUE_ANNOUNCE_INTERVAL * 1000);
+  }
+
+  announcePosition(entry);
+  console.log(`[Queue] Call ${state.callId} queued at position ${queue.length}`);
+  broadcastStats(io);
+  return queue.length;
+}
+
+// Removes a call from the queue (answered, hung up or overflowed) and silences the hold audio
+function remove(callId, io, { served = false } = {}) {
+  const index = queue.findIndex(entry => entry.state.callId === callId);
+  if (index === -1) return false;
+
+  const [entry] = queue.splice(index, 1);
+  clearTimeout(entry.waitTimer);
+  clearInterval(entry.announceTimer);
+  if (entry.state.output) entry.state.output.stop();
+
+  if (served) {
+    servedWaits = [...servedWaits, Math.round((Date.now() - entry.enqueuedAt) / 1000)].slice(-20);
+  }
+
+  console.log(`[Queue] Call ${callId} left the queue${served ? ' (answered)' : ''}`);
+  if (io) broadcastStats(io);
+  return true;
+}
+
+module.exports = {
+  isEnabled,
+  isFull,
+  position,
+  getStats,
+  enqueue,
+  remove
+};
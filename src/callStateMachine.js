@@ -0,0 +1,123 @@
+const config = require('./config');
+
+// Call states, the states each may move to, and how long a call may sit in it before
+// it is timed out. Every status change goes through transition(); anything not listed
+// here is logged and refused. Each call keeps its changes in state.history.
+const ENDINGS = ['terminated', 'failed', 'expired', 'reset', 'interrupted'];
+const TERMINAL_STATES = ['rejected', ...ENDINGS];
+
+const STATES = {
+  // Outbound
+  awaiting_browser_sdp: { next: ['calling'], timeout: 'CALL_SDP_TIMEOUT' },
+  calling: { next: ['ringing', 'accepted', 'connected', 'rejected'], timeout: 'CALL_SDP_TIMEOUT' },
+  ringing: { next: ['accepted', 'connected', 'rejected'], timeout: 'CALL_RINGING_TIMEOUT' },
+  accepted: { next: ['connected', 'rejected'], timeout: 'CALL_ACCEPT_TIMEOUT' },
+  // Inbound
+  incoming: { next: ['accepting', 'pre_accepted', 'rejected'], timeout: 'CALL_RINGING_TIMEOUT' },
+  accepting: { next: ['pre_accepted', 'connected', 'rejected'], timeout: 'CALL_ACCEPT_TIMEOUT' },
+  pre_accepted: { next: ['connected', 'ivr', 'queued', 'voicemail', 'rejected'], timeout: 'CALL_ACCEPT_TIMEOUT' },
+  ivr: { next: ['queued', 'connected', 'voicemail', 'rejected'] }, // connected: transferred without the queue
+  queued: { next: ['connected', 'voicemail', 'rejected'] },
+  voicemail: { next: ['rejected'] },
+  // Both
+  connected: { next: [] }
+};
+
+const tracked = new Map(); // callId -> { onTimeout, timer }
+const listeners = [];
+
+function isTerminal(status) {
+  return TERMINAL_STATES.includes(status);
+}
+
+function canTransition(from, to) {
+  if (isTerminal(from)) return false;
+  return ENDINGS.includes(to) || Boolean(STATES[from]?.next.includes(to));
+}
+
+// Seconds a call may stay in `status`, 0 = no limit
+function timeoutFor(status) {
+  const key = STATES[status]?.timeout;
+  return key ? config[key] : 0;
+}
+
+function record(state, entry) {
+  if (!state.history) state.history = [];
+  state.history.push({ ...entry, at: new Date().toISOString() });
+}
+
+function armTimer(state) {
+  const entry = tracked.get(state.callId);
+  if (!entry) return;
+  clearTimeout(entry.timer);
+  entry.timer = null;
+
+  const seconds = timeoutFor(state.status);
+  if (!seconds) return;
+  const status = state.status;
+  entry.timer = setTimeout(() => {
+    if (state.status !== status) return;
+    console.log(`[CallState] Call ${state.callId} timed out in ${status} after ${seconds}s`);
+    entry.onTimeout(state, status);
+  }, seconds * 1000).unref();
+}
+
+// Starts timing a live call in its current status. `onTimeout(state, status)` ends it.
+function track(state, { onTimeout }) {
+  tracked.set(state.callId, { onTimeout, timer: null });
+  if (!state.history?.length) record(state, { from: null, to: state.status });
+  armTimer(state);
+}
+
+function untrack(callId) {
+  clearTimeout(tracked.get(callId)?.timer);
+  tracked.delete(callId);
+}
+
+// Returns false, without changing anything, when the call is already in `to` or may not
+// move there
+function transition(state, to, reason = null) {
+  const from = state.status;
+  if (from === to) return false;
+  if (!STATES[to] && !TERMINAL_STATES.includes(to)) throw new Error(`Unknown call state: ${to}`);
+
+  if (!canTransition(from, to)) {
+    console.warn(`[CallState] Refused ${from} -> ${to} for call ${state.callId}${reason ? ` (${reason})` : ''}`);
+    record(state, { from, to, reason, rejected: true });
+    return false;
+  }
+
+  state.status = to;
+  record(state, { from, to, reason });
+  if (isTerminal(to)) {
+    untrack(state.callId);
+  } else {
+    armTimer(state);
+  }
+
+  for (const listener of listeners) {
+    try {
+      listener(state, from, to, reason);
+    } catch (err) {
+      console.error(`[CallState] Transition hook failed for call ${state.callId}: ${err.message}`);
+    }
+  }
+  return true;
+}
+
+// Runs after every accepted transition as listener(state, from, to, reason)
+function onTransition(listener) {
+  listeners.push(listener);
+}
+
+module.exports = {
+  STATES,
+  TERMINAL_STATES,
+  isTerminal,
+  canTransition,
+  timeoutFor,
+  track,
+  untrack,
+  transition,
+  onTransition
+};
@@ -0,0 +1,621 @@
+const store = require('./store');
+const schedule = require('./schedule');
+const callManager = require('./callManager');
+const stateMachine = require('./callStateMachine');
+const { normalizePhone } = require('./permissionLedger');
+const { ValidationError, NotFoundError, ConflictError, ForbiddenError, RateLimitError } = require('./errors');
+
+// Outbound calling campaigns. Each contact of a list (usually a CSV upload) is sent a call
+// permission request, and once granted is called by the dialer whenever the calling window
+// is open, a dashboard or agent is free and pacing allows. Unanswered calls are retried.
+//
+// Contact statuses:
+//   pending              nothing sent yet
+//   awaiting_permission  request sent, or held back by Meta's limits (blockedBy)
+//   ready                may be called from nextAttemptAt on
+//   calling              on a call (the last attempt)
+//   completed            answered
+//   declined             refused the permission request
+//   rejected             rejected the call
+//   unreachable          not answered after maxAttempts
+//   no_permission        no grant within permissionTimeoutHours, or it was withdrawn
+//   cancelled            the campaign was cancelled first
+const campaigns = new Map(); // id -> Campaign; every change is mirrored to the store
+const campaignStore = store.collection('campaigns');        // id -> Campaign, without contacts
+const contactStore = store.collection('campaign_contacts'); // "<campaign id>:<phone>" -> Contact + { campaignId, position }
+const changed = new Set(); // contacts not saved since they last changed
+let loaded = false;
+
+const FINAL_STATUSES = ['completed', 'declined', 'rejected', 'unreachable', 'no_permission', 'cancelled'];
+const OUTCOMES = ['answered', 'no_answer', 'rejected', 'failed'];
+const TICK_MS = 1000;
+const REQUESTS_PER_TICK = 5;      // permission requests sent per campaign per tick
+const BLOCKED_RECHECK_MS = 60 * 1000;
+
+const DEFAULT_SETTINGS = {
+  templateName: 'call_permission',
+  language: 'en_US',
+  components: null,            // permission template parameters, see templates.buildComponents
+  maxConcurrent: 1,            // calls of this campaign at once
+  pacingSeconds: 10,           // between two dials
+  maxAttempts: 3,
+  retryDelayMinutes: 30,
+  retryOn: ['no_answer', 'failed'],
+  permissionTimeoutHours: 24,
+  callingHours: null           // e.g. "Mon-Fri 10:00-16:00", on top of the outbound schedule
+};
+
+let counter = 0;
+let dialerIo = null;
+let tickTimer = null;
+let kickTimer = null;
+let ticking = false;
+let tickAgain = false;
+let touched = 0; // contact changes so far, see touch()
+
+// ── CSV ──
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',' || ch === ';' || ch === '\t') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+  return rows.filter(r => r.some(Boolean));
+}
+
+const PHONE_COLUMNS = ['phone', 'phone_number', 'number', 'wa_id', 'mobile'];
+
+// A header row names the phone column (and optionally `name`); without one the first
+// column is the phone and the second the name. Other columns are kept as `fields`.
+function contactsFromCsv(text) {
+  const rows = parseCsv(text);
+  const header = rows[0]?.map(h => h.toLowerCase().replace(/\s+/g, '_'));
+  const hasHeader = Boolean(header?.some(h => PHONE_COLUMNS.includes(h)));
+  if (!hasHeader) return rows.map(([phone, name]) => ({ phone, name }));
+
+  const phoneAt = header.findIndex(h => PHONE_COLUMNS.includes(h));
+  const nameAt = header.indexOf('name');
+  return rows.slice(1).map(cells => {
+    const fields = {};
+    header.forEach((h, i) => {
+      if (i !== phoneAt && i !== nameAt && h) fields[h] = cells[i] || '';
+    });
+    return { phone: cells[phoneAt], name: nameAt >= 0 ? cells[nameAt] : '', fields };
+  });
+}
+
+// ── Campaigns ──
+
+function integer(value, field, min) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min) throw new ValidationError(`${field} must be a whole number of at least ${min}`);
+  return n;
+}
+
+function normalizeSettings(input) {
+  const settings = { ...DEFAULT_SETTINGS };
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (input[key] !== undefined && input[key] !== '') settings[key] = input[key];
+  }
+
+  settings.maxConcurrent = integer(settings.maxConcurrent, 'maxConcurrent', 1);
+  settings.pacingSeconds = integer(settings.pacingSeconds, 'pacingSeconds', 0);
+  settings.maxAttempts = integer(settings.maxAttempts, 'maxAttempts', 1);
+  settings.retryDelayMinutes = integer(settings.retryDelayMinutes, 'retryDelayMinutes', 0);
+  settings.permissionTimeoutHours = integer(settings.permissionTimeoutHours, 'permissionTimeoutHours', 1);
+
+  if (typeof settings.retryOn === 'string') settings.retryOn = settings.retryOn.split(',').map(s => s.trim()).filter(Boolean);
+  const unknown = [].concat(settings.retryOn).filter(o => !OUTCOMES.includes(o) || o === 'answered');
+  if (!Array.isArray(settings.retryOn) || unknown.length) {
+    throw new ValidationError(`retryOn takes ${OUTCOMES.filter(o => o !== 'answered').join(', ')}`);
+  }
+
+  if (settings.callingHours) {
+    const hours = schedule.parseBusinessHours(settings.callingHours);
+    if (!hours.length) throw new ValidationError('callingHours has no hours');
+    settings.callingHours = String(settings.callingHours);
+  }
+  return settings;
+}
+
+function newContact(phone, name, fields) {
+  return {
+    phone,
+    name: name || '',
+    fields: fields || {},
+    status: 'pending',
+    blockedBy: null,            // permission request held back: Meta's rule, or 'error'
+    waitingSince: null,         // first time a grant was waited for
+    permissionRequestedAt: null,
+    nextCheckAt: null,
+    nextAttemptAt: null,
+    attempts: [],               // [{ callId, startedAt, endedAt, outcome, reason }]
+    outcome: null,
+    error: null,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+// `input`: { name, csv or contacts: [{ phone, name, fields }], ...settings }. Rows without
+// a usable number and repeated numbers are returned in `skipped`.
+function createCampaign(input, io) {
+  const rows = input.csv ? contactsFromCsv(input.csv) : input.contacts;
+  if (!Array.isArray(rows) || !rows.length) throw new ValidationError('csv or contacts with at least one phone number is required');
+
+  const contacts = [];
+  const skipped = [];
+  const seen = new Set();
+  rows.forEach((row, i) => {
+    const phone = normalizePhone(row.phone);
+    if (phone.length < 7) return skipped.push({ row: i + 1, phone: row.phone || '', reason: 'invalid phone number' });
+    if (seen.has(phone)) return skipped.push({ row: i + 1, phone, reason: 'duplicate' });
+    seen.add(phone);
+    contacts.push(newContact(phone, row.name, row.fields));
+  });
+  contacts.forEach(contact => changed.add(contact));
+  if (!contacts.length) throw new ValidationError('No valid phone numbers in the list', { details: { skipped } });
+
+  const campaign = {
+    id: `cmp_${Date.now()}_${counter++}`,
+    name: String(input.name || '').trim() || `Campaign ${new Date().toISOString().slice(0, 16).replace('T', ' ')}`,
+    status: 'draft',
+    settings: normalizeSettings(input),
+    waitingFor: null,           // why the dialer is holding back: 'window', 'agent' or 'capacity'
+    error: null,
+    lastDialAt: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    contacts
+  };
+  save(campaign, io);
+  console.log(`[Campaigns] Created ${campaign.id} "${campaign.name}" with ${contacts.length} contact(s), ${skipped.length} skipped`);
+
+  if (input.start === true || input.start === 'true') startCampaign(campaign.id, io);
+  return { campaign, skipped };
+}
+
+function allCampaigns() {
+  if (!loaded) {
+    const stored = new Map();
+    for (const { campaignId, position, ...contact } of contactStore.all()) {
+      if (!stored.has(campaignId)) stored.set(campaignId, []);
+      stored.get(campaignId)[position] = contact;
+    }
+    for (const campaign of campaignStore.all()) {
+      if (campaign.contacts) {
+        // Saved with its contacts inline by an older version: they move out on the next save
+        campaign.contacts.forEach(contact => changed.add(contact));
+      } else {
+        campaign.contacts = (stored.get(campaign.id) || []).filter(Boolean);
+      }
+      campaigns.set(campaign.id, campaign);
+    }
+    loaded = true;
+  }
+  return [...campaigns.values()];
+}
+
+function getCampaign(id) {
+  allCampaigns();
+  const campaign = campaigns.get(id);
+  if (!campaign) throw new NotFoundError('Campaign not found', { details: { campaignId: id } });
+  return campaign;
+}
+
+// Everything but the contact list, with a count per contact status
+function summarize(campaign) {
+  const { contacts, ...summary } = campaign;
+  const counts = {};
+  for (const contact of contacts) counts[contact.status] = (counts[contact.status] || 0) + 1;
+  const done = contacts.filter(c => FINAL_STATUSES.includes(c.status)).length;
+  return {
+    ...summary,
+    total: contacts.length,
+    done,
+    counts,
+    calls: contacts.reduce((n, c) => n + c.attempts.length, 0)
+  };
+}
+
+// Newest first
+function listCampaigns() {
+  return allCampaigns()
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id))
+    .map(summarize);
+}
+
+// Writes the campaign and those of its contacts that changed
+function save(campaign, io = dialerIo) {
+  const { contacts, ...fields } = campaign;
+  campaigns.set(campaign.id, campaign);
+  campaignStore.set(campaign.id, fields);
+  contacts.forEach((contact, position) => {
+    if (!changed.delete(contact)) return;
+    contactStore.set(`${campaign.id}:${contact.phone}`, { ...contact, campaignId: campaign.id, position });
+  });
+  if (io) io.emit('campaign-updated', summarize(campaign));
+}
+
+function touch(contact, status, fields = {}) {
+  Object.assign(contact, fields, { status, updatedAt: new Date().toISOString() });
+  changed.add(contact);
+  touched++;
+}
+
+// The campaign's own fields, to tell whether a dialer pass changed any
+function fieldsOf(campaign) {
+  const { contacts, ...fields } = campaign;
+  return JSON.stringify(fields);
+}
+
+function startCampaign(id, io) {
+  const campaign = getCampaign(id);
+  if (!['draft', 'paused'].includes(campaign.status)) {
+    throw new ConflictError(`Campaign is ${campaign.status}, it can't be started`);
+  }
+  campaign.status = 'running';
+  campaign.startedAt = campaign.startedAt || new Date().toISOString();
+  campaign.error = null;
+  save(campaign, io);
+  console.log(`[Campaigns] ${campaign.id} running`);
+  kick();
+  return campaign;
+}
+
+// Calls in progress carry on; nothing new is sent or dialed
+function pauseCampaign(id, io) {
+  const campaign = getCampaign(id);
+  if (campaign.status !== 'running') throw new ConflictError(`Campaign is ${campaign.status}, it can't be paused`);
+  campaign.status = 'paused';
+  campaign.waitingFor = null;
+  save(campaign, io);
+  console.log(`[Campaigns] ${campaign.id} paused`);
+  return campaign;
+}
+
+function cancelCampaign(id, io) {
+  const campaign = getCampaign(id);
+  if (['completed', 'cancelled'].includes(campaign.status)) {
+    throw new ConflictError(`Campaign is already ${campaign.status}`);
+  }
+  for (const contact of campaign.contacts) {
+    if (!FINAL_STATUSES.includes(contact.status) && contact.status !== 'calling') touch(contact, 'cancelled');
+  }
+  campaign.status = 'cancelled';
+  campaign.waitingFor = null;
+  campaign.finishedAt = new Date().toISOString();
+  save(campaign, io);
+  console.log(`[Campaigns] ${campaign.id} cancelled`);
+  return campaign;
+}
+
+function finishIfDone(campaign) {
+  if (campaign.status !== 'running' || !campaign.contacts.every(c => FINAL_STATUSES.includes(c.status))) return;
+  campaign.status = 'completed';
+  campaign.waitingFor = null;
+  campaign.finishedAt = new Date().toISOString();
+  console.log(`[Campaigns] ${campaign.id} completed`);
+}
+
+// ── Permissions ──
+
+function isDue(at, now) {
+  return !at || new Date(at).getTime() <= now;
+}
+
+async function requestPermissionFor(campaign, contact, now) {
+  const status = await callManager.getPermissionStatus(contact.phone);
+  if (status.granted) {
+    touch(contact, 'ready', { blockedBy: null, nextAttemptAt: null });
+    return;
+  }
+
+  const { templateName, language, components } = campaign.settings;
+  const waitingSince = contact.waitingSince || new Date(now).toISOString();
+  try {
+    await callManager.requestPermission(contact.phone, { templateName, language, components }, dialerIo);
+    touch(contact, 'awaiting_permission', { blockedBy: null, error: null, waitingSince, permissionRequestedAt: new Date().toISOString() });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      // The template itself is wrong: every other request would fail the same way
+      campaign.status = 'paused';
+      campaign.error = err.message;
+      console.warn(`[Campaigns] ${campaign.id} paused: ${err.message}`);
+      return;
+    }
+    // Meta's limits (no open conversation, 24h/7d) or a failed send: try again later
+    const nextCheckAt = (err instanceof RateLimitError && err.details.nextAllowedAt) || new Date(now + BLOCKED_RECHECK_MS).toISOString();
+    touch(contact, 'awaiting_permission', {
+      blockedBy: err instanceof RateLimitError ? err.details.rule : 'error',
+      error: err.message,
+      waitingSince,
+      nextCheckAt
+    });
+  }
+}
+
+async function advancePermissions(campaign, now) {
+  let sent = 0;
+  for (const contact of campaign.contacts) {
+    if (campaign.status !== 'running') return;
+
+    if (contact.status === 'awaiting_permission' &&
+        now - new Date(contact.waitingSince).getTime() > campaign.settings.permissionTimeoutHours * 3600000) {
+      touch(contact, 'no_permission', { outcome: null, error: contact.error || 'No reply to the permission request' });
+      continue;
+    }
+
+    const due = contact.status === 'pending' ||
+      (contact.status === 'awaiting_permission' && contact.blockedBy && isDue(contact.nextCheckAt, now));
+    if (!due || sent >= REQUESTS_PER_TICK) continue;
+    sent++;
+    await requestPermissionFor(campaign, contact, now);
+  }
+}
+
+// Grants and refusals arrive by webhook (or the dashboard's manual grant)
+callManager.onPermissionChange((permission, io) => {
+  for (const campaign of allCampaigns()) {
+    if (!['running', 'paused'].includes(campaign.status)) continue;
+    const contact = campaign.contacts.find(c => c.phone === permission.phone);
+    if (!contact || !['pending', 'awaiting_permission', 'ready'].includes(contact.status)) continue;
+
+    if (permission.granted && contact.status !== 'ready') {
+      touch(contact, 'ready', { blockedBy: null, error: null, nextAttemptAt: null });
+    } else if (['rejected', 'revoked'].includes(permission.state) && contact.status === 'awaiting_permission' && contact.permissionRequestedAt) {
+      touch(contact, 'declined', { outcome: null });
+    } else {
+      continue;
+    }
+    finishIfDone(campaign);
+    save(campaign, io || dialerIo);
+    kick();
+  }
+});
+
+// ── Dialing ──
+
+function windowOpen(campaign, now) {
+  const { callingHours } = campaign.settings;
+  if (!schedule.isOpen('outbound', new Date(now))) return false;
+  return !callingHours || schedule.isWithinHours(schedule.parseBusinessHours(callingHours), new Date(now));
+}
+
+async function dialNext(campaign, now) {
+  const { settings } = campaign;
+  const calling = campaign.contacts.filter(c => c.status === 'calling').length;
+  if (calling >= settings.maxConcurrent) return false;
+  if (campaign.lastDialAt && now - new Date(campaign.lastDialAt).getTime() < settings.pacingSeconds * 1000) return false;
+
+  const contact = campaign.contacts.find(c => c.status === 'ready' && isDue(c.nextAttemptAt, now));
+  if (!contact) return false;
+
+  if (!windowOpen(campaign, now)) {
+    campaign.waitingFor = 'window';
+    return false;
+  }
+
+  let socket;
+  try {
+    socket = await callManager.dialingSocket(dialerIo);
+  } catch (err) {
+    socket = null;
+  }
+  // In server WebRTC mode there is no error, just no socket: nobody would take the call
+  if (!socket) {
+    campaign.waitingFor = 'agent';
+    return false;
+  }
+
+  const attempt = { callId: null, startedAt: new Date().toISOString(), endedAt: null, outcome: null, reason: null };
+  try {
+    const { callId } = await callManager.startOutboundCall(contact.phone, dialerIo, socket);
+    attempt.callId = callId;
+  } catch (err) {
+    if (err instanceof ConflictError && err.details.limit) {
+      // MAX_OUTBOUND_CALLS or the dashboard's limit: wait for a free slot
+      campaign.waitingFor = 'capacity';
+      return false;
+    }
+    if (err instanceof ConflictError) {
+      // Already on a call with someone else: try again later without using up an attempt
+      touch(contact, 'ready', { nextAttemptAt: new Date(now + settings.retryDelayMinutes * 60000).toISOString(), error: err.message });
+      return true;
+    }
+    if (err instanceof ForbiddenError) {
+      touch(contact, 'no_permission', { error: err.message });
+      return true;
+    }
+    console.warn(`[Campaigns] Call to ${contact.phone} for ${campaign.id} failed: ${err.message}`);
+    contact.attempts.push({ ...attempt, endedAt: new Date().toISOString(), outcome: 'failed', reason: err.message });
+    applyOutcome(campaign, contact, 'failed', now);
+    campaign.lastDialAt = new Date(now).toISOString();
+    return true;
+  }
+
+  contact.attempts.push(attempt);
+  touch(contact, 'calling', { error: null });
+  campaign.waitingFor = null;
+  campaign.lastDialAt = new Date(now).toISOString();
+  console.log(`[Campaigns] ${campaign.id}: calling ${contact.phone} (attempt ${contact.attempts.length}/${settings.maxAttempts}, call ${attempt.callId})`);
+  return true;
+}
+
+function applyOutcome(campaign, contact, outcome, now) {
+  const { settings } = campaign;
+  if (outcome === 'answered') return touch(contact, 'completed', { outcome });
+  if (outcome === 'rejected' && !settings.retryOn.includes('rejected')) return touch(contact, 'rejected', { outcome });
+
+  if (settings.retryOn.includes(outcome) && contact.attempts.length < settings.maxAttempts) {
+    if (campaign.status === 'cancelled') return touch(contact, 'cancelled', { outcome });
+    return touch(contact, 'ready', { outcome, nextAttemptAt: new Date(now + settings.retryDelayMinutes * 60000).toISOString() });
+  }
+  touch(contact, outcome === 'rejected' ? 'rejected' : 'unreachable', { outcome });
+}
+
+// What a campaign call came to, from how it ended (see callStateMachine)
+function callOutcome(state, to) {
+  if (state.connectedAt) return 'answered';
+  if (to === 'rejected') return 'rejected';
+  if (['failed', 'interrupted', 'reset'].includes(to)) return 'failed';
+  if (to === 'expired' && !state.ringingAt) return 'failed'; // never reached the phone
+  return 'no_answer'; // ring timeout, Meta's FAILED terminate, or the agent gave up first
+}
+
+function findAttempt(callId) {
+  for (const campaign of allCampaigns()) {
+    for (const contact of campaign.contacts) {
+      const attempt = contact.attempts.find(a => a.callId === callId);
+      if (attempt) return { campaign, contact, attempt };
+    }
+  }
+  return null;
+}
+
+function endAttempt(campaign, contact, attempt, outcome, reason) {
+  if (!attempt) {
+    touch(contact, 'ready');
+  } else if (attempt.endedAt) {
+    return;
+  }
+  if (attempt) {
+    Object.assign(attempt, { endedAt: new Date().toISOString(), outcome, reason });
+    changed.add(contact);
+    if (contact.status === 'calling') applyOutcome(campaign, contact, outcome, Date.now());
+    console.log(`[Campaigns] ${campaign.id}: call to ${contact.phone} ${outcome}${reason ? ` (${reason})` : ''}`);
+  }
+  finishIfDone(campaign);
+  save(campaign);
+  kick();
+}
+
+stateMachine.onTransition((state, from, to, reason) => {
+  if (state.direction !== 'outbound' || !stateMachine.isTerminal(to)) return;
+  const found = findAttempt(state.callId);
+  if (found) endAttempt(found.campaign, found.contact, found.attempt, callOutcome(state, to), reason);
+});
+
+// ── Dialer ──
+
+// Saved and broadcast only if something changed: most ticks of a running campaign find
+// nothing to do
+async function advance(campaign) {
+  const now = Date.now();
+  const before = { touched, fields: fieldsOf(campaign) };
+  await advancePermissions(campaign, now);
+  while (campaign.status === 'running' && await dialNext(campaign, Date.now())) {
+    // dial as many as maxConcurrent and pacing allow
+  }
+  finishIfDone(campaign);
+  if (touched !== before.touched || fieldsOf(campaign) !== before.fields) save(campaign);
+}
+
+async function tick() {
+  if (ticking) {
+    tickAgain = true;
+    return;
+  }
+  ticking = true;
+  try {
+    for (const campaign of allCampaigns()) {
+      if (campaign.status !== 'running') continue;
+      try {
+        await advance(campaign);
+      } catch (err) {
+        console.error(`[Campaigns] Dialer error in ${campaign.id}: ${err.message}`);
+      }
+    }
+  } finally {
+    ticking = false;
+  }
+  if (tickAgain) {
+    tickAgain = false;
+    kick();
+  }
+}
+
+// Run the dialer now rather than at the next tick
+function kick() {
+  if (!dialerIo || kickTimer) return;
+  kickTimer = setTimeout(() => {
+    kickTimer = null;
+    tick();
+  }, 0);
+  kickTimer.unref();
+}
+
+// Starts the dialer. Called once callManager.restore() is done: campaign calls that did
+// not survive the restart count as failed attempts.
+function start(io) {
+  dialerIo = io;
+
+  for (const campaign of allCampaigns()) {
+    for (const contact of campaign.contacts.filter(c => c.status === 'calling')) {
+      const attempt = contact.attempts[contact.attempts.length - 1];
+      const state = attempt?.callId && callManager.getCallState(attempt.callId);
+      if (state && !stateMachine.isTerminal(state.status)) continue;
+      endAttempt(campaign, contact, attempt, 'failed', 'server_restart');
+    }
+  }
+
+  if (!tickTimer) {
+    tickTimer = setInterval(tick, TICK_MS);
+    tickTimer.unref();
+  }
+  const running = allCampaigns().filter(c => c.status === 'running').length;
+  console.log(`[Campaigns] Dialer started, ${running} campaign(s) running`);
+  kick();
+}
+
+function stop() {
+  clearInterval(tickTimer);
+  clearTimeout(kickTimer);
+  tickTimer = null;
+  kickTimer = null;
+  dialerIo = null;
+}
+
+module.exports = {
+  FINAL_STATUSES,
+  contactsFromCsv,
+  createCampaign,
+  getCampaign,
+  listCampaigns,
+  summarize,
+  startCampaign,
+  pauseCampaign,
+  cancelCampaign,
+  start,
+  stop
+};
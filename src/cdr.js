@@ -0,0 +1,129 @@
+const store = require('./store');
+const { ValidationError } = require('./errors');
+
+// Call detail records: one permanent row per call, written when the call ends
+const cdrStore = store.collection('cdr'); // callId -> CallDetailRecord
+
+const CSV_COLUMNS = [
+  'callId', 'direction', 'phone', 'status', 'endReason',
+  'createdAt', 'ringingAt', 'connectedAt', 'endedAt',
+  'talkSeconds', 'duration', 'metaStatus', 'recordingUrl'
+];
+
+function toIso(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function recordCall(state, endReason) {
+  const existing = cdrStore.get(state.callId);
+  const endedAt = existing?.endedAt || toIso(state.endedAt) || new Date().toISOString();
+  const connectedAt = toIso(state.connectedAt);
+  const recording = existing?.recording || state.recording || null;
+
+  const record = {
+    callId: state.callId,
+    waCallId: state.waCallId || null,
+    direction: state.direction,
+    phone: state.recipientPhone,
+    status: existing?.status || state.status,
+    endReason: existing?.endReason || endReason || null,
+    createdAt: toIso(state.createdAt),
+    ringingAt: toIso(state.ringingAt),
+    connectedAt,
+    endedAt,
+    // Locally measured talk time; `duration` is what Meta reports in the terminate webhook
+    talkSeconds: connectedAt ? Math.max(0, Math.round((new Date(endedAt) - new Date(connectedAt)) / 1000)) : 0,
+    duration: existing?.duration ?? state.metaDuration ?? null,
+    metaStatus: existing?.metaStatus ?? state.metaStatus ?? null,
+    recording,
+    history: state.history || [],
+    recordingUrl: recording ? `/api/calls/${encodeURIComponent(state.callId)}/recording` : null
+  };
+
+  cdrStore.set(state.callId, record);
+  console.log(`[CDR] Recorded ${record.direction} call ${record.callId} (${record.status}, ${record.endReason})`);
+  return record;
+}
+
+// A terminate webhook can arrive after we already ended the call locally.
+// `callId` may be ours or the WhatsApp call id.
+function updateFromTerminate(callId, { duration, status }) {
+  const record = cdrStore.get(callId) || cdrStore.find(r => r.waCallId === callId)[0];
+  if (!record) return null;
+
+  if (duration != null) record.duration = Number(duration);
+  if (status) record.metaStatus = status;
+  cdrStore.set(record.callId, record);
+  return record;
+}
+
+function getCdr(callId) {
+  return cdrStore.get(callId) || null;
+}
+
+function parseDateBound(value, endOfDay) {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) throw new ValidationError(`Invalid date: ${value}`);
+  // A bare YYYY-MM-DD "to" date should include the whole day
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+// Predicate for anything with createdAt, phone, direction and status, e.g. a live call
+function recordFilter({ from, to, phone, direction, status } = {}) {
+  const fromTime = parseDateBound(from, false);
+  const toTime = parseDateBound(to, true);
+
+  return r => {
+    const created = new Date(r.createdAt).getTime();
+    if (fromTime !== null && created < fromTime) return false;
+    if (toTime !== null && created > toTime) return false;
+    if (phone && !String(r.phone || '').includes(phone)) return false;
+    if (direction && r.direction !== direction) return false;
+    if (status && r.status !== status) return false;
+    return true;
+  };
+}
+
+function filterCdr(filters = {}) {
+  return cdrStore.all()
+    .filter(recordFilter(filters))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+function queryCdr(filters = {}) {
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(filters.pageSize, 10) || 25, 1), 500);
+  const records = filterCdr(filters);
+
+  return {
+    total: records.length,
+    page,
+    pageSize,
+    records: records.slice((page - 1) * pageSize, page * pageSize)
+  };
+}
+
+function csvEscape(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(records) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const r of records) {
+    lines.push(CSV_COLUMNS.map(col => csvEscape(r[col])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  recordCall,
+  updateFromTerminate,
+  getCdr,
+  recordFilter,
+  filterCdr,
+  queryCdr,
+  toCsv
+};
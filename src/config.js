@@ -9,6 +9,13 @@ for (const key of required) {
   }
 }
 
+// Express takes a hop count, true, or addresses/subnets ("loopback, 10.0.0.0/8")
+function trustProxy(value = '') {
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+}
+
 const config = Object.freeze({
   PORT: parseInt(process.env.PORT || '19000', 10),
   WHATSAPP_TOKEN: process.env.WHATSAPP_TOKEN,
@@ -16,9 +23,61 @@ const config = Object.freeze({
   WABA_ID: process.env.WABA_ID || '',
   APP_SECRET: process.env.APP_SECRET,
   WEBHOOK_VERIFY_TOKEN: process.env.WEBHOOK_VERIFY_TOKEN,
+  FORWARD_SECRET: process.env.FORWARD_SECRET || '', // HMAC key for /webhook/forward, empty = only Meta's own signature is accepted
   GRAPH_API_VERSION: process.env.GRAPH_API_VERSION || 'v22.0',
+  GRAPH_TIMEOUT_MS: parseInt(process.env.GRAPH_TIMEOUT_MS || '15000', 10),
+  GRAPH_CALL_TIMEOUT_MS: parseInt(process.env.GRAPH_CALL_TIMEOUT_MS || '10000', 10), // connect/accept/reject/terminate
+  GRAPH_MAX_RETRIES: parseInt(process.env.GRAPH_MAX_RETRIES || '3', 10),
+  GRAPH_RETRY_BASE_MS: parseInt(process.env.GRAPH_RETRY_BASE_MS || '500', 10), // doubled on every retry
+  WEBRTC_MODE: process.env.WEBRTC_MODE || 'auto', // 'browser' skips @roamhq/wrtc even when it is installed
+  STORE_BACKEND: process.env.STORE_BACKEND || 'sqlite', // 'sqlite' or 'memory'
+  DB_PATH: process.env.DB_PATH || 'data/whatsapp-calling.db',
+  ROUTING_STRATEGY: process.env.ROUTING_STRATEGY || 'ring-all', // 'round-robin', 'longest-idle' or 'ring-all'
+  AGENT_OFFER_TIMEOUT: parseInt(process.env.AGENT_OFFER_TIMEOUT || '20', 10), // seconds before the next agent is tried
+  CALL_SDP_TIMEOUT: parseInt(process.env.CALL_SDP_TIMEOUT || '30', 10),         // seconds to get the SDP offer to WhatsApp, 0 = off
+  CALL_RINGING_TIMEOUT: parseInt(process.env.CALL_RINGING_TIMEOUT || '60', 10), // seconds ringing (either direction), 0 = off
+  CALL_ACCEPT_TIMEOUT: parseInt(process.env.CALL_ACCEPT_TIMEOUT || '20', 10),   // seconds from answer to connected, 0 = off
+  MAX_OUTBOUND_CALLS: parseInt(process.env.MAX_OUTBOUND_CALLS || '10', 10), // active outbound calls in total, 0 = no limit
+  AGENT_MAX_CALLS: parseInt(process.env.AGENT_MAX_CALLS || '1', 10),        // per agent/dashboard, unless set at login
+  ADMIN_USERNAME: process.env.ADMIN_USERNAME || 'admin', // first admin, created when there are no users
+  ADMIN_PASSWORD: process.env.ADMIN_PASSWORD || '',        // empty = a random one is printed at startup
+  SESSION_TTL_HOURS: parseInt(process.env.SESSION_TTL_HOURS || '12', 10),
+  TRUST_PROXY: trustProxy(process.env.TRUST_PROXY), // Express "trust proxy", e.g. 1 behind one proxy
+  WEBHOOK_JOURNAL_MAX: parseInt(process.env.WEBHOOK_JOURNAL_MAX || '1000', 10), // webhook bodies kept for dedup and replay
+  OUTBOUND_WEBHOOK_TIMEOUT_MS: parseInt(process.env.OUTBOUND_WEBHOOK_TIMEOUT_MS || '10000', 10),
+  OUTBOUND_WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS || '8', 10),
+  OUTBOUND_WEBHOOK_RETRY_BASE_MS: parseInt(process.env.OUTBOUND_WEBHOOK_RETRY_BASE_MS || '30000', 10), // doubled on every retry, at most an hour
+  OUTBOUND_WEBHOOK_LOG_MAX: parseInt(process.env.OUTBOUND_WEBHOOK_LOG_MAX || '1000', 10), // finished deliveries kept
+  QUEUE_ENABLED: process.env.QUEUE_ENABLED === 'true', // server WebRTC mode only
+  QUEUE_MAX_SIZE: parseInt(process.env.QUEUE_MAX_SIZE || '10', 10),
+  QUEUE_MAX_WAIT: parseInt(process.env.QUEUE_MAX_WAIT || '300', 10), // seconds
+  QUEUE_FULL_ACTION: process.env.QUEUE_FULL_ACTION || 'reject',       // 'reject' or 'voicemail'
+  QUEUE_TIMEOUT_ACTION: process.env.QUEUE_TIMEOUT_ACTION || 'reject', // 'reject' or 'voicemail'
+  QUEUE_HOLD_MUSIC: process.env.QUEUE_HOLD_MUSIC || '',               // WAV file, default is a chime
+  QUEUE_PROMPTS_DIR: process.env.QUEUE_PROMPTS_DIR || '',             // position-<n>.wav announcements
+  QUEUE_ANNOUNCE_INTERVAL: parseInt(process.env.QUEUE_ANNOUNCE_INTERVAL || '60', 10), // seconds, 0 = off
+  RECORDING_ENABLED: process.env.RECORDING_ENABLED === 'true',
+  RECORDING_MODE: process.env.RECORDING_MODE || 'stereo', // 'stereo' or 'separate'
+  RECORDINGS_DIR: process.env.RECORDINGS_DIR || 'data/recordings',
+  RECORDING_CONSENT_PROMPT: process.env.RECORDING_CONSENT_PROMPT || '', // WAV played before recording starts
+  IVR_FLOW: process.env.IVR_FLOW || '', // JSON/YAML flow file, server WebRTC mode only
+  IVR_DIGIT_TIMEOUT: parseInt(process.env.IVR_DIGIT_TIMEOUT || '5', 10), // seconds
+  VOICEMAIL_ENABLED: process.env.VOICEMAIL_ENABLED === 'true', // server WebRTC mode only
+  VOICEMAIL_RING_TIMEOUT: parseInt(process.env.VOICEMAIL_RING_TIMEOUT || '25', 10), // seconds unanswered, 0 = off
+  VOICEMAIL_MAX_SECONDS: parseInt(process.env.VOICEMAIL_MAX_SECONDS || '120', 10),
+  VOICEMAIL_GREETING: process.env.VOICEMAIL_GREETING || '', // WAV played before the beep
+  VOICEMAIL_DIR: process.env.VOICEMAIL_DIR || 'data/voicemail',
+  PERMISSION_CACHE_TTL: parseInt(process.env.PERMISSION_CACHE_TTL || '60', 10), // seconds Meta's permission answer is reused
+  TEMPLATE_CACHE_TTL: parseInt(process.env.TEMPLATE_CACHE_TTL || '300', 10), // seconds message template definitions are reused
+  BUSINESS_HOURS: process.env.BUSINESS_HOURS || '',         // e.g. "Mon-Fri 09:00-17:00; Sat 10:00-14:00", empty = always open
+  BUSINESS_TIMEZONE: process.env.BUSINESS_TIMEZONE || '',   // IANA name, default is the server's timezone
+  BUSINESS_HOLIDAYS: process.env.BUSINESS_HOLIDAYS || '',   // e.g. "2026-12-25, 2026-12-24 12:00-23:59"
+  OUTBOUND_HOURS: process.env.OUTBOUND_HOURS || '',         // same format, empty = outbound calls any time
+  CLOSED_HOURS_ACTION: process.env.CLOSED_HOURS_ACTION || 'voicemail', // 'offer', 'reject', 'voicemail' or 'auto-reply'
+  CLOSED_HOURS_MESSAGE: process.env.CLOSED_HOURS_MESSAGE || "Thanks for calling! We're closed right now, please call back during business hours.",
+  // GRAPH_API_BASE points the app at another Graph API, e.g. the simulator (src/simulator.js)
   get GRAPH_API_BASE() {
-    return `https://graph.facebook.com/${this.GRAPH_API_VERSION}`;
+    return process.env.GRAPH_API_BASE || `https://graph.facebook.com/${this.GRAPH_API_VERSION}`;
   }
 });
 
@@ -0,0 +1,44 @@
+const store = require('./store');
+
+// Call webhooks that matched no call (see callIndex). They are kept for the dashboard
+// rather than applied to whichever call looked closest.
+const deadLetterStore = store.collection('dead_letters'); // id -> DeadLetter
+const MAX_ENTRIES = 200;
+
+let counter = 0;
+
+function addDeadLetter(kind, refs, reason, io) {
+  const entry = {
+    id: `dl_${Date.now()}_${counter++}`,
+    kind,                                  // 'connect', 'status' or 'terminate'
+    callId: refs.callId || null,
+    phone: refs.phone || null,
+    opaque: refs.opaque || null,
+    detail: refs.detail || null,           // e.g. the status value
+    reason,
+    receivedAt: new Date().toISOString()
+  };
+  deadLetterStore.set(entry.id, entry);
+
+  const all = listDeadLetters();
+  for (const old of all.slice(MAX_ENTRIES)) deadLetterStore.delete(old.id);
+
+  console.warn(`[DeadLetter] ${kind} webhook for ${entry.callId || 'unknown call'}: ${reason}`);
+  if (io) io.emit('dead-letter', entry);
+  return entry;
+}
+
+// Newest first
+function listDeadLetters() {
+  return deadLetterStore.all().sort((a, b) => b.receivedAt.localeCompare(a.receivedAt) || b.id.localeCompare(a.id));
+}
+
+function clearDeadLetters() {
+  deadLetterStore.clear();
+}
+
+module.exports = {
+  addDeadLetter,
+  listDeadLetters,
+  clearDeadLetters
+};
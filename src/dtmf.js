@@ -0,0 +1,111 @@
+// DTMF decoding for IVR menus.
+//
+// WhatsApp negotiates telephone-event/8000, so key presses normally arrive as RFC 4733
+// RTP events. @roamhq/wrtc consumes RTP internally and never surfaces those packets, so
+// the RFC 4733 tracker below is fed by anything that can tap RTP, while the in-band
+// detector (Goertzel over decoded PCM) is what works on a plain RTCAudioSink.
+
+const EVENT_DIGITS = '0123456789*#ABCD';
+
+// RFC 4733 section 2.3: event (8) | E (1) | R (1) | volume (6) | duration (16)
+function parseTelephoneEvent(payload) {
+  if (!payload || payload.length < 4) return null;
+  const event = payload[0];
+  return {
+    event,
+    digit: EVENT_DIGITS[event] || null,
+    end: (payload[1] & 0x80) !== 0,
+    volume: payload[1] & 0x3f,
+    duration: (payload[2] << 8) | payload[3]
+  };
+}
+
+// One key press is many packets sharing an RTP timestamp (plus 3 retransmitted end
+// packets), so a digit is reported once per timestamp.
+function createEventTracker(onDigit) {
+  let lastTimestamp = null;
+
+  return {
+    handleRtpPacket({ timestamp, payload }) {
+      const evt = parseTelephoneEvent(payload);
+      if (!evt || !evt.digit || timestamp === lastTimestamp) return;
+      lastTimestamp = timestamp;
+      onDigit(evt.digit);
+    }
+  };
+}
+
+const ROW_FREQS = [697, 770, 852, 941];
+const COL_FREQS = [1209, 1336, 1477, 1633];
+const KEYPAD = ['123A', '456B', '789C', '*0#D'];
+
+function goertzel(samples, freq, sampleRate) {
+  const coeff = 2 * Math.cos(2 * Math.PI * freq / sampleRate);
+  let s1 = 0;
+  let s2 = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const s0 = samples[i] + coeff * s1 - s2;
+    s2 = s1;
+    s1 = s0;
+  }
+  return s1 * s1 + s2 * s2 - coeff * s1 * s2;
+}
+
+function strongest(powers) {
+  let best = 0;
+  for (let i = 1; i < powers.length; i++) if (powers[i] > powers[best]) best = i;
+  const others = powers.filter((_, i) => i !== best);
+  return { index: best, power: powers[best], runnerUp: Math.max(...others) };
+}
+
+// Classifies one block of PCM as a keypad digit, or null
+function detectBlock(block, sampleRate) {
+  let energy = 0;
+  for (let i = 0; i < block.length; i++) energy += block[i] * block[i];
+  if (energy / block.length < 1e4) return null; // quieter than ~ -50 dBFS
+
+  // Normalised so a pure full-block sinusoid scores about 1
+  const scale = energy * block.length / 2;
+  const row = strongest(ROW_FREQS.map(f => goertzel(block, f, sampleRate) / scale));
+  const col = strongest(COL_FREQS.map(f => goertzel(block, f, sampleRate) / scale));
+
+  if (row.power < 0.15 || col.power < 0.15 || row.power + col.power < 0.5) return null;
+  if (row.power < row.runnerUp * 4 || col.power < col.runnerUp * 4) return null;
+  return KEYPAD[row.index][col.index];
+}
+
+// Feed mono PCM frames of any size; a digit fires once it is seen in two consecutive
+// ~25ms blocks and cannot repeat until the tone has stopped.
+function createToneDetector(onDigit) {
+  let buffer = new Int16Array(0);
+  let candidate = null;
+  let current = null;
+
+  return {
+    write(samples, sampleRate) {
+      const blockSize = Math.round(sampleRate * 0.0256);
+      const merged = new Int16Array(buffer.length + samples.length);
+      merged.set(buffer);
+      merged.set(samples, buffer.length);
+
+      let offset = 0;
+      for (; offset + blockSize <= merged.length; offset += blockSize) {
+        const digit = detectBlock(merged.subarray(offset, offset + blockSize), sampleRate);
+        if (digit && digit === candidate && digit !== current) {
+          current = digit;
+          onDigit(digit);
+        } else if (!digit) {
+          current = null;
+        }
+        candidate = digit;
+      }
+      buffer = merged.slice(offset);
+    }
+  };
+}
+
+module.exports = {
+  parseTelephoneEvent,
+  createEventTracker,
+  createToneDetector
+};
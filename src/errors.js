@@ -0,0 +1,215 @@
+// Error classes shared by the Graph API client, the managers and the HTTP routes.
+// Every error carries the HTTP status the API answers with; errors built from a Graph API
+// response also keep Meta's error object in `meta` ({ code, subcode, type, message, fbtraceId }).
+
+class AppError extends Error {
+  constructor(message, { status = 500, meta = null, retryable = false, retryAfter = null, details = {} } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.meta = meta;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter; // seconds
+    this.details = details;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 400, ...options });
+  }
+}
+
+// Not logged in, or the session has ended
+class UnauthorizedError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 401, ...options });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 403, ...options });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 404, ...options });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 409, ...options });
+  }
+}
+
+class RateLimitError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 429, ...options });
+  }
+}
+
+// Any other error Meta answered with
+class GraphApiError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 502, ...options });
+  }
+}
+
+class AuthError extends GraphApiError {}
+class TemplateError extends GraphApiError {}
+class CallingError extends GraphApiError {}
+
+// 131047: more than 24 hours since the user last messaged, only templates can be sent
+class ReengagementError extends GraphApiError {
+  constructor(message, options = {}) {
+    super(message, { status: 409, ...options });
+  }
+}
+
+// Meta did not answer (5xx, connection refused, timeout)
+class UpstreamError extends GraphApiError {}
+
+// Meta's own throttling; retried by the client
+const THROTTLING_CODES = [4, 17, 32, 613, 80007, 130429, 131056];
+
+const TEMPLATE_MESSAGES = {
+  132000: 'The number of template parameters does not match the template',
+  132001: 'The template does not exist in this language',
+  132005: 'The template text is too long once the parameters are filled in',
+  132007: 'The template content violates WhatsApp policy',
+  132012: 'A template parameter has the wrong format',
+  132015: 'The template is paused because of low quality',
+  132016: 'The template is disabled because of low quality'
+};
+
+const CALLING_ERRORS = {
+  138000: { status: 403, message: 'Calling is not enabled for this phone number' },
+  138001: { status: 422, message: 'The user cannot receive WhatsApp calls' },
+  138002: { status: 429, message: 'Too many concurrent calls' },
+  138003: { status: 409, message: 'A call to this user is already in progress' },
+  138004: { status: 502, message: 'WhatsApp could not connect the call' },
+  138005: { status: 429, message: 'Call rate limit reached, try again later' },
+  138006: { status: 403, message: 'The user has not granted call permission' },
+  138007: { status: 504, message: 'The call was not answered in time' },
+  138009: { status: 429, message: 'Call permission request limit reached for this user' }
+};
+
+function isAuthCode(code) {
+  return code === 0 || code === 3 || code === 10 || code === 190 || (code >= 200 && code <= 299);
+}
+
+// "Retry-After: 30" or an HTTP date, in seconds
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+// Turns an axios error from the Graph API into one of the classes above
+function fromGraphError(err) {
+  if (err instanceof AppError) return err;
+
+  if (!err.response) {
+    const timedOut = err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT';
+    return new UpstreamError(timedOut ? 'WhatsApp API request timed out' : `Could not reach the WhatsApp API (${err.code || err.message})`, {
+      status: timedOut ? 504 : 502,
+      retryable: true,
+      details: { networkCode: err.code || null }
+    });
+  }
+
+  const { status, headers, data } = err.response;
+  const error = data?.error || {};
+  const code = error.code;
+  const meta = {
+    code: code ?? null,
+    subcode: error.error_subcode ?? null,
+    type: error.type || null,
+    message: error.error_user_msg || error.error_data?.details || error.message || `HTTP ${status}`,
+    fbtraceId: error.fbtrace_id || null
+  };
+  const retryAfter = parseRetryAfter(headers?.['retry-after']);
+  const options = { meta, retryAfter };
+
+  if (THROTTLING_CODES.includes(code) || status === 429) {
+    return new RateLimitError('WhatsApp rate limit reached, try again later', { ...options, retryable: true });
+  }
+  if (code === 131048) return new RateLimitError('Messages to this user are limited because of spam reports', options);
+  if (code === 131047) {
+    return new ReengagementError('More than 24 hours have passed since the user last messaged; only template messages can be sent', options);
+  }
+  if (TEMPLATE_MESSAGES[code] || (code >= 132000 && code < 133000)) {
+    return new TemplateError(TEMPLATE_MESSAGES[code] || `Template error: ${meta.message}`, { ...options, status: 400 });
+  }
+  if (code >= 138000 && code < 139000) {
+    const known = CALLING_ERRORS[code];
+    return new CallingError(known?.message || `Calling error: ${meta.message}`, { ...options, status: known?.status || 502 });
+  }
+  if (isAuthCode(code) || status === 401) {
+    return new AuthError('WhatsApp rejected the access token or its permissions; check WHATSAPP_TOKEN', options);
+  }
+  if (status >= 500) return new UpstreamError(`WhatsApp API error: ${meta.message}`, { ...options, retryable: true });
+  if (code === 100) return new ValidationError(meta.message, options);
+  return new GraphApiError(meta.message, options);
+}
+
+// { success: false, error, type, ... } - the body of every error response
+function toResponse(err) {
+  if (!(err instanceof AppError)) return { success: false, error: err.message, type: 'InternalError' };
+
+  const body = { success: false, error: err.message, type: err.name, ...err.details };
+  if (err.meta) body.meta = err.meta;
+  if (err.retryAfter !== null) body.retryAfter = err.retryAfter;
+  return body;
+}
+
+// { error: { type, message, status, details, retryAfter, meta } } - the error body of the
+// public /v1 API. Unexpected errors don't reveal their message.
+function toApiResponse(err) {
+  if (!(err instanceof AppError)) return { error: { type: 'InternalError', message: 'Internal server error', status: 500 } };
+
+  const error = { type: err.name, message: err.message, status: err.status };
+  if (Object.keys(err.details).length) error.details = err.details;
+  if (err.retryAfter !== null) error.retryAfter = err.retryAfter;
+  if (err.meta) error.meta = err.meta;
+  return { error };
+}
+
+function sendError(res, err, label, toBody = toResponse) {
+  const status = err instanceof AppError ? err.status : 500;
+  if (label) {
+    const log = status >= 500 ? console.error : console.warn;
+    log(`[API] ${label} error: ${err.message}`, err.meta || '');
+  }
+  if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+  return res.status(status).json(toBody(err));
+}
+
+function sendApiError(res, err, label) {
+  return sendError(res, err, label, toApiResponse);
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+  GraphApiError,
+  AuthError,
+  TemplateError,
+  CallingError,
+  ReengagementError,
+  UpstreamError,
+  fromGraphError,
+  toResponse,
+  sendError,
+  sendApiError
+};
@@ -0,0 +1,98 @@
+const axios = require('axios');
+const config = require('./config');
+const { fromGraphError } = require('./errors');
+
+// Graph API client: per-request timeouts, retries with exponential backoff, typed errors
+// (src/errors.js) and idempotency keys.
+//
+// Retries: throttling answers (Meta refused the request, so it is always safe) and
+// connection failures are retried for every request; 5xx and timeouts only for
+// idempotent ones, because Meta may have acted on a POST it did not answer.
+//
+// Idempotency keys are local: a request with the same key as one in flight shares its
+// result, and a successful one is replayed for IDEMPOTENCY_TTL_MS. This keeps a duplicate
+// click or socket event from placing, answering or ending a call twice.
+const http = axios.create({
+  baseURL: config.GRAPH_API_BASE,
+  timeout: config.GRAPH_TIMEOUT_MS,
+  headers: {
+    'Authorization': `Bearer ${config.WHATSAPP_TOKEN}`,
+    'Content-Type': 'application/json'
+  }
+});
+
+const MAX_DELAY_MS = 30 * 1000;
+const IDEMPOTENCY_TTL_MS = 60 * 1000;
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+const idempotent = new Map(); // key -> { promise, expiresAt }
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function shouldRetry(err, safe) {
+  if (!err.retryable) return false;
+  if (err.name === 'RateLimitError') return true;
+  if (NOT_SENT_CODES.includes(err.details?.networkCode)) return true;
+  return safe;
+}
+
+// Retry-After when Meta sends one, otherwise base * 2^attempt with jitter
+function retryDelay(err, attempt) {
+  if (err.retryAfter !== null) return err.retryAfter * 1000;
+  const backoff = config.GRAPH_RETRY_BASE_MS * 2 ** attempt;
+  return Math.min(MAX_DELAY_MS, backoff / 2 + Math.random() * backoff / 2);
+}
+
+async function send(method, url, { data, params, timeout, safe = method === 'get' }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const res = await http.request({ method, url, data, params, timeout });
+      return res.data;
+    } catch (axiosErr) {
+      const err = fromGraphError(axiosErr);
+      const delay = retryDelay(err, attempt);
+      if (attempt >= config.GRAPH_MAX_RETRIES || !shouldRetry(err, safe) || delay > MAX_DELAY_MS) throw err;
+
+      console.warn(`[Graph] ${method.toUpperCase()} ${url} failed (${err.message}), retry ${attempt + 1}/${config.GRAPH_MAX_RETRIES} in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+// options: { data, params, timeout (ms), safe (retry 5xx/timeouts, default for GET), idempotencyKey }
+function request(method, url, options = {}) {
+  const key = options.idempotencyKey;
+  if (!key) return send(method, url, options);
+
+  const now = Date.now();
+  for (const [k, entry] of idempotent) {
+    if (entry.expiresAt <= now) idempotent.delete(k);
+  }
+
+  const existing = idempotent.get(key);
+  if (existing) {
+    console.log(`[Graph] Reusing result of ${key}`);
+    return existing.promise;
+  }
+
+  const promise = send(method, url, options);
+  const entry = { promise, expiresAt: Infinity };
+  idempotent.set(key, entry);
+  promise.then(
+    () => { entry.expiresAt = Date.now() + IDEMPOTENCY_TTL_MS; },
+    () => idempotent.delete(key)
+  );
+  return promise;
+}
+
+function get(url, options) {
+  return request('get', url, options);
+}
+
+function post(url, data, options = {}) {
+  return request('post', url, { ...options, data });
+}
+
+module.exports = { request, get, post };
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const config = require('./config');
+const whatsappApi = require('./whatsappApi');
+const webrtcBridge = require('./webrtcBridge');
+const dtmf = require('./dtmf');
+const { loadPrompt, generateTone, concat } = require('./wav');
+
+// Declarative IVR for inbound calls in server WebRTC mode. A flow is a map of named
+// nodes starting at `start`; see ivr/example.yaml for the format.
+const NODE_TYPES = ['play', 'gather', 'branch', 'transfer', 'message', 'hangup'];
+
+const sessions = new Map(); // callId -> IVR session
+const prompts = new Map();  // "<file>@<rate>" -> PCM
+let flow = null;
+
+function isEnabled() {
+  return Boolean(config.IVR_FLOW) && webrtcBridge.isAvailable();
+}
+
+function validateFlow(def) {
+  if (!def || typeof def.nodes !== 'object') {
+    throw new Error('Invalid IVR flow: missing "nodes"');
+  }
+
+  const errors = [];
+  if (!def.nodes[def.start]) errors.push(`start node "${def.start}" does not exist`);
+
+  for (const [id, node] of Object.entries(def.nodes)) {
+    if (!NODE_TYPES.includes(node.type)) {
+      errors.push(`${id}: unknown type "${node.type}" (expected ${NODE_TYPES.join(', ')})`);
+      continue;
+    }
+
+    const refs = [node.next, node.onTimeout, node.onMaxAttempts, node.default, ...Object.values(node.cases || {})];
+    for (const ref of refs) {
+      if (ref !== undefined && !def.nodes[ref]) errors.push(`${id}: unknown node "${ref}"`);
+    }
+
+    if (['play', 'gather', 'message'].includes(node.type) && !node.next) errors.push(`${id}: "next" is required`);
+    if (node.type === 'play' && !node.prompt) errors.push(`${id}: "prompt" is required`);
+    if (node.type === 'branch' && (!node.variable || !node.cases)) errors.push(`${id}: "variable" and "cases" are required`);
+    if (node.type === 'message' && !node.text) errors.push(`${id}: "text" is required`);
+  }
+
+  if (errors.length) throw new Error(`Invalid IVR flow: ${errors.join('; ')}`);
+}
+
+function loadFlow(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const def = /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+  validateFlow(def);
+
+  // Prompt paths are relative to the flow file
+  def.baseDir = path.dirname(path.resolve(file));
+  const files = new Set(Object.values(def.nodes).map(node => node.prompt).filter(Boolean));
+  for (const file of files) {
+    if (!fs.existsSync(path.resolve(def.baseDir, file))) console.warn(`[IVR] Prompt not found: ${file}`);
+  }
+  return def;
+}
+
+function getFlow() {
+  if (!flow) {
+    flow = loadFlow(config.IVR_FLOW);
+    console.log(`[IVR] Loaded flow "${flow.name || config.IVR_FLOW}" (${Object.keys(flow.nodes).length} nodes)`);
+  }
+  return flow;
+}
+
+// A missing prompt plays as a short beep so a flow can be tried before it is recorded
+function getPrompt(def, file, sampleRate) {
+  const resolved = path.resolve(def.baseDir, file);
+  const key = `${resolved}@${sampleRate}`;
+  if (!prompts.has(key)) {
+    prompts.set(key, fs.existsSync(resolved)
+      ? loadPrompt(resolved, sampleRate)
+      : concat(generateTone(660, 250, sampleRate, 0.2), new Int16Array(sampleRate / 4)));
+  }
+  return prompts.get(key);
+}
+
+function fillTemplate(text, vars) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => (vars[name] ?? ''));
+}
+
+function createSession(state) {
+  const session = {
+    state,
+    vars: { phone: state.recipientPhone },
+    digits: [],
+    bargeIn: false,
+    waiter: null,
+    cancelled: false,
+    sink: null
+  };
+
+  const detector = dtmf.createToneDetector(digit => pushDigit(session, digit));
+  const track = state.whatsappPeer.getReceivers()
+    .map(receiver => receiver.track)
+    .find(t => t && t.kind === 'audio');
+  if (track) {
+    session.sink = webrtcBridge.createAudioSink(track, (samples, rate) => detector.write(samples, rate));
+  } else {
+    console.warn(`[IVR] No remote audio track for call ${state.callId}, digits can't be detected`);
+  }
+  return session;
+}
+
+function pushDigit(session, digit) {
+  console.log(`[IVR] Call ${session.state.callId} pressed ${digit}`);
+  session.digits.push(digit);
+  if (session.bargeIn) session.state.output.stop();
+  if (session.waiter) session.waiter();
+}
+
+function waitForDigit(session, timeoutMs) {
+  if (session.digits.length) return Promise.resolve(session.digits.shift());
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      session.waiter = null;
+      resolve(null);
+    }, timeoutMs);
+
+    session.waiter = () => {
+      clearTimeout(timer);
+      session.waiter = null;
+      resolve(session.cancelled ? null : session.digits.shift());
+    };
+  });
+}
+
+async function play(session, def, file) {
+  const { output } = session.state;
+  await output.play(getPrompt(def, file, output.sampleRate));
+}
+
+// Returns the collected digits, or null if the caller entered nothing in time
+async function gather(session, def, node) {
+  const maxDigits = node.maxDigits || 1;
+  const terminator = node.terminator ?? '#';
+  const timeoutMs = (node.timeout || config.IVR_DIGIT_TIMEOUT) * 1000;
+
+  session.digits = [];
+  if (node.prompt) {
+    // Pressing a key interrupts the prompt
+    session.bargeIn = true;
+    await play(session, def, node.prompt);
+    session.bargeIn = false;
+  }
+
+  let collected = '';
+  while (collected.length < maxDigits && !session.cancelled) {
+    const digit = await waitForDigit(session, timeoutMs);
+    if (digit === null) break;
+    if (digit === terminator) break;
+    collected += digit;
+  }
+  return collected || null;
+}
+
+// Runs the flow until it transfers, hangs up or the call ends.
+// Resolves to { action: 'transfer' | 'hangup' | 'ended', queue, vars }.
+async function runIvr(state, { onNode } = {}) {
+  const def = getFlow();
+  const session = createSession(state);
+  sessions.set(state.callId, session);
+
+  const attempts = {};
+  let nodeId = def.start;
+
+  try {
+    while (nodeId && !session.cancelled) {
+      const node = def.nodes[nodeId];
+      if (onNode) onNode(nodeId, node);
+
+      switch (node.type) {
+        case 'play':
+          await play(session, def, node.prompt);
+          nodeId = node.next;
+          break;
+
+        case 'gather': {
+          const digits = await gather(session, def, node);
+          if (digits !== null) {
+            session.vars[node.variable || 'digits'] = digits;
+            nodeId = node.next;
+            break;
+          }
+          attempts[nodeId] = (attempts[nodeId] || 0) + 1;
+          if (attempts[nodeId] >= (node.maxAttempts || 3)) {
+            nodeId = node.onMaxAttempts;
+            if (!nodeId) return { action: 'hangup', vars: session.vars };
+          } else {
+            nodeId = node.onTimeout || nodeId;
+          }
+          break;
+        }
+
+        case 'branch': {
+          const value = String(session.vars[node.variable] ?? '');
+          nodeId = node.cases[value] || node.default;
+          if (!nodeId) return { action: 'hangup', vars: session.vars };
+          break;
+        }
+
+        case 'message':
+          try {
+            await whatsappApi.sendTextMessage(state.recipientPhone, fillTemplate(node.text, session.vars));
+          } catch (err) {
+            console.error(`[IVR] Message to ${state.recipientPhone} failed: ${err.message}`);
+          }
+          nodeId = node.next;
+          break;
+
+        case 'transfer':
+          if (node.prompt) await play(session, def, node.prompt);
+          return { action: 'transfer', queue: node.queue || null, vars: session.vars };
+
+        case 'hangup':
+          if (node.prompt) await play(session, def, node.prompt);
+          return { action: 'hangup', vars: session.vars };
+      }
+    }
+    return { action: session.cancelled ? 'ended' : 'hangup', vars: session.vars };
+  } finally {
+    stop(state.callId);
+  }
+}
+
+// Called when the call ends mid-flow
+function stop(callId) {
+  const session = sessions.get(callId);
+  if (!session) return;
+  sessions.delete(callId);
+
+  session.cancelled = true;
+  if (session.sink) session.sink.stop();
+  if (session.waiter) session.waiter();
+}
+
+module.exports = {
+  NODE_TYPES,
+  isEnabled,
+  validateFlow,
+  loadFlow,
+  getFlow,
+  runIvr,
+  stop
+};
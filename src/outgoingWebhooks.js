@@ -0,0 +1,368 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('./config');
+const store = require('./store');
+const { ValidationError, NotFoundError, ConflictError } = require('./errors');
+
+// Outgoing webhooks: external systems (n8n, a CRM) subscribe to call and permission events
+// the dashboards get over Socket.IO. Every event becomes one delivery per subscription,
+// kept in the store so pending ones survive a restart. A failed delivery is retried with
+// exponential backoff (OUTBOUND_WEBHOOK_RETRY_BASE_MS, doubled each time) until
+// OUTBOUND_WEBHOOK_MAX_ATTEMPTS; it can be sent again by hand from the delivery log.
+//
+// Requests are signed like Meta's: X-Webhook-Signature is
+// "sha256=" + HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${body}`).
+const EVENTS = {
+  'call-incoming': 'An inbound call arrived',
+  'call-ringing': 'An outbound call is ringing at the user',
+  'call-accepted': 'The user picked up, media is being set up',
+  'call-rejected': 'The user declined an outbound call',
+  'call-connected': 'A call is connected',
+  'call-ended': 'A call ended, for any reason',
+  'call-error': 'An outbound call could not be placed',
+  'call-queued': 'An inbound call is waiting in the queue',
+  'call-voicemail': 'An inbound call went to voicemail',
+  'voicemail-new': 'A voicemail was recorded',
+  'permission-granted': 'A user granted call permission for a limited time',
+  'permission-granted-permanent': 'A user granted call permission permanently',
+  'permission-rejected': 'A user declined a call permission request',
+  'permission-revoked': 'A user revoked call permission',
+  'permission-expired': 'A temporary call permission expired',
+  'calls-reset': 'An admin reset all calls'
+};
+
+const MAX_DELAY_MS = 60 * 60 * 1000;
+const MAX_RESPONSE_CHARS = 500;
+
+const subscriptionStore = store.collection('outgoing_webhooks');    // id -> Subscription
+const deliveryStore = store.collection('outgoing_deliveries');      // id -> Delivery
+
+let started = false;
+const sending = new Set(); // subscriptions with a delivery in flight, see drain()
+let finished = null;       // ids of finished deliveries, oldest first, so pruning needn't read the log
+let timer = null;
+let counter = 0;
+
+function newId(prefix) {
+  return `${prefix}_${Date.now()}_${counter++}`;
+}
+
+function newSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function publicSubscription(sub) {
+  const { secret, ...rest } = sub;
+  return { ...rest, secretHint: `${secret.slice(0, 10)}...` };
+}
+
+// ── Subscriptions ──
+
+function validateUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw new ValidationError(`Invalid url: ${url}`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw new ValidationError('url must be http or https');
+  return parsed.toString();
+}
+
+function validateEvents(events) {
+  if (!Array.isArray(events) || !events.length) {
+    throw new ValidationError('events must be a non-empty array ("*" for all)', { details: { events: Object.keys(EVENTS) } });
+  }
+  const unknown = events.filter(e => e !== '*' && !EVENTS[e]);
+  if (unknown.length) throw new ValidationError(`Unknown event: ${unknown.join(', ')}`, { details: { events: Object.keys(EVENTS) } });
+  return [...new Set(events)];
+}
+
+function listSubscriptions() {
+  return subscriptionStore.all().map(publicSubscription).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function getSubscription(id) {
+  const sub = subscriptionStore.get(id);
+  if (!sub) throw new NotFoundError(`No webhook subscription ${id}`);
+  return sub;
+}
+
+// Returns { subscription, secret }; the secret is only shown here and when it is rotated
+function createSubscription({ name, url, events, secret } = {}, user = null) {
+  const sub = {
+    id: newId('whs'),
+    name: String(name || '').trim() || null,
+    url: validateUrl(url),
+    events: validateEvents(events),
+    secret: secret ? String(secret) : newSecret(),
+    enabled: true,
+    createdAt: new Date().toISOString(),
+    createdBy: user?.username || null
+  };
+  subscriptionStore.set(sub.id, sub);
+  console.log(`[OutgoingWebhooks] Subscribed ${sub.url} to ${sub.events.join(', ')}`);
+  return { subscription: publicSubscription(sub), secret: sub.secret };
+}
+
+// `changes`: any of { name, url, events, enabled, rotateSecret }
+function updateSubscription(id, changes = {}) {
+  const sub = getSubscription(id);
+  if (changes.name !== undefined) sub.name = String(changes.name || '').trim() || null;
+  if (changes.url !== undefined) sub.url = validateUrl(changes.url);
+  if (changes.events !== undefined) sub.events = validateEvents(changes.events);
+  if (changes.enabled !== undefined) sub.enabled = Boolean(changes.enabled);
+  if (changes.rotateSecret) sub.secret = newSecret();
+  subscriptionStore.set(id, sub);
+  return { subscription: publicSubscription(sub), secret: changes.rotateSecret ? sub.secret : undefined };
+}
+
+// Pending deliveries of a deleted subscription are dropped
+function deleteSubscription(id) {
+  getSubscription(id);
+  subscriptionStore.delete(id);
+  for (const delivery of deliveryStore.find(d => d.subscriptionId === id && d.status === 'pending')) {
+    finish(delivery, 'cancelled');
+  }
+  console.log(`[OutgoingWebhooks] Deleted subscription ${id}`);
+}
+
+// ── Deliveries ──
+
+function summarize(delivery) {
+  const { payload, ...rest } = delivery;
+  return rest;
+}
+
+function listDeliveries({ subscriptionId, status, event, limit = 100 } = {}) {
+  return deliveryStore.all()
+    .filter(d => (!subscriptionId || d.subscriptionId === subscriptionId) && (!status || d.status === status) && (!event || d.event === event))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id))
+    .slice(0, limit)
+    .map(summarize);
+}
+
+function getDelivery(id) {
+  const delivery = deliveryStore.get(id);
+  if (!delivery) throw new NotFoundError(`No webhook delivery ${id}`);
+  return delivery;
+}
+
+function enqueue(sub, payload, redeliveryOf = null) {
+  const delivery = {
+    id: newId('whd'),
+    subscriptionId: sub.id,
+    url: sub.url,
+    event: payload.event,
+    eventId: payload.id,
+    payload,
+    status: 'pending', // pending -> delivered | failed | cancelled
+    attempts: [],
+    nextAttemptAt: new Date().toISOString(),
+    redeliveryOf,
+    createdAt: new Date().toISOString(),
+    finishedAt: null
+  };
+  deliveryStore.set(delivery.id, delivery);
+  return delivery;
+}
+
+// Queues the event for every enabled subscription that wants it
+function publish(event, data) {
+  if (!EVENTS[event]) return;
+  const subs = subscriptionStore.find(s => s.enabled && (s.events.includes(event) || s.events.includes('*')));
+  if (!subs.length) return;
+
+  const payload = { id: newId('evt'), event, createdAt: new Date().toISOString(), data };
+  for (const sub of subs) enqueue(sub, payload);
+  kick();
+}
+
+// A new delivery of the same payload, e.g. after the receiver was fixed
+function redeliver(id) {
+  const original = getDelivery(id);
+  const sub = subscriptionStore.get(original.subscriptionId);
+  if (!sub) throw new ConflictError('The subscription of this delivery was deleted');
+  const delivery = enqueue(sub, original.payload, original.id);
+  kick();
+  return summarize(delivery);
+}
+
+// Sends a "ping" event to one subscription
+function ping(id) {
+  const sub = getSubscription(id);
+  const payload = { id: newId('evt'), event: 'ping', createdAt: new Date().toISOString(), data: { subscriptionId: sub.id } };
+  const delivery = enqueue(sub, payload);
+  kick();
+  return summarize(delivery);
+}
+
+function finish(delivery, status) {
+  delivery.status = status;
+  delivery.nextAttemptAt = null;
+  delivery.finishedAt = new Date().toISOString();
+  deliveryStore.set(delivery.id, delivery);
+  finishedIds().add(delivery.id);
+  prune();
+}
+
+function finishedIds() {
+  if (!finished) {
+    const done = deliveryStore.find(d => d.status !== 'pending')
+      .sort((a, b) => (a.finishedAt || a.createdAt).localeCompare(b.finishedAt || b.createdAt));
+    finished = new Set(done.map(d => d.id));
+  }
+  return finished;
+}
+
+// Keeps the OUTBOUND_WEBHOOK_LOG_MAX most recently finished deliveries
+function prune() {
+  const ids = finishedIds();
+  for (const id of ids) {
+    if (ids.size <= config.OUTBOUND_WEBHOOK_LOG_MAX) break;
+    ids.delete(id);
+    deliveryStore.delete(id);
+  }
+}
+
+// Wait before the next try after `attempts` failed ones
+function retryDelay(attempts) {
+  return Math.min(config.OUTBOUND_WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+}
+
+async function attempt(delivery) {
+  const sub = subscriptionStore.get(delivery.subscriptionId);
+  if (!sub || !sub.enabled) return finish(delivery, 'cancelled');
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const sentAt = Date.now();
+  const entry = { at: new Date().toISOString(), statusCode: null, error: null, response: null, durationMs: null, retryInMs: null };
+
+  try {
+    const res = await axios.post(sub.url, body, {
+      timeout: config.OUTBOUND_WEBHOOK_TIMEOUT_MS,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'whatsapp-calling-webhooks',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': sign(sub.secret, timestamp, body)
+      },
+      transformResponse: data => data, // keep the raw text for the log
+      validateStatus: () => true,
+      maxRedirects: 0
+    });
+    entry.statusCode = res.status;
+    entry.response = String(res.data ?? '').slice(0, MAX_RESPONSE_CHARS);
+    if (res.status < 200 || res.status >= 300) entry.error = `HTTP ${res.status}`;
+  } catch (err) {
+    entry.error = err.code || err.message;
+  }
+  entry.durationMs = Date.now() - sentAt;
+  delivery.attempts.push(entry);
+
+  if (!entry.error) {
+    console.log(`[OutgoingWebhooks] Delivered ${delivery.event} to ${sub.url}`);
+    return finish(delivery, 'delivered');
+  }
+  if (delivery.attempts.length >= config.OUTBOUND_WEBHOOK_MAX_ATTEMPTS) {
+    console.warn(`[OutgoingWebhooks] Giving up on ${delivery.id} (${delivery.event} to ${sub.url}): ${entry.error}`);
+    return finish(delivery, 'failed');
+  }
+
+  const delay = retryDelay(delivery.attempts.length);
+  entry.retryInMs = delay;
+  delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+  deliveryStore.set(delivery.id, delivery);
+  console.warn(`[OutgoingWebhooks] ${delivery.event} to ${sub.url} failed (${entry.error}), retry in ${Math.round(delay / 1000)}s`);
+}
+
+function isDue(delivery) {
+  return delivery.status === 'pending' && new Date(delivery.nextAttemptAt) <= new Date();
+}
+
+// Starts sending for every subscription with something due, then sleeps until the next retry
+function run() {
+  if (!started) return;
+  const subscriptionIds = new Set(deliveryStore.find(isDue).map(d => d.subscriptionId));
+  for (const id of subscriptionIds) {
+    if (!sending.has(id)) drain(id);
+  }
+  schedule();
+}
+
+// Sends one subscription's due deliveries in order, one at a time. Each subscription has
+// its own queue, so a receiver that hangs only holds up its own events.
+async function drain(subscriptionId) {
+  sending.add(subscriptionId);
+  try {
+    let next;
+    while (started && (next = deliveryStore.find(d => d.subscriptionId === subscriptionId && isDue(d))
+      .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))[0])) {
+      await attempt(next);
+    }
+  } catch (err) {
+    console.error(`[OutgoingWebhooks] Delivery run for ${subscriptionId} failed: ${err.message}`);
+  } finally {
+    sending.delete(subscriptionId);
+  }
+  schedule();
+}
+
+// Subscriptions that are sending pick up their own deliveries
+function schedule() {
+  clearTimeout(timer);
+  timer = null;
+  if (!started) return;
+  const next = deliveryStore.find(d => d.status === 'pending' && !sending.has(d.subscriptionId))
+    .map(d => new Date(d.nextAttemptAt).getTime())
+    .sort((a, b) => a - b)[0];
+  if (next === undefined) return;
+  timer = setTimeout(run, Math.max(next - Date.now(), 0));
+  timer.unref();
+}
+
+function kick() {
+  if (!started) return;
+  clearTimeout(timer);
+  timer = setTimeout(run, 0);
+  timer.unref();
+}
+
+// Starts sending; deliveries left pending by the last run are picked up again
+function start() {
+  started = true;
+  const pending = deliveryStore.find(d => d.status === 'pending').length;
+  console.log(`[OutgoingWebhooks] Started, ${subscriptionStore.all().length} subscription(s), ${pending} pending delivery(ies)`);
+  kick();
+}
+
+function stop() {
+  started = false;
+  clearTimeout(timer);
+  timer = null;
+}
+
+module.exports = {
+  EVENTS,
+  sign,
+  retryDelay,
+  listSubscriptions,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  listDeliveries,
+  getDelivery,
+  publish,
+  redeliver,
+  ping,
+  start,
+  stop
+};
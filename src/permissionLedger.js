@@ -0,0 +1,153 @@
+const store = require('./store');
+
+// Every call permission request we send, what happened to it and the user's reply.
+// Meta's limits are checked here first so a request that would be refused never burns
+// an API call: 1 request per 24h and 2 per rolling 7 days per user, and only while the
+// user has an open conversation (a message from them in the last 24h).
+const requestStore = store.collection('permission_requests'); // message id -> PermissionRequest
+const conversationStore = store.collection('conversations');  // phone -> { phone, lastInboundAt }
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAILY_LIMIT = 1;
+const WEEKLY_LIMIT = 2;
+
+function normalizePhone(phone) {
+  return String(phone || '').replace(/\D/g, '');
+}
+
+function toIso(timestamp) {
+  // Webhook timestamps are Unix seconds as strings
+  return timestamp ? new Date(Number(timestamp) * 1000).toISOString() : new Date().toISOString();
+}
+
+function requestsFor(phone) {
+  const normalized = normalizePhone(phone);
+  return requestStore.find(r => r.phone === normalized)
+    .sort((a, b) => new Date(a.sentAt) - new Date(b.sentAt));
+}
+
+// Returns { allowed: true } or { allowed: false, rule, reason, nextAllowedAt }
+function checkRequestAllowed(phone, now = Date.now()) {
+  const normalized = normalizePhone(phone);
+  const counted = requestsFor(normalized).filter(r => r.status !== 'failed');
+
+  const lastDay = counted.filter(r => now - new Date(r.sentAt) < DAY_MS);
+  if (lastDay.length >= DAILY_LIMIT) {
+    const nextAllowedAt = new Date(new Date(lastDay[0].sentAt).getTime() + DAY_MS).toISOString();
+    return {
+      allowed: false,
+      rule: 'daily_limit',
+      reason: `A permission request was already sent to ${normalized} in the last 24 hours`,
+      nextAllowedAt
+    };
+  }
+
+  const lastWeek = counted.filter(r => now - new Date(r.sentAt) < 7 * DAY_MS);
+  if (lastWeek.length >= WEEKLY_LIMIT) {
+    const oldest = lastWeek[lastWeek.length - WEEKLY_LIMIT];
+    const nextAllowedAt = new Date(new Date(oldest.sentAt).getTime() + 7 * DAY_MS).toISOString();
+    return {
+      allowed: false,
+      rule: 'weekly_limit',
+      reason: `${WEEKLY_LIMIT} permission requests were already sent to ${normalized} in the last 7 days`,
+      nextAllowedAt
+    };
+  }
+
+  const conversation = conversationStore.get(normalized);
+  if (!conversation || now - new Date(conversation.lastInboundAt) >= DAY_MS) {
+    return {
+      allowed: false,
+      rule: 'no_conversation',
+      reason: `No open conversation with ${normalized}: they must message you first (within the last 24 hours)`,
+      nextAllowedAt: null
+    };
+  }
+
+  return { allowed: true };
+}
+
+function recordRequest(phone, { messageId, templateName, language }) {
+  const request = {
+    id: messageId || `local_${Date.now()}`,
+    phone: normalizePhone(phone),
+    templateName,
+    language: language || null,
+    sentAt: new Date().toISOString(),
+    status: 'sent',
+    statusHistory: [{ status: 'sent', at: new Date().toISOString() }],
+    error: null,
+    reply: null
+  };
+  requestStore.set(request.id, request);
+  console.log(`[Permissions] Request ${request.id} sent to ${request.phone}`);
+  return request;
+}
+
+// Delivery status webhook (sent/delivered/read/failed) for one of our requests
+function updateStatus(messageId, status, timestamp, errors) {
+  const request = requestStore.get(messageId);
+  if (!request) return null;
+
+  request.status = status;
+  request.statusHistory.push({ status, at: toIso(timestamp) });
+  if (errors?.length) request.error = errors[0].title || errors[0].message || JSON.stringify(errors[0]);
+  requestStore.set(messageId, request);
+  console.log(`[Permissions] Request ${messageId} ${status}`);
+  return request;
+}
+
+// `contextId` is the id of the template message the user replied to, when Meta sends it
+function recordReply(phone, reply, contextId, timestamp) {
+  const request = (contextId && requestStore.get(contextId)) || requestsFor(phone).pop();
+  if (!request) return null;
+
+  request.reply = {
+    response: reply.response,
+    isPermanent: Boolean(reply.is_permanent),
+    expiresAt: reply.expiration_timestamp ? toIso(reply.expiration_timestamp) : null,
+    at: toIso(timestamp)
+  };
+  requestStore.set(request.id, request);
+  return request;
+}
+
+// Any message from the user opens (or extends) the conversation window
+function recordInbound(phone, timestamp) {
+  const normalized = normalizePhone(phone);
+  conversationStore.set(normalized, { phone: normalized, lastInboundAt: toIso(timestamp) });
+}
+
+// Everything we know about one user, oldest first
+function getTimeline(phone) {
+  const events = [];
+  for (const request of requestsFor(phone)) {
+    for (const entry of request.statusHistory) {
+      events.push({ at: entry.at, type: `request_${entry.status}`, requestId: request.id, templateName: request.templateName, language: request.language });
+    }
+    if (request.error) {
+      events.push({ at: request.statusHistory[request.statusHistory.length - 1].at, type: 'request_error', requestId: request.id, error: request.error });
+    }
+    if (request.reply) {
+      events.push({ at: request.reply.at, type: `reply_${request.reply.response}`, requestId: request.id, ...request.reply });
+    }
+  }
+
+  const conversation = conversationStore.get(normalizePhone(phone));
+  return {
+    phone: normalizePhone(phone),
+    lastInboundAt: conversation?.lastInboundAt || null,
+    nextRequest: checkRequestAllowed(phone),
+    events: events.sort((a, b) => new Date(a.at) - new Date(b.at))
+  };
+}
+
+module.exports = {
+  normalizePhone,
+  checkRequestAllowed,
+  recordRequest,
+  updateStatus,
+  recordReply,
+  recordInbound,
+  getTimeline
+};
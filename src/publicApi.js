@@ -0,0 +1,425 @@
+const express = require('express');
+const callManager = require('./callManager');
+const whatsappApi = require('./whatsappApi');
+const stateMachine = require('./callStateMachine');
+const agentManager = require('./agentManager');
+const permissionLedger = require('./permissionLedger');
+const schedule = require('./schedule');
+const cdr = require('./cdr');
+const auditLog = require('./auditLog');
+const apiKeys = require('./apiKeys');
+const { ValidationError, NotFoundError, sendApiError } = require('./errors');
+
+// Versioned API for integrations such as a CRM, mounted at /v1. Requests carry an API key
+// (src/apiKeys.js) and every route needs one scope. Errors are always { error: { type,
+// message, status, ... } }. /v1/openapi.json is generated from the route table below.
+const API_VERSION = '1.0.0';
+
+const nullable = type => ({ type: [type, 'null'] });
+const timestamp = { type: ['string', 'null'], format: 'date-time' };
+
+const SCHEMAS = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['type', 'message', 'status'],
+        properties: {
+          type: { type: 'string', description: 'Error class, e.g. ValidationError or RateLimitError' },
+          message: { type: 'string' },
+          status: { type: 'integer' },
+          details: { type: 'object', description: 'Extra fields some errors carry, e.g. nextAllowedAt' },
+          retryAfter: { type: 'integer', description: 'Seconds to wait before retrying' },
+          meta: { type: 'object', description: "WhatsApp's original error, when the Cloud API refused" }
+        }
+      }
+    }
+  },
+  Call: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      whatsappCallId: nullable('string'),
+      direction: { type: 'string', enum: ['inbound', 'outbound'] },
+      phone: { type: 'string' },
+      status: { type: 'string', enum: [...Object.keys(stateMachine.STATES), ...stateMachine.TERMINAL_STATES] },
+      active: { type: 'boolean', description: 'False once the call has ended' },
+      endReason: nullable('string'),
+      createdAt: timestamp,
+      ringingAt: timestamp,
+      connectedAt: timestamp,
+      endedAt: timestamp,
+      talkSeconds: { ...nullable('integer'), description: 'Seconds connected, once ended' },
+      duration: { ...nullable('integer'), description: 'Duration in seconds as reported by WhatsApp' },
+      history: {
+        type: 'array',
+        description: 'Status changes; only on GET /calls/{callId}',
+        items: {
+          type: 'object',
+          properties: {
+            from: { type: 'string' },
+            to: { type: 'string' },
+            reason: nullable('string'),
+            rejected: { type: 'boolean', description: 'A change that was refused as invalid' },
+            at: { type: 'string', format: 'date-time' }
+          }
+        }
+      }
+    }
+  },
+  CallList: {
+    type: 'object',
+    properties: {
+      data: { type: 'array', items: { $ref: '#/components/schemas/Call' } },
+      total: { type: 'integer' },
+      page: { type: 'integer' },
+      pageSize: { type: 'integer' }
+    }
+  },
+  CallCreate: {
+    type: 'object',
+    required: ['phone'],
+    properties: {
+      phone: { type: 'string', description: 'International format, e.g. 919876543210. The number must have granted call permission.' },
+      agent: { type: 'string', description: 'Name of a logged-in agent whose dashboard places the call; default is any free agent' }
+    }
+  },
+  Permission: {
+    type: 'object',
+    properties: {
+      phone: { type: 'string' },
+      state: { type: 'string', enum: ['none', 'granted_temporary', 'granted_permanent', 'expired', 'rejected', 'revoked'] },
+      granted: { type: 'boolean' },
+      permanent: { type: 'boolean' },
+      grantedAt: timestamp,
+      expiresAt: timestamp,
+      canRequest: {
+        type: 'object',
+        description: "Whether a permission request may be sent now under WhatsApp's limits",
+        properties: {
+          allowed: { type: 'boolean' },
+          rule: nullable('string'),
+          reason: nullable('string'),
+          nextAllowedAt: timestamp
+        }
+      }
+    }
+  },
+  PermissionRequestCreate: {
+    type: 'object',
+    properties: {
+      templateName: { type: 'string', default: 'call_permission' },
+      language: { type: 'string', default: 'en_US' },
+      components: { type: 'object', description: 'Template parameters: { header, body, buttons: [{ index, payload }] }' },
+      force: { type: 'boolean', default: false, description: 'Send even when the local request limits say no' }
+    }
+  },
+  PermissionRequest: {
+    type: 'object',
+    properties: {
+      messageId: nullable('string'),
+      permission: { $ref: '#/components/schemas/Permission' }
+    }
+  },
+  MessageCreate: {
+    type: 'object',
+    required: ['phone', 'text'],
+    properties: {
+      phone: { type: 'string' },
+      text: { type: 'string', maxLength: 4096 }
+    }
+  },
+  Message: {
+    type: 'object',
+    properties: {
+      id: nullable('string'),
+      phone: { type: 'string' },
+      sentAt: { type: 'string', format: 'date-time' }
+    }
+  }
+};
+
+const PATH_PARAMS = {
+  callId: 'Call id, or the WhatsApp call id',
+  phone: 'Phone number in international format'
+};
+
+function toIso(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+// `state` is a live call (callManager) or a call detail record (cdr)
+function toCall(state, { history = false } = {}) {
+  const call = {
+    id: state.callId,
+    whatsappCallId: state.waCallId || null,
+    direction: state.direction,
+    phone: state.phone || state.recipientPhone,
+    status: state.status,
+    active: !stateMachine.isTerminal(state.status),
+    endReason: state.endReason || null,
+    createdAt: toIso(state.createdAt),
+    ringingAt: toIso(state.ringingAt),
+    connectedAt: toIso(state.connectedAt),
+    endedAt: toIso(state.endedAt),
+    talkSeconds: state.talkSeconds ?? null,
+    duration: state.duration ?? null
+  };
+  if (history) call.history = state.history || [];
+  return call;
+}
+
+// The ended call's record wins over the live state kept for a few minutes after it ends
+function findCall(callId) {
+  const live = callManager.getCallState(callId);
+  const record = cdr.getCdr(live?.callId || callId);
+  if (!record && !live) throw new NotFoundError(`No call ${callId}`);
+  return record || live;
+}
+
+function toPermission(status, phone) {
+  const check = permissionLedger.checkRequestAllowed(phone);
+  return {
+    phone: status.phone,
+    state: status.state,
+    granted: status.granted,
+    permanent: Boolean(status.permanent),
+    grantedAt: status.grantedAt || null,
+    expiresAt: status.expiresAt || null,
+    canRequest: {
+      allowed: check.allowed,
+      rule: check.rule || null,
+      reason: check.reason || null,
+      nextAllowedAt: check.nextAllowedAt || null
+    }
+  };
+}
+
+// Who the audit log names for an API request
+function caller(req) {
+  return { username: `api:${req.apiKey.id}`, role: 'api' };
+}
+
+function requireFields(body, fields) {
+  const missing = fields.filter(f => body?.[f] === undefined || body[f] === null || body[f] === '');
+  if (missing.length) throw new ValidationError(`${missing.join(' and ')} ${missing.length > 1 ? 'are' : 'is'} required`);
+}
+
+// ── Handlers: (req, io) -> response body ──
+
+function listCalls(req) {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 25, 1), 500);
+
+  const ended = cdr.filterCdr().map(record => toCall(record));
+  const recorded = new Set(ended.map(c => c.id));
+  const live = callManager.getAllCalls()
+    .filter(c => !recorded.has(c.callId))
+    .map(c => toCall(callManager.getCallState(c.callId) || c));
+
+  let calls = [...live, ...ended].filter(cdr.recordFilter(req.query));
+  if (req.query.active !== undefined) calls = calls.filter(c => c.active === (req.query.active === 'true'));
+  calls.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  return { data: calls.slice((page - 1) * pageSize, page * pageSize), total: calls.length, page, pageSize };
+}
+
+async function createCall(req, io) {
+  requireFields(req.body, ['phone']);
+  const { phone, agent } = req.body;
+
+  schedule.checkOutboundOpen();
+  let socketId = null;
+  if (agent) {
+    socketId = agentManager.getAgents().find(a => a.name === agent)?.socketId;
+    if (!socketId) throw new NotFoundError(`No agent named ${agent} is logged in`);
+  }
+  const socket = await callManager.dialingSocket(io, socketId);
+  const { callId } = await auditLog.track(caller(req), 'call-start', { phone },
+    () => callManager.startOutboundCall(phone, io, socket));
+  return toCall(findCall(callId));
+}
+
+function getCall(req) {
+  return toCall(findCall(req.params.callId), { history: true });
+}
+
+// Ending a call that already ended is not an error; the call is returned as it is
+async function endCall(req, io) {
+  const call = findCall(req.params.callId);
+  if (!stateMachine.isTerminal(call.status)) {
+    await auditLog.track(caller(req), 'call-end', { callId: call.callId }, () => callManager.endCall(call.callId, io));
+  }
+  return toCall(findCall(call.callId));
+}
+
+async function getPermission(req) {
+  const status = await callManager.getPermissionStatus(req.params.phone, { refresh: req.query.refresh === 'true' });
+  return toPermission(status, req.params.phone);
+}
+
+async function requestPermission(req, io) {
+  const { phone } = req.params;
+  const { templateName, language, components, force } = req.body || {};
+  const result = await auditLog.track(caller(req), 'permission-request', { phone, templateName, force: force === true },
+    () => callManager.requestPermission(phone, { templateName, language, components, force: force === true }, io));
+
+  const status = await callManager.getPermissionStatus(phone);
+  return { messageId: result.messages?.[0]?.id || null, permission: toPermission(status, phone) };
+}
+
+async function sendMessage(req) {
+  requireFields(req.body, ['phone', 'text']);
+  const { phone, text } = req.body;
+  if (typeof text !== 'string' || text.length > 4096) throw new ValidationError('text must be a string of at most 4096 characters');
+
+  const result = await auditLog.track(caller(req), 'message-send', { phone }, () => whatsappApi.sendTextMessage(phone, text));
+  return { id: result.messages?.[0]?.id || null, phone, sentAt: new Date().toISOString() };
+}
+
+// ── Routes ──
+
+const query = (name, schema, description) => ({ name, in: 'query', schema, description });
+
+const ROUTES = [
+  {
+    method: 'get', path: '/calls', scope: 'calls:read', operationId: 'listCalls', handler: listCalls,
+    summary: 'List calls, newest first',
+    query: [
+      query('active', { type: 'boolean' }, 'Only calls in progress (true) or ended (false)'),
+      query('status', { type: 'string' }, 'Call status'),
+      query('direction', { type: 'string', enum: ['inbound', 'outbound'] }),
+      query('phone', { type: 'string' }, 'Part of the phone number'),
+      query('from', { type: 'string' }, 'Created at or after, a date or date-time'),
+      query('to', { type: 'string' }, 'Created at or before, a date (the whole day) or date-time'),
+      query('page', { type: 'integer', minimum: 1, default: 1 }),
+      query('pageSize', { type: 'integer', minimum: 1, maximum: 500, default: 25 })
+    ],
+    response: 'CallList'
+  },
+  {
+    method: 'post', path: '/calls', scope: 'calls:write', operationId: 'createCall', handler: createCall,
+    summary: 'Start an outbound call',
+    description: 'Places the call from an agent\'s dashboard. Needs call permission from the number and open outbound hours.',
+    body: 'CallCreate', status: 201, response: 'Call'
+  },
+  {
+    method: 'get', path: '/calls/:callId', scope: 'calls:read', operationId: 'getCall', handler: getCall,
+    summary: 'Get a call, its outcome and status history', response: 'Call'
+  },
+  {
+    method: 'post', path: '/calls/:callId/end', scope: 'calls:write', operationId: 'endCall', handler: endCall,
+    summary: 'Hang up a call', response: 'Call'
+  },
+  {
+    method: 'get', path: '/permissions/:phone', scope: 'permissions:read', operationId: 'getPermission', handler: getPermission,
+    summary: 'Call permission status of a phone number',
+    query: [query('refresh', { type: 'boolean' }, "Ask WhatsApp instead of using the cached answer")],
+    response: 'Permission'
+  },
+  {
+    method: 'post', path: '/permissions/:phone/requests', scope: 'permissions:write', operationId: 'requestPermission', handler: requestPermission,
+    summary: 'Send a call permission request',
+    description: 'Sends the call permission template. WhatsApp limits how often a number can be asked, see canRequest on the permission.',
+    body: 'PermissionRequestCreate', status: 202, response: 'PermissionRequest'
+  },
+  {
+    method: 'post', path: '/messages', scope: 'messages:write', operationId: 'sendMessage', handler: sendMessage,
+    summary: 'Send a text message',
+    description: 'Only within 24 hours of the user\'s last message.',
+    body: 'MessageCreate', status: 201, response: 'Message'
+  }
+];
+
+function operation(route) {
+  const params = [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name, in: 'path', required: true, schema: { type: 'string' }, description: PATH_PARAMS[name]
+  }));
+  const op = {
+    operationId: route.operationId,
+    summary: route.summary,
+    description: [route.description, `Scope: \`${route.scope}\``].filter(Boolean).join('\n\n'),
+    security: [{ bearerKey: [route.scope] }, { headerKey: [route.scope] }],
+    parameters: [...params, ...(route.query || [])],
+    responses: {
+      [route.status || 200]: {
+        description: 'OK',
+        content: { 'application/json': { schema: { $ref: `#/components/schemas/${route.response}` } } }
+      },
+      401: { $ref: '#/components/responses/Unauthorized' },
+      403: { $ref: '#/components/responses/Forbidden' },
+      default: { $ref: '#/components/responses/Error' }
+    }
+  };
+  if (route.body) {
+    op.requestBody = { required: true, content: { 'application/json': { schema: { $ref: `#/components/schemas/${route.body}` } } } };
+  }
+  return op;
+}
+
+function openApiDocument() {
+  const paths = {};
+  for (const route of ROUTES) {
+    const path = route.path.replace(/:(\w+)/g, '{$1}');
+    paths[path] = { ...paths[path], [route.method]: operation(route) };
+  }
+  const errorResponse = description => ({ description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'WhatsApp Calling API',
+      version: API_VERSION,
+      description: 'Calls, call permissions and messages for integrations. Authenticate with an API key ' +
+        'as `Authorization: Bearer <key>` or `X-API-Key: <key>`; each operation names the scope it needs.'
+    },
+    servers: [{ url: '/v1' }],
+    paths,
+    components: {
+      schemas: SCHEMAS,
+      responses: {
+        Unauthorized: errorResponse('Missing, unknown or revoked API key'),
+        Forbidden: errorResponse('The API key lacks the scope, or the action is not allowed now'),
+        Error: errorResponse('Any other error')
+      },
+      securitySchemes: {
+        bearerKey: { type: 'http', scheme: 'bearer', description: 'API key as a bearer token' },
+        headerKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      }
+    }
+  };
+}
+
+function createRouter(io) {
+  const router = express.Router();
+  const document = openApiDocument();
+
+  router.get('/openapi.json', (req, res) => res.json(document));
+
+  for (const route of ROUTES) {
+    router[route.method](route.path, apiKeys.requireScope(route.scope), async (req, res, next) => {
+      try {
+        res.status(route.status || 200).json(await route.handler(req, io));
+      } catch (err) {
+        next(err);
+      }
+    });
+  }
+
+  router.use((req, res, next) => next(new NotFoundError(`No such endpoint: ${req.method} /v1${req.path}`)));
+  return router;
+}
+
+// Error middleware for /v1, also for errors raised before the router (e.g. a malformed JSON body)
+function handleError(err, req, res, next) {
+  if (err.type === 'entity.parse.failed') err = new ValidationError('The request body is not valid JSON');
+  sendApiError(res, err, `${req.method} ${req.baseUrl}${req.path}`);
+}
+
+module.exports = {
+  openApiDocument,
+  createRouter,
+  handleError
+};
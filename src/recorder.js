@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const store = require('./store');
+const webrtcBridge = require('./webrtcBridge');
+const { createWavWriter, resample, loadPrompt } = require('./wav');
+
+// Server-side call recording (server WebRTC mode only).
+// "caller" is the audio WhatsApp sends us, "agent" is everything we send back.
+const recordingStore = store.collection('recordings'); // callId -> RecordingSummary
+const active = new Map(); // callId -> live recording
+
+const SAMPLE_RATE = 16000;          // speech quality keeps files small
+const MAX_SKEW = SAMPLE_RATE / 5;   // 200ms - past this the silent side is padded
+
+function isEnabled() {
+  return config.RECORDING_ENABLED && webrtcBridge.isAvailable();
+}
+
+function fileSafe(callId) {
+  return callId.replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+function summarize(rec) {
+  const writer = rec.writers.mix || rec.writers.caller;
+  return {
+    callId: rec.callId,
+    mode: rec.mode,
+    files: Object.fromEntries(Object.entries(rec.writers).map(([channel, w]) => [channel, w.file])),
+    startedAt: rec.startedAt,
+    endedAt: rec.endedAt || null,
+    durationSeconds: Math.round(writer.durationSeconds)
+  };
+}
+
+function append(a, b) {
+  const out = new Int16Array(a.length + b.length);
+  out.set(a);
+  out.set(b, a.length);
+  return out;
+}
+
+// Interleave caller (left) and agent (right) once both sides have audio
+function mixDown(rec, flush = false) {
+  const { caller, agent } = rec.pending;
+  let frames = Math.min(caller.length, agent.length);
+  if (flush || Math.abs(caller.length - agent.length) > MAX_SKEW) {
+    frames = Math.max(caller.length, agent.length);
+  }
+  if (!frames) return;
+
+  const out = new Int16Array(frames * 2);
+  for (let i = 0; i < frames; i++) {
+    out[i * 2] = caller[i] || 0;
+    out[i * 2 + 1] = agent[i] || 0;
+  }
+  rec.writers.mix.write(out);
+  rec.pending.caller = caller.subarray(Math.min(frames, caller.length));
+  rec.pending.agent = agent.subarray(Math.min(frames, agent.length));
+}
+
+function push(rec, channel, samples, sampleRate) {
+  const pcm = resample(samples, sampleRate, SAMPLE_RATE);
+  if (rec.mode === 'separate') {
+    rec.writers[channel].write(pcm);
+  } else {
+    rec.pending[channel] = append(rec.pending[channel], pcm);
+    mixDown(rec);
+  }
+}
+
+async function startRecording(state) {
+  if (!isEnabled() || !state.whatsappPeer || !state.output || active.has(state.callId)) return null;
+
+  if (config.RECORDING_CONSENT_PROMPT) {
+    try {
+      await state.output.play(loadPrompt(config.RECORDING_CONSENT_PROMPT, state.output.sampleRate));
+    } catch (err) {
+      console.error(`[Recorder] Could not play consent prompt: ${err.message}`);
+    }
+  }
+
+  // The call may have ended during the announcement
+  if (state.endedAt) return null;
+
+  fs.mkdirSync(config.RECORDINGS_DIR, { recursive: true });
+  const base = path.join(config.RECORDINGS_DIR, fileSafe(state.callId));
+  const mode = config.RECORDING_MODE === 'separate' ? 'separate' : 'stereo';
+
+  const rec = {
+    callId: state.callId,
+    mode,
+    startedAt: new Date(),
+    writers: {},
+    pending: { caller: new Int16Array(0), agent: new Int16Array(0) },
+    stops: []
+  };
+
+  if (mode === 'separate') {
+    rec.writers.caller = createWavWriter(`${base}-caller.wav`, { sampleRate: SAMPLE_RATE });
+    rec.writers.agent = createWavWriter(`${base}-agent.wav`, { sampleRate: SAMPLE_RATE });
+  } else {
+    rec.writers.mix = createWavWriter(`${base}.wav`, { sampleRate: SAMPLE_RATE, channelCount: 2 });
+  }
+
+  const callerTrack = state.whatsappPeer.getReceivers()
+    .map(receiver => receiver.track)
+    .find(track => track && track.kind === 'audio');
+  if (callerTrack) {
+    const sink = webrtcBridge.createAudioSink(callerTrack, (samples, rate) => push(rec, 'caller', samples, rate));
+    rec.stops.push(sink.stop);
+  } else {
+    console.warn(`[Recorder] No remote audio track for call ${state.callId}, recording agent side only`);
+  }
+  rec.stops.push(state.output.tap((samples, rate) => push(rec, 'agent', samples, rate)));
+
+  active.set(state.callId, rec);
+  const summary = summarize(rec);
+  recordingStore.set(state.callId, summary);
+  console.log(`[Recorder] Recording call ${state.callId} (${mode})`);
+  return summary;
+}
+
+function stopRecording(callId) {
+  const rec = active.get(callId);
+  if (!rec) return null;
+  active.delete(callId);
+
+  for (const stop of rec.stops) {
+    try { stop(); } catch (e) { /* ignore */ }
+  }
+  if (rec.mode === 'stereo') mixDown(rec, true);
+  for (const writer of Object.values(rec.writers)) writer.close();
+
+  rec.endedAt = new Date();
+  const summary = summarize(rec);
+  recordingStore.set(callId, summary);
+  console.log(`[Recorder] Saved recording for call ${callId} (${summary.durationSeconds}s)`);
+  return summary;
+}
+
+function getRecording(callId) {
+  return recordingStore.get(callId) || null;
+}
+
+function isRecording(callId) {
+  return active.has(callId);
+}
+
+module.exports = {
+  isEnabled,
+  startRecording,
+  stopRecording,
+  getRecording,
+  isRecording
+};
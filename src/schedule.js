@@ -0,0 +1,254 @@
+const config = require('./config');
+const store = require('./store');
+const { ValidationError, ForbiddenError } = require('./errors');
+
+// When calls are handled: weekly hours in the business timezone, holidays and ad-hoc
+// overrides. Seeded from BUSINESS_* / OUTBOUND_HOURS / CLOSED_HOURS_* and editable through
+// /api/schedule, after which the stored copy wins.
+const scheduleStore = store.collection('schedule'); // 'current' -> Schedule
+
+const DAYS = ['SUNDAY', 'MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY'];
+const CLOSED_ACTIONS = ['offer', 'reject', 'voicemail', 'auto-reply'];
+
+function parseDay(name) {
+  const day = DAYS.findIndex(d => d.startsWith(name.slice(0, 3).toUpperCase()));
+  if (name.length < 3 || day === -1) throw new ValidationError(`Invalid day: ${name}`);
+  return day;
+}
+
+function parseTime(value) {
+  const match = /^(\d{1,2}):?(\d{2})$/.exec(String(value));
+  const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+  // 24:00 closes at midnight; nothing later is a time of day
+  if (!match || Number(match[2]) > 59 || minutes > 24 * 60) throw new ValidationError(`Invalid time: ${value}`);
+  return minutes;
+}
+
+function formatTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// "Mon-Fri 09:00-17:00; Sat 10:00-14:00" -> [{ day: 'MONDAY', open: '09:00', close: '17:00' }, ...]
+function parseBusinessHours(spec) {
+  const hours = [];
+  for (const range of String(spec || '').split(';').map(s => s.trim()).filter(Boolean)) {
+    const match = /^([A-Za-z]+)(?:-([A-Za-z]+))?\s+(\S+)-(\S+)$/.exec(range);
+    if (!match) throw new ValidationError(`Invalid business hours: "${range}" (expected e.g. "Mon-Fri 09:00-17:00")`);
+
+    const first = parseDay(match[1]);
+    const last = match[2] ? parseDay(match[2]) : first;
+    const open = parseTime(match[3]);
+    const close = parseTime(match[4]);
+    if (close <= open) throw new ValidationError(`Invalid business hours: "${range}" closes before it opens`);
+    for (let d = first; ; d = (d + 1) % 7) {
+      hours.push({ day: DAYS[d], open: formatTime(open), close: formatTime(close) });
+      if (d === last) break;
+    }
+  }
+  return hours;
+}
+
+// Accepts the structured form or the BUSINESS_HOURS text form
+function normalizeHours(hours, field) {
+  if (hours === null || hours === undefined) return null;
+  if (typeof hours === 'string') return parseBusinessHours(hours);
+  if (!Array.isArray(hours)) throw new ValidationError(`${field} must be an array or a string like "Mon-Fri 09:00-17:00"`);
+
+  return hours.map(h => {
+    const day = DAYS[parseDay(String(h.day || ''))];
+    const open = parseTime(h.open);
+    const close = parseTime(h.close);
+    if (close <= open) throw new ValidationError(`${field}: ${day} closes before it opens`);
+    return { day, open: formatTime(open), close: formatTime(close) };
+  });
+}
+
+function normalizeHolidays(holidays) {
+  if (typeof holidays === 'string') holidays = holidays.split(',').map(s => s.trim()).filter(Boolean);
+  if (!Array.isArray(holidays)) throw new ValidationError('holidays must be an array');
+
+  return holidays.map(h => {
+    // "2026-12-24" or "2026-12-24 00:00-12:00"
+    const [date, times] = typeof h === 'string' ? h.split(/\s+/) : [];
+    const [start, end] = times ? times.split('-') : [];
+    const holiday = typeof h === 'string' ? { date, start, end } : h;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(holiday.date || '')) throw new ValidationError(`Invalid holiday date: ${holiday.date}`);
+    return {
+      date: holiday.date,
+      start: formatTime(parseTime(holiday.start || '00:00')),
+      end: formatTime(parseTime(holiday.end || '23:59')),
+      name: holiday.name || ''
+    };
+  });
+}
+
+function validateTimezone(timeZone) {
+  if (!timeZone) return '';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (err) {
+    throw new ValidationError(`Invalid timezone: ${timeZone}`);
+  }
+  return timeZone;
+}
+
+function defaults() {
+  return {
+    timezone: config.BUSINESS_TIMEZONE,
+    weeklyHours: parseBusinessHours(config.BUSINESS_HOURS),
+    outboundHours: config.OUTBOUND_HOURS ? parseBusinessHours(config.OUTBOUND_HOURS) : null,
+    holidays: normalizeHolidays(config.BUSINESS_HOLIDAYS),
+    overrides: [],
+    closedAction: config.CLOSED_HOURS_ACTION,
+    closedMessage: config.CLOSED_HOURS_MESSAGE
+  };
+}
+
+function getSchedule() {
+  return scheduleStore.get('current') || defaults();
+}
+
+// Partial update; only the given sections are replaced
+function updateSchedule(changes) {
+  const schedule = getSchedule();
+
+  if ('timezone' in changes) schedule.timezone = validateTimezone(changes.timezone);
+  if ('weeklyHours' in changes) schedule.weeklyHours = normalizeHours(changes.weeklyHours, 'weeklyHours') || [];
+  if ('outboundHours' in changes) schedule.outboundHours = normalizeHours(changes.outboundHours || null, 'outboundHours');
+  if ('holidays' in changes) schedule.holidays = normalizeHolidays(changes.holidays);
+  if ('closedAction' in changes) {
+    if (!CLOSED_ACTIONS.includes(changes.closedAction)) {
+      throw new ValidationError(`Invalid closedAction: ${changes.closedAction} (expected ${CLOSED_ACTIONS.join(', ')})`);
+    }
+    schedule.closedAction = changes.closedAction;
+  }
+  if ('closedMessage' in changes) schedule.closedMessage = String(changes.closedMessage || '');
+
+  scheduleStore.set('current', schedule);
+  console.log('[Schedule] Updated');
+  return schedule;
+}
+
+// Force open or closed between two instants, e.g. a team offsite or an extra Saturday
+function addOverride({ from, to, open, note }) {
+  const start = new Date(from);
+  const end = new Date(to);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) throw new ValidationError('from and to must be valid dates');
+  if (end <= start) throw new ValidationError('to must be after from');
+
+  const schedule = getSchedule();
+  const override = {
+    id: `ovr_${Date.now()}`,
+    from: start.toISOString(),
+    to: end.toISOString(),
+    open: Boolean(open),
+    note: note || ''
+  };
+  // Expired overrides are dropped whenever a new one is added
+  schedule.overrides = [...schedule.overrides.filter(o => new Date(o.to) > new Date()), override];
+  scheduleStore.set('current', schedule);
+  console.log(`[Schedule] ${override.open ? 'Open' : 'Closed'} from ${override.from} to ${override.to}`);
+  return override;
+}
+
+function removeOverride(id) {
+  const schedule = getSchedule();
+  const before = schedule.overrides.length;
+  schedule.overrides = schedule.overrides.filter(o => o.id !== id);
+  if (schedule.overrides.length === before) return false;
+  scheduleStore.set('current', schedule);
+  return true;
+}
+
+// Date (YYYY-MM-DD), day of week and minutes since midnight in the given IANA timezone
+function localTime(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || undefined,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'long',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = type => parts.find(p => p.type === type).value;
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    day: get('weekday').toUpperCase(),
+    minutes: Number(get('hour')) * 60 + Number(get('minute'))
+  };
+}
+
+function withinHours(hours, local) {
+  return hours.some(h => h.day === local.day && local.minutes >= parseTime(h.open) && local.minutes < parseTime(h.close));
+}
+
+// `direction` is 'inbound' or 'outbound'. Returns { open, reason }.
+function getStatus(direction = 'inbound', date = new Date()) {
+  const schedule = getSchedule();
+
+  const override = schedule.overrides
+    .filter(o => date >= new Date(o.from) && date < new Date(o.to))
+    .pop();
+  if (override) return { open: override.open, reason: 'override', note: override.note };
+
+  const local = localTime(date, schedule.timezone);
+  const holiday = schedule.holidays.find(h =>
+    h.date === local.date && local.minutes >= parseTime(h.start) && local.minutes <= parseTime(h.end));
+  if (holiday) return { open: false, reason: 'holiday', note: holiday.name };
+
+  const hours = direction === 'outbound' ? schedule.outboundHours : schedule.weeklyHours;
+  if (!hours || !hours.length) return { open: true, reason: 'always' };
+  return { open: withinHours(hours, local), reason: 'hours' };
+}
+
+function isOpen(direction = 'inbound', date = new Date()) {
+  return getStatus(direction, date).open;
+}
+
+// Throws unless outbound calls may be placed now
+function checkOutboundOpen(date = new Date()) {
+  const status = getStatus('outbound', date);
+  if (status.open) return;
+  const why = status.note || { hours: 'outside outbound hours', holiday: 'holiday', override: 'closed' }[status.reason];
+  throw new ForbiddenError(`Outbound calls are not permitted right now (${why})`);
+}
+
+// Whether `date` falls in `hours` (as parseBusinessHours returns them) in the business timezone
+function isWithinHours(hours, date = new Date()) {
+  return withinHours(hours, localTime(date, getSchedule().timezone));
+}
+
+// Meta's `call_hours` settings object; Meta shows callers when the business takes calls
+function toCallHours(schedule = getSchedule()) {
+  const hhmm = time => (time === '24:00' ? '2359' : time.replace(':', ''));
+  return {
+    status: schedule.weeklyHours.length ? 'ENABLED' : 'DISABLED',
+    timezone_id: schedule.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    weekly_operating_hours: schedule.weeklyHours.map(h => ({
+      day_of_week: h.day,
+      open_time: hhmm(h.open),
+      close_time: hhmm(h.close)
+    })),
+    holiday_schedule: schedule.holidays.map(h => ({
+      date: h.date,
+      start_time: hhmm(h.start),
+      end_time: hhmm(h.end)
+    }))
+  };
+}
+
+module.exports = {
+  CLOSED_ACTIONS,
+  parseBusinessHours,
+  getSchedule,
+  updateSchedule,
+  addOverride,
+  removeOverride,
+  getStatus,
+  isOpen,
+  checkOutboundOpen,
+  isWithinHours,
+  toCallHours
+};
@@ -0,0 +1,562 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const express = require('express');
+const axios = require('axios');
+
+// Stand-in for the WhatsApp Cloud API, for trying call flows without a phone or a Meta
+// account. Point GRAPH_API_BASE at `simulator.baseUrl` and it answers /settings,
+// /messages, /calls, /call_permissions and /message_templates like Meta does, then fires
+// signed webhooks at `webhookUrl` (permission replies, call statuses, connect, terminate).
+//
+// Each simulated user follows a script (see DEFAULT_USER), e.g.
+//   sim.user('15550001', { answer: 'reject' })
+//   sim.user('15550002', { answer: 'accept', hangupAfterMs: 500 })
+//   const callId = await sim.placeCall('15550003')
+//
+// `node src/simulator.js` runs it standalone for the dashboard, with /_sim routes to
+// drive the same scripts over HTTP.
+
+const DEFAULT_USER = {
+  name: 'Simulated User',
+  permission: 'accept',   // reply to permission requests: 'accept', 'reject' or 'ignore'
+  permanent: false,       // accept with is_permanent
+  granted: false,         // already granted before the scenario starts
+  answer: 'accept',       // outbound calls: 'accept', 'reject', 'no-answer' or 'unavailable'
+  ringAfterMs: 20,        // connect -> RINGING
+  answerAfterMs: 50,      // RINGING -> ACCEPTED or REJECTED
+  noAnswerMs: 300,        // RINGING -> terminate (FAILED) for 'no-answer'
+  hangupAfterMs: null,    // user hangs up this long after the call connects
+  dropAfterMs: null,      // call drops (terminate FAILED) this long after it connects
+  replyAfterMs: 20        // permission request -> reply
+};
+
+const DEFAULT_TEMPLATES = [
+  {
+    id: '1000',
+    name: 'call_permission',
+    language: 'en_US',
+    status: 'APPROVED',
+    category: 'MARKETING',
+    parameter_format: 'POSITIONAL',
+    components: [
+      { type: 'BODY', text: 'We would like to call you about your request.' },
+      { type: 'CALL_PERMISSION_REQUEST' }
+    ]
+  }
+];
+
+const PERMISSION_TTL_SECONDS = 72 * 60 * 60;
+
+function randomId(prefix) {
+  return `${prefix}.${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function seconds(date = Date.now()) {
+  return String(Math.floor(date / 1000));
+}
+
+function sdpAttributes() {
+  const fingerprint = crypto.randomBytes(32).toString('hex').toUpperCase().match(/../g).join(':');
+  return [
+    `a=ice-ufrag:${crypto.randomBytes(4).toString('hex')}`,
+    `a=ice-pwd:${crypto.randomBytes(12).toString('hex')}`,
+    `a=fingerprint:sha-256 ${fingerprint}`
+  ];
+}
+
+// WhatsApp-like offer for inbound calls: ice-lite, opus and telephone-event
+function offerSdp() {
+  return [
+    'v=0',
+    `o=- ${Date.now()} 2 IN IP4 127.0.0.1`,
+    's=-',
+    't=0 0',
+    'a=ice-lite',
+    'a=group:BUNDLE 0',
+    'm=audio 3480 UDP/TLS/RTP/SAVPF 111 126',
+    'c=IN IP4 127.0.0.1',
+    'a=rtcp:9 IN IP4 0.0.0.0',
+    'a=candidate:1 1 udp 2130706431 127.0.0.1 3480 typ host',
+    ...sdpAttributes(),
+    'a=setup:actpass',
+    'a=mid:0',
+    'a=sendrecv',
+    'a=rtcp-mux',
+    'a=rtpmap:111 opus/48000/2',
+    'a=fmtp:111 minptime=10;useinbandfec=1',
+    'a=rtpmap:126 telephone-event/8000',
+    `a=ssrc:${crypto.randomBytes(4).readUInt32BE()} cname:whatsapp`,
+    ''
+  ].join('\r\n');
+}
+
+// Answer that mirrors the offer's audio section; it parses, but no media ever flows
+function answerSdp(offer) {
+  const pick = (regex, fallback) => (regex.exec(offer || '') || [])[1] || fallback;
+  const opus = pick(/a=rtpmap:(\d+) opus\/48000/i, '111');
+  const dtmf = pick(/a=rtpmap:(\d+) telephone-event\/8000/i, '126');
+  const mid = pick(/a=mid:(\S+)/, '0');
+  return [
+    'v=0',
+    `o=- ${Date.now()} 2 IN IP4 127.0.0.1`,
+    's=-',
+    't=0 0',
+    'a=ice-lite',
+    `a=group:BUNDLE ${mid}`,
+    `m=audio 3480 UDP/TLS/RTP/SAVPF ${opus} ${dtmf}`,
+    'c=IN IP4 127.0.0.1',
+    'a=candidate:1 1 udp 2130706431 127.0.0.1 3480 typ host',
+    ...sdpAttributes(),
+    'a=setup:active',
+    `a=mid:${mid}`,
+    'a=sendrecv',
+    'a=rtcp-mux',
+    `a=rtpmap:${opus} opus/48000/2`,
+    `a=rtpmap:${dtmf} telephone-event/8000`,
+    ''
+  ].join('\r\n');
+}
+
+function graphError(res, status, code, message) {
+  res.status(status).json({
+    error: { message: `(#${code}) ${message}`, type: 'OAuthException', code, fbtrace_id: crypto.randomBytes(8).toString('hex') }
+  });
+}
+
+function createSimulator({
+  webhookUrl,
+  appSecret,
+  phoneNumberId = '100000000000001',
+  wabaId = '200000000000001',
+  displayPhoneNumber = '15550000000',
+  version = 'v22.0',
+  templates = DEFAULT_TEMPLATES
+} = {}) {
+  const sim = new EventEmitter();
+  const users = new Map();       // phone -> script and permission state
+  const calls = new Map();       // call id -> SimCall
+  const messages = new Map();    // message id -> { to, template }
+  const failures = [];           // queued { match, status, code, message }
+  const requests = [];
+  let settings = { status: 'DISABLED', call_icon_visibility: 'DEFAULT', callback_permission_status: 'DISABLED' };
+  let server = null;
+  let delivery = Promise.resolve();
+  const timers = new Set();
+
+  function later(ms, fn) {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, ms);
+    timers.add(timer);
+    return timer;
+  }
+
+  function user(phone, script) {
+    const key = String(phone).replace(/\D/g, '');
+    const current = users.get(key) || { ...DEFAULT_USER, phone: key, grant: null };
+    if (script) {
+      Object.assign(current, script);
+      if (script.granted) current.grant = { permanent: Boolean(script.permanent), expiresAt: Date.now() + PERMISSION_TTL_SECONDS * 1000 };
+    }
+    users.set(key, current);
+    return current;
+  }
+
+  function hasPermission(u) {
+    return Boolean(u.grant && (u.grant.permanent || u.grant.expiresAt > Date.now()));
+  }
+
+  // ── Webhooks ──
+
+  function deliver(field, value) {
+    const body = {
+      object: 'whatsapp_business_account',
+      entry: [{
+        id: wabaId,
+        changes: [{
+          field,
+          value: { messaging_product: 'whatsapp', metadata: { display_phone_number: displayPhoneNumber, phone_number_id: phoneNumberId }, ...value }
+        }]
+      }]
+    };
+    const raw = JSON.stringify(body);
+    const signature = 'sha256=' + crypto.createHmac('sha256', appSecret).update(raw).digest('hex');
+
+    // One at a time, in the order they were fired, like Meta does per conversation
+    delivery = delivery.then(async () => {
+      try {
+        await axios.post(webhookUrl, raw, { headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': signature } });
+      } catch (err) {
+        console.warn(`[Simulator] Webhook delivery failed: ${err.message}`);
+      }
+      sim.emit('webhook', body.entry[0].changes[0]);
+    });
+    return delivery;
+  }
+
+  function contact(phone) {
+    return [{ profile: { name: user(phone).name }, wa_id: phone }];
+  }
+
+  function messageStatuses(id, to) {
+    for (const [i, status] of ['sent', 'delivered', 'read'].entries()) {
+      later(5 * (i + 1), () => deliver('messages', {
+        statuses: [{ id, status, timestamp: seconds(), recipient_id: to }]
+      }));
+    }
+  }
+
+  // Meta echoes the business's biz_opaque_callback_data from connect on every webhook of the call
+  function opaqueOf(call) {
+    return call.opaque ? { biz_opaque_callback_data: call.opaque } : {};
+  }
+
+  function callStatus(call, status) {
+    call.status = status;
+    sim.emit('call', call);
+    return deliver('calls', {
+      statuses: [{ id: call.id, timestamp: seconds(), type: 'call', status, recipient_id: call.phone, ...opaqueOf(call) }]
+    });
+  }
+
+  function terminate(call, status = 'COMPLETED') {
+    if (call.status === 'TERMINATED') return delivery;
+    for (const timer of call.timers) clearTimeout(timer);
+    const start = call.connectedAt || Date.now();
+    call.status = 'TERMINATED';
+    call.endStatus = status;
+    sim.emit('call', call);
+    return deliver('calls', {
+      calls: [{
+        id: call.id,
+        from: call.direction === 'USER_INITIATED' ? call.phone : displayPhoneNumber,
+        to: call.direction === 'USER_INITIATED' ? displayPhoneNumber : call.phone,
+        event: 'terminate',
+        direction: call.direction,
+        timestamp: seconds(),
+        status,
+        ...opaqueOf(call),
+        ...(call.connectedAt && { start_time: seconds(start), end_time: seconds(), duration: Math.round((Date.now() - start) / 1000) })
+      }]
+    });
+  }
+
+  function connected(call) {
+    call.connectedAt = Date.now();
+    const u = user(call.phone);
+    if (u.hangupAfterMs !== null) call.timers.push(later(u.hangupAfterMs, () => terminate(call, 'COMPLETED')));
+    if (u.dropAfterMs !== null) call.timers.push(later(u.dropAfterMs, () => terminate(call, 'FAILED')));
+  }
+
+  // ── Graph API ──
+
+  function takeFailure(req) {
+    const i = failures.findIndex(f => f.match(req));
+    return i === -1 ? null : failures.splice(i, 1)[0];
+  }
+
+  function sendMessage(req, res) {
+    const { to, type, template } = req.body;
+    const id = randomId('wamid');
+    messages.set(id, { to, type, template });
+    res.json({ messaging_product: 'whatsapp', contacts: [{ input: to, wa_id: to }], messages: [{ id, message_status: 'accepted' }] });
+    messageStatuses(id, to);
+
+    const u = user(to);
+    if (type !== 'template' || u.permission === 'ignore') return;
+    const definition = templates.find(t => t.name === template?.name && t.language === template?.language?.code);
+    if (!definition?.components.some(c => c.type === 'CALL_PERMISSION_REQUEST')) return;
+
+    later(u.replyAfterMs, () => replyPermission(to, u.permission, { permanent: u.permanent, contextId: id }));
+  }
+
+  function callAction(req, res) {
+    const { action, to, call_id: callId, session } = req.body;
+
+    if (action === 'connect') {
+      const u = user(to);
+      if (settings.status !== 'ENABLED') return graphError(res, 400, 138000, 'Calling is not enabled for this phone number');
+      if (!hasPermission(u)) return graphError(res, 400, 138006, 'No approved call permission from the recipient');
+      if (u.answer === 'unavailable') return graphError(res, 400, 138001, 'Receiver is unable to receive calls');
+      if ([...calls.values()].some(c => c.phone === u.phone && c.status !== 'TERMINATED')) {
+        return graphError(res, 400, 138003, 'Duplicate call');
+      }
+
+      const call = { id: randomId('wacid'), phone: u.phone, direction: 'BUSINESS_INITIATED', status: 'CALLING', offer: session?.sdp, opaque: req.body.biz_opaque_callback_data || null, actions: ['connect'], timers: [] };
+      calls.set(call.id, call);
+      res.json({ messaging_product: 'whatsapp', calls: [{ id: call.id }] });
+      sim.emit('call', call);
+
+      call.timers.push(later(u.ringAfterMs, () => {
+        callStatus(call, 'RINGING');
+        if (u.answer === 'no-answer') {
+          call.timers.push(later(u.noAnswerMs, () => terminate(call, 'FAILED')));
+        } else if (u.answer === 'reject') {
+          call.timers.push(later(u.answerAfterMs, () => callStatus(call, 'REJECTED').then(() => terminate(call, 'REJECTED'))));
+        } else {
+          call.timers.push(later(u.answerAfterMs, () => {
+            callStatus(call, 'ACCEPTED');
+            connected(call);
+            deliver('calls', {
+              calls: [{
+                id: call.id,
+                to: call.phone,
+                from: displayPhoneNumber,
+                event: 'connect',
+                timestamp: seconds(),
+                direction: 'BUSINESS_INITIATED',
+                session: { sdp_type: 'answer', sdp: answerSdp(call.offer) },
+                ...opaqueOf(call)
+              }]
+            });
+          }));
+        }
+      }));
+      return;
+    }
+
+    const call = calls.get(callId);
+    if (!call || call.status === 'TERMINATED') return graphError(res, 400, 100, `Invalid parameter: call_id ${callId} is not an active call`);
+    call.actions.push(action);
+    if (session?.sdp) call.answer = session.sdp;
+
+    switch (action) {
+      case 'pre_accept':
+        call.status = 'PRE_ACCEPTED';
+        break;
+      case 'accept':
+        call.status = 'ACCEPTED';
+        connected(call);
+        break;
+      case 'reject':
+        terminate(call, 'REJECTED');
+        break;
+      case 'terminate':
+        terminate(call, 'COMPLETED');
+        break;
+      default:
+        return graphError(res, 400, 100, `Invalid parameter: action ${action}`);
+    }
+    sim.emit('call', call);
+    res.json({ messaging_product: 'whatsapp', success: true });
+  }
+
+  function callPermissions(req, res) {
+    const u = user(req.query.user_wa_id);
+    const granted = hasPermission(u);
+    res.json({
+      messaging_product: 'whatsapp',
+      permission: granted
+        ? { status: u.grant.permanent ? 'granted' : 'temporary', ...(!u.grant.permanent && { expiration_time: Math.floor(u.grant.expiresAt / 1000) }) }
+        : { status: 'no_permission' },
+      actions: [
+        { action_name: 'send_call_permission_request', can_perform_action: true, limits: [] },
+        { action_name: 'start_call', can_perform_action: granted, limits: [] }
+      ]
+    });
+  }
+
+  const app = express();
+  app.use(express.json({ limit: '1mb' }));
+
+  // Every Graph request is logged, and may be answered by a queued failure instead
+  app.use((req, res, next) => {
+    if (req.path.startsWith('/_sim')) return next();
+    const entry = { method: req.method, path: req.path.replace(/^\/v\d+\.\d+/, ''), body: req.body, query: req.query, at: Date.now() };
+    requests.push(entry);
+    sim.emit('request', entry);
+    const failure = takeFailure(entry);
+    if (failure) return graphError(res, failure.status, failure.code, failure.message);
+    req.url = req.url.replace(/^\/v\d+\.\d+/, '');
+    next();
+  });
+
+  const phoneRoute = path => `/${phoneNumberId}${path}`;
+  app.get(phoneRoute('/settings'), (req, res) => res.json({ calling: settings }));
+  app.post(phoneRoute('/settings'), (req, res) => {
+    settings = { ...settings, ...(req.body.calling || {}) };
+    res.json({ success: true });
+  });
+  app.post(phoneRoute('/messages'), sendMessage);
+  app.post(phoneRoute('/calls'), callAction);
+  app.get(phoneRoute('/call_permissions'), callPermissions);
+  app.get(`/${wabaId}/message_templates`, (req, res) => res.json({ data: templates, paging: { cursors: { before: 'MA', after: 'MA' } } }));
+
+  // HTTP version of the scripting API, for the standalone simulator
+  app.post('/_sim/users/:phone', (req, res) => res.json(user(req.params.phone, req.body)));
+  app.post('/_sim/messages', async (req, res) => res.json({ id: await sim.sendMessage(req.body.from, req.body.text) }));
+  app.post('/_sim/calls', async (req, res) => res.json({ callId: await sim.placeCall(req.body.from, req.body) }));
+  app.post('/_sim/calls/:id/hangup', (req, res) => {
+    const call = calls.get(req.params.id);
+    if (!call) return res.status(404).json({ success: false, error: 'Unknown call' });
+    terminate(call, req.body.status || 'COMPLETED');
+    res.json({ success: true });
+  });
+  app.post('/_sim/calling', (req, res) => {
+    settings.status = req.body.enabled === false ? 'DISABLED' : 'ENABLED';
+    res.json({ success: true, settings });
+  });
+
+  app.use((req, res) => graphError(res, 400, 100, `Unsupported request: ${req.method} ${req.path}`));
+
+  // ── Scripting API ──
+
+  Object.assign(sim, {
+    phoneNumberId,
+    wabaId,
+    requests,
+    user,
+
+    getCall(id) {
+      return calls.get(id) || null;
+    },
+
+    // Calling must be enabled before connect works, as on Meta
+    enableCalling() {
+      settings.status = 'ENABLED';
+    },
+
+    // The next Graph request that `match` (a function or a path suffix) gets a Meta error
+    failNext(match, { status = 400, code = 1, message = 'An unknown error occurred' } = {}) {
+      const test = typeof match === 'function' ? match : req => req.path.endsWith(match);
+      failures.push({ match: test, status, code, message });
+    },
+
+    // A text from the user, which opens the 24h conversation window
+    async sendMessage(from, text = 'Hi') {
+      const id = randomId('wamid');
+      await deliver('messages', {
+        contacts: contact(from),
+        messages: [{ from, id, timestamp: seconds(), type: 'text', text: { body: text } }]
+      });
+      return id;
+    },
+
+    replyPermission,
+
+    // A raw signed webhook, e.g. one about a call that was never placed
+    sendWebhook: deliver,
+
+    async placeCall(from, { hangupAfterMs = null } = {}) {
+      const u = user(from);
+      const call = { id: randomId('wacid'), phone: u.phone, direction: 'USER_INITIATED', status: 'RINGING', offer: offerSdp(), actions: [], timers: [] };
+      calls.set(call.id, call);
+      if (hangupAfterMs !== null) call.timers.push(later(hangupAfterMs, () => terminate(call, call.connectedAt ? 'COMPLETED' : 'FAILED')));
+
+      await deliver('calls', {
+        contacts: contact(u.phone),
+        calls: [{
+          id: call.id,
+          from: u.phone,
+          to: displayPhoneNumber,
+          event: 'connect',
+          timestamp: seconds(),
+          direction: 'USER_INITIATED',
+          session: { sdp_type: 'offer', sdp: call.offer }
+        }]
+      });
+      return call.id;
+    },
+
+    // The user ends the call (or the network drops it, with status 'FAILED')
+    hangup(callId, status = 'COMPLETED') {
+      const call = calls.get(callId);
+      if (!call) throw new Error(`Unknown simulated call ${callId}`);
+      return terminate(call, status);
+    },
+
+    // Resolves with the first `event` ('request', 'webhook' or 'call') matching `predicate`
+    waitFor(event, predicate = () => true, timeoutMs = 2000) {
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          sim.off(event, listener);
+          reject(new Error(`Simulator: timed out waiting for ${event}`));
+        }, timeoutMs);
+        function listener(data) {
+          if (!predicate(data)) return;
+          clearTimeout(timer);
+          sim.off(event, listener);
+          resolve(data);
+        }
+        sim.on(event, listener);
+      });
+    },
+
+    // Resolves once every queued webhook has been delivered
+    idle() {
+      return delivery;
+    },
+
+    start(port = 0) {
+      return new Promise((resolve) => {
+        server = app.listen(port, '127.0.0.1', () => resolve(sim.baseUrl));
+      });
+    },
+
+    async stop() {
+      for (const timer of timers) clearTimeout(timer);
+      timers.clear();
+      await delivery;
+      if (server) await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  // Getters are defined separately: Object.assign would read them once
+  Object.defineProperties(sim, {
+    baseUrl: { get: () => `http://127.0.0.1:${server.address().port}/${version}` },
+    settings: { get: () => settings }
+  });
+
+  function replyPermission(phone, response = 'accept', { permanent = false, contextId } = {}) {
+    const u = user(phone);
+    const expiresAt = Date.now() + PERMISSION_TTL_SECONDS * 1000;
+    if (response === 'accept') {
+      u.grant = { permanent, expiresAt };
+    } else {
+      u.grant = null;
+    }
+
+    const context = contextId || [...messages.entries()].reverse().find(([, m]) => m.to === u.phone && m.type === 'template')?.[0];
+    return deliver('messages', {
+      contacts: contact(u.phone),
+      messages: [{
+        from: u.phone,
+        id: randomId('wamid'),
+        timestamp: seconds(),
+        ...(context && { context: { from: displayPhoneNumber, id: context } }),
+        type: 'interactive',
+        interactive: {
+          type: 'call_permission_reply',
+          call_permission_reply: {
+            response,
+            is_permanent: response === 'accept' && permanent,
+            ...(response === 'accept' && !permanent && { expiration_timestamp: Math.floor(expiresAt / 1000) }),
+            response_source: 'user_action'
+          }
+        }
+      }]
+    });
+  }
+
+  return sim;
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  const port = parseInt(process.env.SIMULATOR_PORT || '19100', 10);
+  const sim = createSimulator({
+    webhookUrl: process.env.SIMULATOR_WEBHOOK_URL || `http://localhost:${process.env.PORT || 19000}/webhook`,
+    appSecret: process.env.APP_SECRET,
+    phoneNumberId: process.env.PHONE_NUMBER_ID || undefined,
+    wabaId: process.env.WABA_ID || undefined,
+    version: process.env.GRAPH_API_VERSION || undefined
+  });
+  sim.start(port).then(baseUrl => {
+    console.log(`[Simulator] WhatsApp Cloud API simulator at ${baseUrl}`);
+    console.log(`[Simulator] Start the server with GRAPH_API_BASE=${baseUrl}`);
+    console.log(`[Simulator] Webhooks go to ${process.env.SIMULATOR_WEBHOOK_URL || `http://localhost:${process.env.PORT || 19000}/webhook`}`);
+  });
+}
+
+module.exports = { createSimulator, offerSdp, answerSdp };
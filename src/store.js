@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// Document-style storage: named collections of JSON objects keyed by id.
+// 'sqlite' persists everything to a single file, 'memory' keeps it in Maps (tests).
+// Both backends round-trip through JSON so callers see the same shapes either way.
+
+function clone(doc) {
+  return doc === undefined ? undefined : JSON.parse(JSON.stringify(doc));
+}
+
+function createMemoryBackend() {
+  const tables = new Map();
+
+  function table(name) {
+    if (!tables.has(name)) tables.set(name, new Map());
+    return tables.get(name);
+  }
+
+  return {
+    type: 'memory',
+    get: (name, id) => clone(table(name).get(id)),
+    set: (name, id, doc) => { table(name).set(id, clone(doc)); },
+    delete: (name, id) => { table(name).delete(id); },
+    all: (name) => Array.from(table(name).values()).map(clone),
+    clear: (name) => { table(name).clear(); },
+    close: () => { tables.clear(); }
+  };
+}
+
+function createSqliteBackend(file) {
+  const Database = require('better-sqlite3');
+
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (
+      collection TEXT NOT NULL,
+      id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (collection, id)
+    )
+  `);
+
+  const stmts = {
+    get: db.prepare('SELECT data FROM documents WHERE collection = ? AND id = ?'),
+    set: db.prepare(`
+      INSERT INTO documents (collection, id, data, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `),
+    delete: db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?'),
+    all: db.prepare('SELECT data FROM documents WHERE collection = ? ORDER BY rowid'),
+    clear: db.prepare('DELETE FROM documents WHERE collection = ?')
+  };
+
+  return {
+    type: 'sqlite',
+    get: (name, id) => {
+      const row = stmts.get.get(name, String(id));
+      return row ? JSON.parse(row.data) : undefined;
+    },
+    set: (name, id, doc) => { stmts.set.run(name, String(id), JSON.stringify(doc), Date.now()); },
+    delete: (name, id) => { stmts.delete.run(name, String(id)); },
+    all: (name) => stmts.all.all(name).map(row => JSON.parse(row.data)),
+    clear: (name) => { stmts.clear.run(name); },
+    close: () => db.close()
+  };
+}
+
+let backend = null;
+
+function init(type = config.STORE_BACKEND, options = {}) {
+  if (backend) backend.close();
+
+  switch (type) {
+    case 'memory':
+      backend = createMemoryBackend();
+      break;
+    case 'sqlite':
+      backend = createSqliteBackend(options.file || config.DB_PATH);
+      break;
+    default:
+      throw new Error(`Unknown store backend: ${type}`);
+  }
+
+  console.log(`[Store] Using ${backend.type} backend${type === 'sqlite' ? ` (${options.file || config.DB_PATH})` : ''}`);
+  return backend;
+}
+
+function getBackend() {
+  return backend || init();
+}
+
+function collection(name) {
+  return {
+    get: (id) => getBackend().get(name, id),
+    set: (id, doc) => getBackend().set(name, id, doc),
+    delete: (id) => getBackend().delete(name, id),
+    all: () => getBackend().all(name),
+    find: (predicate) => getBackend().all(name).filter(predicate),
+    clear: () => getBackend().clear(name)
+  };
+}
+
+function close() {
+  if (backend) {
+    backend.close();
+    backend = null;
+  }
+}
+
+module.exports = { init, collection, close };
@@ -0,0 +1,147 @@
+const config = require('./config');
+const whatsappApi = require('./whatsappApi');
+const { ValidationError } = require('./errors');
+
+// Message template definitions from the WABA (`/{waba-id}/message_templates`), used to
+// check the language and parameters of a permission request before it is sent.
+// Placeholders are positional ({{1}}, {{2}}) or named ({{customer_name}}) depending on
+// the template's parameter_format.
+const CACHE_TTL_MS = config.TEMPLATE_CACHE_TTL * 1000;
+const MEDIA_FORMATS = ['IMAGE', 'VIDEO', 'DOCUMENT'];
+
+let cache = null; // { templates, fetchedAt }
+
+function isConfigured() {
+  return Boolean(config.WABA_ID);
+}
+
+function placeholders(text) {
+  const names = [...String(text || '').matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(m => m[1]);
+  return [...new Set(names)];
+}
+
+async function listTemplates({ refresh = false } = {}) {
+  if (!refresh && cache && Date.now() - cache.fetchedAt < CACHE_TTL_MS) return cache.templates;
+
+  const templates = await whatsappApi.getMessageTemplates();
+  cache = { templates, fetchedAt: Date.now() };
+  console.log(`[Templates] Loaded ${templates.length} templates`);
+  return templates;
+}
+
+async function findTemplate(name, language) {
+  const templates = await listTemplates();
+  return templates.find(t => t.name === name && t.language === language && t.status === 'APPROVED') || null;
+}
+
+// What a template expects, in the shape the dashboard and /api/send-permission use
+function describe(template) {
+  const part = type => (template.components || []).find(c => c.type === type);
+  const header = part('HEADER');
+  const body = part('BODY');
+  const buttons = part('BUTTONS')?.buttons || [];
+
+  return {
+    name: template.name,
+    language: template.language,
+    status: template.status,
+    category: template.category,
+    parameterFormat: template.parameter_format || 'POSITIONAL',
+    callPermission: Boolean(part('CALL_PERMISSION_REQUEST')),
+    header: header ? { format: header.format || 'TEXT', text: header.text || '', params: MEDIA_FORMATS.includes(header.format) ? ['link'] : placeholders(header.text) } : null,
+    body: body ? { text: body.text, params: placeholders(body.text) } : null,
+    buttons: buttons.map((b, index) => ({
+      index,
+      type: b.type,
+      text: b.text,
+      // Quick replies take an optional payload, URL buttons a suffix when the URL has a placeholder
+      param: b.type === 'QUICK_REPLY' ? 'payload' : (b.type === 'URL' && placeholders(b.url).length ? 'url' : null)
+    }))
+  };
+}
+
+// `values` is an array in placeholder order or an object keyed by placeholder name
+function textParameters(section, spec, values, named) {
+  const list = Array.isArray(values)
+    ? values
+    : spec.params.map(name => (values || {})[name]);
+  if (Array.isArray(values) && values.length !== spec.params.length) {
+    throw new ValidationError(`${section} expects ${spec.params.length} parameter(s) (${spec.params.join(', ')}), got ${values.length}`);
+  }
+  if (!Array.isArray(values) && values) {
+    const unknown = Object.keys(values).filter(key => !spec.params.includes(key));
+    if (unknown.length) throw new ValidationError(`${section} has no parameter(s) ${unknown.join(', ')}`);
+  }
+
+  return list.map((value, i) => {
+    if (value === undefined || value === null || String(value).trim() === '') {
+      throw new ValidationError(`${section} parameter ${spec.params[i]} is required`);
+    }
+    const parameter = { type: 'text', text: String(value) };
+    if (named) parameter.parameter_name = spec.params[i];
+    return parameter;
+  });
+}
+
+// Turns { header, body, buttons: [{ index, payload }] } into Meta's send-time components,
+// throwing on anything the template does not declare. `template` is null when WABA_ID is
+// not set, in which case only a template without parameters can be sent.
+function buildComponents(template, params = {}) {
+  const { header, body } = params || {};
+  const buttons = params?.buttons ?? [];
+  if (!Array.isArray(buttons)) throw new ValidationError('buttons must be an array of { index, payload }');
+  if (!template) {
+    if (header || body || buttons.length) throw new ValidationError('Template parameters need WABA_ID so they can be checked against the template');
+    return [];
+  }
+
+  const spec = describe(template);
+  const named = spec.parameterFormat === 'NAMED';
+  const components = [];
+
+  if (spec.header?.params.length) {
+    if (MEDIA_FORMATS.includes(spec.header.format)) {
+      if (!header) throw new ValidationError(`header needs a ${spec.header.format.toLowerCase()} link`);
+      const type = spec.header.format.toLowerCase();
+      components.push({ type: 'header', parameters: [{ type, [type]: { link: String(header) } }] });
+    } else {
+      components.push({ type: 'header', parameters: textParameters('header', spec.header, header, named) });
+    }
+  } else if (header) {
+    throw new ValidationError(`Template ${spec.name} has no header parameters`);
+  }
+
+  if (spec.body?.params.length) {
+    components.push({ type: 'body', parameters: textParameters('body', spec.body, body, named) });
+  } else if (body && (Array.isArray(body) ? body.length : Object.keys(body).length)) {
+    throw new ValidationError(`Template ${spec.name} has no body parameters`);
+  }
+
+  for (const button of buttons) {
+    const definition = spec.buttons[button.index];
+    if (!definition) throw new ValidationError(`Template ${spec.name} has no button ${button.index}`);
+    if (!definition.param) throw new ValidationError(`Button ${button.index} (${definition.type}) takes no parameters`);
+  }
+  for (const definition of spec.buttons.filter(b => b.param)) {
+    const payload = buttons.find(b => Number(b.index) === definition.index)?.payload;
+    if (definition.param === 'url' && !payload) throw new ValidationError(`Button ${definition.index} needs its URL parameter`);
+    if (!payload) continue;
+
+    components.push({
+      type: 'button',
+      sub_type: definition.param === 'url' ? 'url' : 'quick_reply',
+      index: String(definition.index),
+      parameters: [definition.param === 'url' ? { type: 'text', text: String(payload) } : { type: 'payload', payload: String(payload) }]
+    });
+  }
+
+  return components;
+}
+
+module.exports = {
+  isConfigured,
+  listTemplates,
+  findTemplate,
+  describe,
+  buildComponents
+};
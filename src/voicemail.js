@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const store = require('./store');
+const webrtcBridge = require('./webrtcBridge');
+const { createWavWriter, resample, loadPrompt, generateTone, concat } = require('./wav');
+
+// Voicemail for inbound calls nobody answered (server WebRTC mode only): the server
+// answers, plays a greeting and a beep, then records the caller.
+const voicemailStore = store.collection('voicemails'); // callId -> Voicemail
+const active = new Map(); // callId -> { finish }
+
+const SAMPLE_RATE = 16000;
+
+function isEnabled() {
+  return config.VOICEMAIL_ENABLED && webrtcBridge.isAvailable();
+}
+
+function fileSafe(callId) {
+  return callId.replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+function getGreeting(sampleRate) {
+  const beep = concat(new Int16Array(sampleRate / 4), generateTone(1000, 400, sampleRate, 0.25));
+  if (!config.VOICEMAIL_GREETING) return beep;
+
+  try {
+    return concat(loadPrompt(config.VOICEMAIL_GREETING, sampleRate), beep);
+  } catch (err) {
+    console.error(`[Voicemail] Could not load greeting: ${err.message}`);
+    return beep;
+  }
+}
+
+// Resolves to the saved voicemail once VOICEMAIL_MAX_SECONDS is up or stop() is called,
+// or null if the caller hung up during the greeting.
+async function record(state, reason) {
+  await state.output.play(getGreeting(state.output.sampleRate));
+  if (state.endedAt) return null;
+
+  const callerTrack = state.whatsappPeer.getReceivers()
+    .map(receiver => receiver.track)
+    .find(track => track && track.kind === 'audio');
+  if (!callerTrack) {
+    console.warn(`[Voicemail] No remote audio track for call ${state.callId}`);
+    return null;
+  }
+
+  fs.mkdirSync(config.VOICEMAIL_DIR, { recursive: true });
+  const file = path.join(config.VOICEMAIL_DIR, `${fileSafe(state.callId)}.wav`);
+  const writer = createWavWriter(file, { sampleRate: SAMPLE_RATE });
+  const sink = webrtcBridge.createAudioSink(callerTrack, (samples, rate) => writer.write(resample(samples, rate, SAMPLE_RATE)));
+  console.log(`[Voicemail] Recording message from ${state.recipientPhone} (call ${state.callId})`);
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => finish(), config.VOICEMAIL_MAX_SECONDS * 1000);
+
+    function finish() {
+      clearTimeout(timer);
+      active.delete(state.callId);
+      sink.stop();
+      writer.close();
+
+      const voicemail = {
+        callId: state.callId,
+        phone: state.recipientPhone,
+        reason,
+        file,
+        createdAt: new Date().toISOString(),
+        durationSeconds: Math.round(writer.durationSeconds),
+        handled: false,
+        handledAt: null
+      };
+      voicemailStore.set(state.callId, voicemail);
+      console.log(`[Voicemail] Saved ${voicemail.durationSeconds}s message from ${voicemail.phone}`);
+      resolve(voicemail);
+    }
+
+    active.set(state.callId, { finish });
+  });
+}
+
+// Caller hung up: keep what was recorded so far
+function stop(callId) {
+  const recording = active.get(callId);
+  if (recording) recording.finish();
+}
+
+function listVoicemails({ handled } = {}) {
+  return voicemailStore.all()
+    .filter(vm => handled === undefined || vm.handled === handled)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+function getVoicemail(callId) {
+  return voicemailStore.get(callId) || null;
+}
+
+function setHandled(callId, handled) {
+  const voicemail = voicemailStore.get(callId);
+  if (!voicemail) return null;
+
+  voicemail.handled = handled;
+  voicemail.handledAt = handled ? new Date().toISOString() : null;
+  voicemailStore.set(callId, voicemail);
+  return voicemail;
+}
+
+module.exports = {
+  isEnabled,
+  record,
+  stop,
+  listVoicemails,
+  getVoicemail,
+  setHandled
+};
@@ -0,0 +1,150 @@
+const fs = require('fs');
+
+// 16-bit PCM WAV helpers shared by recording, prompts and hold audio
+
+const HEADER_SIZE = 44;
+
+function buildHeader(sampleRate, channelCount, dataBytes) {
+  const header = Buffer.alloc(HEADER_SIZE);
+  const blockAlign = channelCount * 2;
+
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);             // fmt chunk size
+  header.writeUInt16LE(1, 20);              // PCM
+  header.writeUInt16LE(channelCount, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(16, 34);             // bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(dataBytes, 40);
+  return header;
+}
+
+// Streams PCM to disk; the header is rewritten with the final sizes on close()
+function createWavWriter(file, { sampleRate, channelCount = 1 }) {
+  const fd = fs.openSync(file, 'w');
+  let dataBytes = 0;
+
+  fs.writeSync(fd, buildHeader(sampleRate, channelCount, 0));
+
+  return {
+    file,
+    sampleRate,
+    channelCount,
+    write(samples) {
+      const buf = Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+      fs.writeSync(fd, buf);
+      dataBytes += buf.length;
+    },
+    get durationSeconds() {
+      return dataBytes / (sampleRate * channelCount * 2);
+    },
+    close() {
+      fs.writeSync(fd, buildHeader(sampleRate, channelCount, dataBytes), 0, HEADER_SIZE, 0);
+      fs.closeSync(fd);
+    }
+  };
+}
+
+function readWav(file) {
+  const buf = fs.readFileSync(file);
+  if (buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error(`${file} is not a WAV file`);
+  }
+
+  let offset = 12;
+  let format = null;
+  while (offset + 8 <= buf.length) {
+    const chunkId = buf.toString('ascii', offset, offset + 4);
+    const chunkSize = buf.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      format = {
+        audioFormat: buf.readUInt16LE(body),
+        channelCount: buf.readUInt16LE(body + 2),
+        sampleRate: buf.readUInt32LE(body + 4),
+        bitsPerSample: buf.readUInt16LE(body + 14)
+      };
+    } else if (chunkId === 'data') {
+      if (!format) throw new Error(`${file}: data chunk before fmt chunk`);
+      if (format.audioFormat !== 1 || format.bitsPerSample !== 16) {
+        throw new Error(`${file}: only 16-bit PCM WAV is supported`);
+      }
+      const end = Math.min(body + chunkSize, buf.length);
+      const samples = new Int16Array(buf.buffer.slice(buf.byteOffset + body, buf.byteOffset + end - ((end - body) % 2)));
+      return { sampleRate: format.sampleRate, channelCount: format.channelCount, samples };
+    }
+
+    offset = body + chunkSize + (chunkSize % 2);
+  }
+
+  throw new Error(`${file}: no data chunk`);
+}
+
+function toMono(samples, channelCount) {
+  if (channelCount === 1) return samples;
+  const frames = Math.floor(samples.length / channelCount);
+  const mono = new Int16Array(frames);
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    for (let c = 0; c < channelCount; c++) sum += samples[i * channelCount + c];
+    mono[i] = sum / channelCount;
+  }
+  return mono;
+}
+
+// Linear interpolation - good enough for speech
+function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate) return samples;
+  const ratio = fromRate / toRate;
+  const out = new Int16Array(Math.floor(samples.length / ratio));
+  for (let i = 0; i < out.length; i++) {
+    const pos = i * ratio;
+    const idx = Math.floor(pos);
+    const next = Math.min(idx + 1, samples.length - 1);
+    out[i] = samples[idx] + (samples[next] - samples[idx]) * (pos - idx);
+  }
+  return out;
+}
+
+// Loads a prompt as mono PCM at the given rate, ready for an audio output
+function loadPrompt(file, sampleRate = 48000) {
+  const wav = readWav(file);
+  return resample(toMono(wav.samples, wav.channelCount), wav.sampleRate, sampleRate);
+}
+
+function generateTone(frequencies, durationMs, sampleRate = 48000, amplitude = 0.2) {
+  const freqs = Array.isArray(frequencies) ? frequencies : [frequencies];
+  const out = new Int16Array(Math.round(sampleRate * durationMs / 1000));
+  for (let i = 0; i < out.length; i++) {
+    let value = 0;
+    for (const f of freqs) value += Math.sin(2 * Math.PI * f * i / sampleRate);
+    out[i] = (value / freqs.length) * amplitude * 32767;
+  }
+  return out;
+}
+
+function concat(...parts) {
+  const out = new Int16Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const p of parts) {
+    out.set(p, offset);
+    offset += p.length;
+  }
+  return out;
+}
+
+module.exports = {
+  createWavWriter,
+  readWav,
+  toMono,
+  resample,
+  loadPrompt,
+  generateTone,
+  concat
+};
@@ -1,5 +1,8 @@
 const crypto = require('crypto');
 const config = require('./config');
+const permissionLedger = require('./permissionLedger');
+const journal = require('./webhookJournal');
+const { NotFoundError, ConflictError } = require('./errors');
 
 function verifyWebhook(req, res) {
   const mode = req.query['hub.mode'];
@@ -15,87 +18,245 @@ function verifyWebhook(req, res) {
   return res.sendStatus(403);
 }
 
+// `header` is `sha256=<hex HMAC of payload>`
+function signatureMatches(header, secret, payload) {
+  if (typeof header !== 'string' || !secret || typeof payload !== 'string') return false;
+  const expected = Buffer.from('sha256=' + crypto.createHmac('sha256', secret).update(payload).digest('hex'));
+  const actual = Buffer.from(header);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
 function validateSignature(req, res, next) {
   const signature = req.headers['x-hub-signature-256'];
   if (!signature) {
     console.warn('[Webhook] Missing signature header');
+    journal.recordRejection(req.body, { source: 'meta', signature: 'missing' });
     return res.sendStatus(403);
   }
 
-  const expectedSig = 'sha256=' + crypto
-    .createHmac('sha256', config.APP_SECRET)
-    .update(req.rawBody)
-    .digest('hex');
-
-  if (signature !== expectedSig) {
+  if (!signatureMatches(signature, config.APP_SECRET, req.rawBody)) {
     console.warn('[Webhook] Invalid signature');
+    journal.recordRejection(req.body, { source: 'meta', signature: 'invalid' });
     return res.sendStatus(403);
   }
 
+  req.signatureStatus = 'valid';
   next();
 }
 
+// n8n passes webhooks on in several shapes: item arrays ([{ json }] or [{ body, headers }]),
+// the Meta body nested under `body`, or JSON as a string (possibly more than once).
+// Returns { body, raw, signature } for each WhatsApp webhook body found: `raw` is the
+// body's original text when it came as a string, `signature` the X-Hub-Signature-256
+// passed along with it.
+function normalizeForwardedBody(input, { raw = null, signature = null } = {}, depth = 0) {
+  if (input == null || depth > 8) return [];
+  if (typeof input === 'string') {
+    let parsed;
+    try {
+      parsed = JSON.parse(input);
+    } catch (err) {
+      return [];
+    }
+    return normalizeForwardedBody(parsed, { raw: input, signature }, depth + 1);
+  }
+  if (Array.isArray(input)) {
+    return input.flatMap(item => normalizeForwardedBody(item, { signature }, depth + 1));
+  }
+  if (typeof input !== 'object') return [];
+  if (input.object === 'whatsapp_business_account') return [{ body: input, raw, signature }];
+
+  const headers = input.headers && typeof input.headers === 'object' ? input.headers : {};
+  const passed = headers['x-hub-signature-256'] || headers['X-Hub-Signature-256'] || signature;
+  if (input.body !== undefined) return normalizeForwardedBody(input.body, { signature: passed }, depth + 1);
+  if (input.json !== undefined) return normalizeForwardedBody(input.json, { signature: passed }, depth + 1);
+  return [];
+}
+
+// For /webhook/forward, whose body arrives as text (see server.js). Accepts the request
+// when it is signed with FORWARD_SECRET (X-Forward-Signature over the whole body), or when
+// every webhook body in it carries Meta's own signature and still has the bytes Meta
+// signed. Sets req.forwardedBodies to the normalized bodies.
+function validateForwardSignature(req, res, next) {
+  const rawBody = typeof req.body === 'string' ? req.body : JSON.stringify(req.body ?? null);
+  const bodies = normalizeForwardedBody(rawBody, { signature: req.headers['x-hub-signature-256'] || null });
+  const reject = (signature, reason) => {
+    console.warn(`[Webhook] Forward rejected: ${reason}`);
+    journal.recordRejection(bodies[0]?.body, { source: 'forward', signature });
+    return res.sendStatus(403);
+  };
+
+  const forwardSignature = req.headers['x-forward-signature'];
+  if (forwardSignature && config.FORWARD_SECRET) {
+    if (!signatureMatches(forwardSignature, config.FORWARD_SECRET, rawBody)) return reject('invalid', 'bad X-Forward-Signature');
+    req.signatureStatus = 'forward-secret';
+  } else {
+    if (!bodies.length || bodies.some(b => !b.signature)) return reject('missing', 'no signature');
+    // Meta signed its exact bytes; a body n8n parsed only matches if re-serializing gives them back
+    const signed = b => [b.raw, JSON.stringify(b.body)].some(text => signatureMatches(b.signature, config.APP_SECRET, text));
+    if (!bodies.every(signed)) return reject('invalid', 'X-Hub-Signature-256 does not match the body');
+    req.signatureStatus = 'valid';
+  }
+
+  if (!bodies.length) {
+    console.warn('[Webhook] Forward without a WhatsApp webhook body');
+    journal.recordRejection(null, { source: 'forward', signature: req.signatureStatus });
+    return res.status(400).json({ success: false, error: 'No WhatsApp webhook body found' });
+  }
+  req.forwardedBodies = bodies.map(b => b.body);
+  next();
+}
+
+// Bodies from /webhook (Meta); n8n's go through handleForwardedEvent
 function handleWebhookEvent(req, res, callManager, io) {
   // Respond immediately to avoid webhook timeout
   res.sendStatus(200);
 
-  const body = req.body;
-  console.log('[Webhook] Received event:', JSON.stringify(body, null, 2));
+  // Nobody awaits this once the 200 is out, so a failure must stop here
+  return processWebhook(req.body, callManager, io, {
+    source: 'meta',
+    signature: req.signatureStatus || 'unsigned'
+  }).catch(err => console.error(`[Webhook] Processing failed: ${err.message}`));
+}
+
+// Bodies relayed by n8n, after validateForwardSignature
+async function handleForwardedEvent(req, res, callManager, io) {
+  res.sendStatus(200);
+
+  for (const body of req.forwardedBodies) {
+    try {
+      await processWebhook(body, callManager, io, { source: 'forward', signature: req.signatureStatus });
+    } catch (err) {
+      console.error(`[Webhook] Processing a forwarded body failed: ${err.message}`);
+    }
+  }
+}
+
+// Journals the body, then runs each call event, status and message in it that no earlier
+// delivery carried. Replays pass dedupe: false so everything runs again.
+async function processWebhook(body, callManager, io, { source, signature, replayOf = null, dedupe = true }) {
+  const event = journal.record(body, { source, signature, replayOf });
+  if (body?.object !== 'whatsapp_business_account') {
+    console.log(`[Webhook] Ignored ${event.id}: object=${body?.object}`);
+    return journal.finish(event, {}, 'ignored');
+  }
+  if (!Array.isArray(body.entry)) {
+    console.warn(`[Webhook] Ignored ${event.id}: entry is not an array`);
+    return journal.finish(event, {}, 'ignored');
+  }
 
-  if (body.object !== 'whatsapp_business_account') return;
+  const items = webhookItems(body, callManager, io);
+  console.log(`[Webhook] ${event.id} from ${source}: ${items.length} item(s)${replayOf ? ` replaying ${replayOf}` : ''}`);
+
+  const result = { processed: 0, duplicates: 0, errors: [] };
+  for (const item of items) {
+    if (!journal.claim(event, item.key) && dedupe) {
+      console.log(`[Webhook] Skipping duplicate ${item.key}`);
+      result.duplicates++;
+      continue;
+    }
+    try {
+      await item.run();
+      result.processed++;
+    } catch (err) {
+      console.error(`[Webhook] Failed to process ${item.key}: ${err.message}`);
+      result.errors.push({ key: item.key, message: err.message });
+    }
+  }
+  return journal.finish(event, result);
+}
 
-  for (const entry of body.entry || []) {
-    for (const change of entry.changes || []) {
-      if (change.field === 'calls') {
-        const calls = change.value?.calls || [];
+// Arrays in a body are only trusted to be arrays once checked
+function list(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+// Every call event, call status, message and message status in the body, keyed by what
+// identifies a redelivery of it
+function webhookItems(body, callManager, io) {
+  const items = [];
+  for (const entry of list(body.entry)) {
+    for (const change of list(entry?.changes)) {
+      if (change?.field === 'calls') {
+        const calls = list(change.value?.calls);
         for (const call of calls) {
-          processCallEvent(call, callManager, io);
+          items.push({
+            key: `call:${call.id}:${call.event}${call.status ? `:${call.status}` : ''}`,
+            run: () => processCallEvent(call, callManager, io)
+          });
         }
 
         // Call status updates come in statuses array (RINGING, ACCEPTED, etc.)
-        const callStatuses = change.value?.statuses || [];
+        const callStatuses = list(change.value?.statuses);
         for (const status of callStatuses) {
-          processCallStatusEvent(status, callManager, io);
+          items.push({
+            key: `call-status:${status.id}:${status.status}`,
+            run: () => processCallStatusEvent(status, callManager, io)
+          });
         }
       }
 
-      if (change.field === 'messages') {
-        const messages = change.value?.messages || [];
+      if (change?.field === 'messages') {
+        const messages = list(change.value?.messages);
         for (const msg of messages) {
-          processMessageEvent(msg, change.value, callManager, io);
+          items.push({
+            key: `message:${msg.id}`,
+            run: () => processMessageEvent(msg, change.value, callManager, io)
+          });
         }
 
-        const statuses = change.value?.statuses || [];
+        const statuses = list(change.value?.statuses);
         for (const status of statuses) {
-          processStatusEvent(status, callManager, io);
+          items.push({
+            key: `message-status:${status.id}:${status.status}`,
+            run: () => processStatusEvent(status, callManager, io)
+          });
         }
       }
     }
   }
+  return items;
+}
+
+// Runs a journaled body again, e.g. one imported from production
+async function replayWebhookEvent(id, callManager, io, { dedupe = false } = {}) {
+  const original = journal.getEvent(id);
+  if (!original) throw new NotFoundError('Webhook event not found', { eventId: id });
+  if (!original.body) throw new ConflictError('Rejected webhooks are journaled without their body and can\'t be replayed');
+  return processWebhook(original.body, callManager, io, {
+    source: 'replay',
+    signature: original.signature,
+    replayOf: id,
+    dedupe
+  });
 }
 
 function processCallEvent(call, callManager, io) {
   const { id: callId, from, event, direction, session } = call;
   console.log(`[Call Event] id=${callId} event=${event} direction=${direction}`);
+  // Other ids callManager can match the call on when callId is not (yet) known
+  const refs = {
+    opaque: call.biz_opaque_callback_data,
+    phone: direction === 'USER_INITIATED' ? from : call.to
+  };
 
   switch (event) {
     case 'connect':
       if (direction === 'BUSINESS_INITIATED') {
         // Outbound call was answered - SDP answer received
-        callManager.handleOutboundSdpAnswer(callId, session?.sdp, io);
+        return callManager.handleOutboundSdpAnswer(callId, session?.sdp, io, refs);
       } else if (direction === 'USER_INITIATED') {
         // Inbound call from user - SDP offer received
-        callManager.handleInboundCall(callId, from, session?.sdp, io);
+        return callManager.handleInboundCall(callId, from, session?.sdp, io);
       }
       break;
 
     case 'status':
-      callManager.handleOutboundStatus(callId, call.status, io);
-      break;
+      return callManager.handleOutboundStatus(callId, call.status, io, refs);
 
     case 'terminate':
-      callManager.handleTerminate(callId, io);
-      break;
+      // Meta reports the final status (COMPLETED/FAILED) and duration in seconds
+      return callManager.handleTerminate(callId, io, { duration: call.duration, status: call.status, ...refs });
 
     default:
       console.log(`[Call Event] Unknown event: ${event}`);
@@ -105,18 +266,16 @@ function processCallEvent(call, callManager, io) {
 function processCallStatusEvent(status, callManager, io) {
   const callId = status.id;
   const statusValue = status.status;
+  const refs = { opaque: status.biz_opaque_callback_data, phone: status.recipient_id };
   console.log(`[Call Status] id=${callId} status=${statusValue}`);
 
   switch (statusValue) {
     case 'RINGING':
-      callManager.handleOutboundStatus(callId, 'ringing', io);
-      break;
+      return callManager.handleOutboundStatus(callId, 'ringing', io, refs);
     case 'ACCEPTED':
-      callManager.handleOutboundStatus(callId, 'accepted', io);
-      break;
+      return callManager.handleOutboundStatus(callId, 'accepted', io, refs);
     case 'REJECTED':
-      callManager.handleOutboundStatus(callId, 'rejected', io);
-      break;
+      return callManager.handleOutboundStatus(callId, 'rejected', io, refs);
     default:
       console.log(`[Call Status] Unknown status: ${statusValue}`);
       io.emit('call-status', { callId, status: statusValue });
@@ -124,14 +283,19 @@ function processCallStatusEvent(status, callManager, io) {
 }
 
 function processMessageEvent(msg, value, callManager, io) {
+  // Any user message opens the conversation window permission requests need
+  permissionLedger.recordInbound(msg.from, msg.timestamp);
+
   // Handle permission grant responses (interactive messages)
   if (msg.type === 'interactive' && msg.interactive?.type === 'call_permission_reply') {
     const phone = msg.from;
-    const granted = msg.interactive?.call_permission_reply?.response === 'accept';
+    const reply = msg.interactive.call_permission_reply;
+    const granted = reply?.response === 'accept';
     console.log(`[Permission] Phone=${phone} granted=${granted}`);
-    if (granted) {
-      callManager.handlePermissionGranted(phone, io);
+    if (permissionLedger.recordReply(phone, reply || {}, msg.context?.id, msg.timestamp)) {
+      io.emit('permission-request-updated', { phone: permissionLedger.normalizePhone(phone) });
     }
+    callManager.handlePermissionReply(phone, reply || {}, io);
   }
 
   // Also handle button replies that might indicate permission
@@ -143,7 +307,18 @@ function processMessageEvent(msg, value, callManager, io) {
 
 function processStatusEvent(status, callManager, io) {
   console.log(`[Status] id=${status.id} status=${status.status}`);
+  const request = permissionLedger.updateStatus(status.id, status.status, status.timestamp, status.errors);
+  if (request) io.emit('permission-request-updated', { phone: request.phone });
   io.emit('webhook-event', { type: 'message-status', data: status });
 }
 
-module.exports = { verifyWebhook, validateSignature, handleWebhookEvent };
+module.exports = {
+  verifyWebhook,
+  validateSignature,
+  validateForwardSignature,
+  normalizeForwardedBody,
+  handleWebhookEvent,
+  handleForwardedEvent,
+  processWebhook,
+  replayWebhookEvent
+};
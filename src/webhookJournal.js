@@ -0,0 +1,170 @@
+const config = require('./config');
+const store = require('./store');
+const { ValidationError } = require('./errors');
+
+// Every webhook body we accept, with how it got here and what processing made of it.
+// Each call event, status and message in a body has a key (see webhookHandler); a key
+// seen before belongs to a retry or a double forward, and is skipped.
+const eventStore = store.collection('webhook_events'); // id -> WebhookEvent
+const keyStore = store.collection('webhook_keys');     // event key -> { eventId, at }
+
+// id -> { receivedAt, keys } of every stored event, so pruning never reads the bodies
+let index = null;
+// Requests refused for their signature: metadata only, kept apart so junk can't push real
+// events (and their dedup keys) out of the journal
+const rejections = [];
+const REJECTIONS_MAX = 200;
+
+let counter = 0;
+
+function getIndex() {
+  if (!index) {
+    index = new Map();
+    for (const event of eventStore.all()) index.set(event.id, { receivedAt: event.receivedAt, keys: event.keys });
+  }
+  return index;
+}
+
+function fieldsOf(body) {
+  const entries = Array.isArray(body?.entry) ? body.entry : [];
+  return [...new Set(entries.flatMap(e => (Array.isArray(e?.changes) ? e.changes : []).map(c => c?.field)))];
+}
+
+function summarize(event) {
+  const { body, ...summary } = event;
+  return summary;
+}
+
+// source: 'meta', 'forward', 'replay' or 'import'
+// signature: 'valid', 'invalid', 'missing', 'forward-secret' (signed with FORWARD_SECRET)
+// or 'unsigned' (forwarded before /webhook/forward checked signatures)
+const SIGNATURES = ['valid', 'invalid', 'missing', 'forward-secret', 'unsigned'];
+const IMPORT_MAX = 100; // events per import
+function record(body, { source, signature, replayOf = null, outcome = 'received', receivedAt = null }) {
+  const event = {
+    id: `evt_${Date.now()}_${counter++}`,
+    receivedAt: receivedAt || new Date().toISOString(),
+    source,
+    signature,
+    replayOf,
+    fields: fieldsOf(body),
+    outcome,
+    processed: 0,
+    duplicates: 0,
+    errors: [],
+    keys: [],
+    processedAt: null,
+    body
+  };
+  eventStore.set(event.id, event);
+  getIndex().set(event.id, { receivedAt: event.receivedAt, keys: event.keys });
+  prune();
+  return event;
+}
+
+// A request refused before processing: its body is not kept
+function recordRejection(body, { source, signature }) {
+  const event = {
+    id: `evt_${Date.now()}_${counter++}`,
+    receivedAt: new Date().toISOString(),
+    source,
+    signature,
+    replayOf: null,
+    fields: fieldsOf(body),
+    outcome: 'rejected',
+    processed: 0,
+    duplicates: 0,
+    errors: [],
+    keys: [],
+    processedAt: null,
+    body: null
+  };
+  rejections.push(event);
+  if (rejections.length > REJECTIONS_MAX) rejections.shift();
+  return event;
+}
+
+function prune() {
+  const entries = getIndex();
+  if (entries.size <= config.WEBHOOK_JOURNAL_MAX) return;
+
+  const oldest = [...entries]
+    .sort(([aId, a], [bId, b]) => a.receivedAt.localeCompare(b.receivedAt) || aId.localeCompare(bId))
+    .slice(0, entries.size - config.WEBHOOK_JOURNAL_MAX);
+  for (const [id, old] of oldest) {
+    for (const key of old.keys) {
+      if (keyStore.get(key)?.eventId === id) keyStore.delete(key);
+    }
+    eventStore.delete(id);
+    entries.delete(id);
+  }
+}
+
+// True if `key` is new (and now belongs to this event), false if an earlier event had it
+function claim(event, key) {
+  const seen = keyStore.get(key);
+  if (seen && seen.eventId !== event.id && getIndex().has(seen.eventId)) return false;
+
+  keyStore.set(key, { eventId: event.id, at: new Date().toISOString() });
+  event.keys.push(key);
+  return true;
+}
+
+function finish(event, { processed = 0, duplicates = 0, errors = [] } = {}, outcome = null) {
+  Object.assign(event, {
+    processed,
+    duplicates,
+    errors,
+    processedAt: new Date().toISOString(),
+    outcome: outcome || (errors.length ? 'error' : processed ? 'processed' : duplicates ? 'duplicate' : 'ignored')
+  });
+  eventStore.set(event.id, event);
+  return event;
+}
+
+// Newest first, without bodies
+function listEvents({ source, outcome, field, limit = 50 } = {}) {
+  return [...eventStore.all(), ...rejections]
+    .filter(e => (!source || e.source === source) && (!outcome || e.outcome === outcome) && (!field || e.fields.includes(field)))
+    .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt) || b.id.localeCompare(a.id))
+    .slice(0, limit)
+    .map(summarize);
+}
+
+function getEvent(id) {
+  return eventStore.get(id) || rejections.find(e => e.id === id) || null;
+}
+
+// Events exported from another instance (GET /api/webhook-events/:id), stored unprocessed
+// so they can be replayed here
+function importEvents(events) {
+  if (!Array.isArray(events) || !events.length || events.some(e => !e?.body)) {
+    throw new ValidationError('events must be an array of exported webhook events with a body');
+  }
+  if (events.length > IMPORT_MAX) throw new ValidationError(`At most ${IMPORT_MAX} events can be imported at once`);
+  const bad = events.find(e => e.signature !== undefined && !SIGNATURES.includes(e.signature));
+  if (bad) throw new ValidationError(`Unknown signature: ${bad.signature}`, { details: { signatures: SIGNATURES } });
+
+  return events.map(e => {
+    // Anything but a readable date is taken as arriving now, so sorting by it can't break
+    const at = typeof e.receivedAt === 'string' ? Date.parse(e.receivedAt) : NaN;
+    return record(e.body, {
+      source: 'import',
+      signature: e.signature || 'unsigned',
+      replayOf: typeof e.id === 'string' ? e.id : null,
+      outcome: 'imported',
+      receivedAt: Number.isNaN(at) ? null : new Date(at).toISOString()
+    });
+  });
+}
+
+module.exports = {
+  record,
+  recordRejection,
+  claim,
+  finish,
+  listEvents,
+  getEvent,
+  importEvents,
+  summarize
+};
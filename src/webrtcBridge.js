@@ -1,3 +1,5 @@
+const config = require('./config');
+
 let wrtc;
 try {
   wrtc = require('@roamhq/wrtc');
@@ -6,13 +8,15 @@ try {
   wrtc = null;
 }
 
+const { toMono } = require('./wav');
+
 const ICE_SERVERS = [
   { urls: 'stun:stun.l.google.com:19302' },
   { urls: 'stun:stun1.l.google.com:19302' }
 ];
 
 function isAvailable() {
-  return wrtc !== null;
+  return wrtc !== null && config.WEBRTC_MODE !== 'browser';
 }
 
 function createPeerConnection(label) {
@@ -60,25 +64,138 @@ function filterSdpForWhatsApp(sdp) {
   return filtered.join('\r\n');
 }
 
-function bridgeAudio(peerA, peerB) {
-  peerA.ontrack = (event) => {
-    console.log('[WebRTC] Bridging track from peerA -> peerB');
-    event.streams[0].getTracks().forEach(track => {
-      peerB.addTrack(track, event.streams[0]);
+const FRAME_MS = 10; // RTCAudioSource only accepts 10ms frames
+
+// Server-generated audio towards a peer (prompts, hold music, bridged audio).
+// Must be attached before the offer/answer so the m-line is sendrecv.
+function attachAudioOutput(pc, sampleRate = 48000) {
+  const source = new wrtc.nonstandard.RTCAudioSource();
+  const track = source.createTrack();
+  pc.addTrack(track, new wrtc.MediaStream([track]));
+
+  const frameSize = sampleRate * FRAME_MS / 1000;
+  const taps = new Set();
+  let playback = null;
+
+  function send(samples, rate) {
+    source.onData({
+      samples,
+      sampleRate: rate,
+      bitsPerSample: 16,
+      channelCount: 1,
+      numberOfFrames: samples.length
     });
-  };
+    for (const tap of taps) tap(samples, rate);
+  }
+
+  function stop() {
+    if (!playback) return;
+    clearInterval(playback.timer);
+    const { resolve } = playback;
+    playback = null;
+    resolve();
+  }
+
+  // Plays mono PCM at `sampleRate`; resolves when finished or interrupted
+  function play(samples, { loop = false } = {}) {
+    stop();
+    return new Promise((resolve) => {
+      const startedAt = Date.now();
+      let sent = 0;
+      playback = { resolve, timer: null };
 
-  peerB.ontrack = (event) => {
-    console.log('[WebRTC] Bridging track from peerB -> peerA');
-    event.streams[0].getTracks().forEach(track => {
-      peerA.addTrack(track, event.streams[0]);
+      // Catch up on elapsed wall time each tick so timer jitter doesn't slow playback down
+      playback.timer = setInterval(() => {
+        const due = Math.floor((Date.now() - startedAt) / FRAME_MS);
+        while (sent < due) {
+          const offset = sent * frameSize;
+          if (!samples.length || (!loop && offset >= samples.length)) return stop();
+
+          const frame = new Int16Array(frameSize);
+          for (let i = 0; i < frameSize; i++) {
+            frame[i] = loop ? samples[(offset + i) % samples.length] : (samples[offset + i] || 0);
+          }
+          send(frame, sampleRate);
+          sent++;
+        }
+      }, FRAME_MS * 2);
     });
+  }
+
+  return {
+    track,
+    sampleRate,
+    play,
+    stop,
+    isPlaying: () => playback !== null,
+    // Pass-through audio (e.g. bridged from another peer); dropped while a prompt is playing
+    write(samples, rate) {
+      if (!playback) send(samples, rate);
+    },
+    // Observe every frame actually sent (used by recording)
+    tap(fn) {
+      taps.add(fn);
+      return () => taps.delete(fn);
+    },
+    close() {
+      stop();
+      taps.clear();
+      track.stop();
+    }
+  };
+}
+
+// Receives decoded audio from a remote track as mono 16-bit PCM frames
+function createAudioSink(track, ondata) {
+  const sink = new wrtc.nonstandard.RTCAudioSink(track);
+  sink.ondata = (data) => {
+    ondata(toMono(data.samples, data.channelCount), data.sampleRate);
+  };
+  return {
+    stop: () => sink.stop()
+  };
+}
+
+// B2BUA media bridge: each leg's received audio is decoded and fed into the other
+// leg's audio output. A leg is { peer, output } with the output already attached.
+function bridgeAudio(legA, legB) {
+  const sinks = [];
+
+  function pipe(from, to, label) {
+    const connect = (track) => {
+      console.log(`[WebRTC] Bridging audio ${label}`);
+      sinks.push(createAudioSink(track, (samples, sampleRate) => to.output.write(samples, sampleRate)));
+    };
+
+    const track = from.peer.getReceivers()
+      .map(receiver => receiver.track)
+      .find(t => t && t.kind === 'audio');
+    if (track) {
+      connect(track);
+    } else {
+      from.peer.addEventListener('track', (event) => {
+        if (event.track.kind === 'audio') connect(event.track);
+      });
+    }
+  }
+
+  pipe(legA, legB, 'A -> B');
+  pipe(legB, legA, 'B -> A');
+
+  return {
+    stop() {
+      for (const sink of sinks) {
+        try { sink.stop(); } catch (e) { /* ignore */ }
+      }
+    }
   };
 }
 
 async function createOfferSdp(pc) {
-  // Add audio transceiver
-  pc.addTransceiver('audio', { direction: 'sendrecv' });
+  // Add audio transceiver unless an audio output already created one
+  if (!pc.getTransceivers().length) {
+    pc.addTransceiver('audio', { direction: 'sendrecv' });
+  }
 
   const offer = await pc.createOffer();
   await pc.setLocalDescription(offer);
@@ -138,6 +255,8 @@ module.exports = {
   createPeerConnection,
   filterSdpForWhatsApp,
   bridgeAudio,
+  attachAudioOutput,
+  createAudioSink,
   createOfferSdp,
   createAnswerSdp,
   setRemoteAnswer
@@ -1,43 +1,142 @@
-const axios = require('axios');
+const crypto = require('crypto');
 const config = require('./config');
+const graph = require('./graphClient');
+const { ValidationError } = require('./errors');
 
-const api = axios.create({
-  baseURL: config.GRAPH_API_BASE,
-  headers: {
-    'Authorization': `Bearer ${config.WHATSAPP_TOKEN}`,
-    'Content-Type': 'application/json'
+// Call actions get a shorter timeout than the default: a WhatsApp call rings for about a minute
+const callOptions = key => ({ timeout: config.GRAPH_CALL_TIMEOUT_MS, idempotencyKey: key });
+
+// ── Calling settings (/{phone-number-id}/settings) ──
+//
+// calling: {
+//   status: 'ENABLED' | 'DISABLED',
+//   call_icon_visibility: 'DEFAULT' | 'DISABLE_ALL',
+//   callback_permission_status: 'ENABLED' | 'DISABLED',
+//   call_hours: { status, timezone_id, weekly_operating_hours: [{ day_of_week, open_time: 'HHMM', close_time }],
+//                 holiday_schedule: [{ date: 'YYYY-MM-DD', start_time, end_time }] },
+//   sip: { status, servers: [{ hostname, port, request_uri_user_params }] }
+// }
+const SETTING_VALUES = {
+  status: ['ENABLED', 'DISABLED'],
+  call_icon_visibility: ['DEFAULT', 'DISABLE_ALL'],
+  callback_permission_status: ['ENABLED', 'DISABLED']
+};
+const WEEKDAYS = ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'];
+
+function checkEnum(field, value, allowed) {
+  if (!allowed.includes(value)) throw new ValidationError(`${field} must be one of ${allowed.join(', ')} (got ${value})`);
+}
+
+function checkTime(field, value) {
+  const match = /^(\d{2})(\d{2})$/.exec(value || '');
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) throw new ValidationError(`${field} must be HHMM (got ${value})`);
+}
+
+function validateCallHours(hours) {
+  checkEnum('call_hours.status', hours.status, ['ENABLED', 'DISABLED']);
+  if (hours.status === 'DISABLED') return;
+
+  if (!hours.timezone_id) throw new ValidationError('call_hours.timezone_id is required');
+  if (!Array.isArray(hours.weekly_operating_hours) || !hours.weekly_operating_hours.length) {
+    throw new ValidationError('call_hours.weekly_operating_hours must be a non-empty array');
   }
-});
+  hours.weekly_operating_hours.forEach((h, i) => {
+    const field = `call_hours.weekly_operating_hours[${i}]`;
+    checkEnum(`${field}.day_of_week`, h.day_of_week, WEEKDAYS);
+    checkTime(`${field}.open_time`, h.open_time);
+    checkTime(`${field}.close_time`, h.close_time);
+    if (h.close_time <= h.open_time) throw new ValidationError(`${field} closes before it opens`);
+  });
+  (hours.holiday_schedule || []).forEach((h, i) => {
+    const field = `call_hours.holiday_schedule[${i}]`;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(h.date || '')) throw new ValidationError(`${field}.date must be YYYY-MM-DD (got ${h.date})`);
+    checkTime(`${field}.start_time`, h.start_time);
+    checkTime(`${field}.end_time`, h.end_time);
+  });
+}
 
-async function enableCalling() {
-  const url = `/${config.PHONE_NUMBER_ID}/settings`;
-  const body = {
-    calling: {
-      status: 'ENABLED'
+function validateSip(sip) {
+  checkEnum('sip.status', sip.status, ['ENABLED', 'DISABLED']);
+  if (sip.status === 'DISABLED') return;
+
+  if (!Array.isArray(sip.servers) || !sip.servers.length) throw new ValidationError('sip.servers must be a non-empty array');
+  sip.servers.forEach((server, i) => {
+    if (!server.hostname) throw new ValidationError(`sip.servers[${i}].hostname is required`);
+    if (server.port !== undefined && !(Number.isInteger(server.port) && server.port > 0 && server.port < 65536)) {
+      throw new ValidationError(`sip.servers[${i}].port must be 1-65535 (got ${server.port})`);
     }
-  };
+  });
+}
+
+// Throws on the first invalid section
+function validateCallingSettings(changes) {
+  const sections = Object.keys(changes || {});
+  if (!sections.length) throw new ValidationError('No settings to update');
+
+  for (const section of sections) {
+    const value = changes[section];
+    if (SETTING_VALUES[section]) {
+      checkEnum(section, value, SETTING_VALUES[section]);
+    } else if (section === 'call_hours') {
+      validateCallHours(value || {});
+    } else if (section === 'sip') {
+      validateSip(value || {});
+    } else {
+      throw new ValidationError(`Unknown calling setting: ${section}`);
+    }
+  }
+}
 
-  console.log('[API] Enabling calling...');
-  const res = await api.post(url, body);
-  console.log('[API] Enable calling response:', res.data);
-  return res.data;
+async function getCallingSettings() {
+  const url = `/${config.PHONE_NUMBER_ID}/settings`;
+  const data = await graph.get(url);
+  return data.calling || {};
 }
 
-async function disableCalling() {
+// Only the sections present in `changes` are sent; Meta leaves the rest as they are
+async function updateCallingSettings(changes) {
+  validateCallingSettings(changes);
+
   const url = `/${config.PHONE_NUMBER_ID}/settings`;
-  const body = {
-    calling: {
-      status: 'DISABLED'
-    }
-  };
+  console.log(`[API] Updating calling settings: ${Object.keys(changes).join(', ')}`);
+  const data = await graph.post(url, { calling: changes }, { safe: true });
+  console.log('[API] Update calling settings response:', data);
+  return data;
+}
+
+async function enableCalling() {
+  return updateCallingSettings({ status: 'ENABLED' });
+}
+
+async function disableCalling() {
+  return updateCallingSettings({ status: 'DISABLED' });
+}
+
+// Meta's record of whether this user granted call permission, plus per-action limits
+async function getCallPermissions(userWaId) {
+  const url = `/${config.PHONE_NUMBER_ID}/call_permissions`;
+  return graph.get(url, { params: { user_wa_id: userWaId } });
+}
+
+// All templates of the WABA, following Meta's paging
+async function getMessageTemplates() {
+  if (!config.WABA_ID) throw new Error('WABA_ID is not configured');
 
-  console.log('[API] Disabling calling...');
-  const res = await api.post(url, body);
-  console.log('[API] Disable calling response:', res.data);
-  return res.data;
+  const url = `/${config.WABA_ID}/message_templates`;
+  const templates = [];
+  let after;
+  do {
+    const page = await graph.get(url, {
+      params: { fields: 'name,language,status,category,parameter_format,components', limit: 100, after }
+    });
+    templates.push(...(page.data || []));
+    after = page.paging?.next ? page.paging.cursors?.after : null;
+  } while (after);
+  return templates;
 }
 
-async function sendCallPermissionRequest(recipientPhone, templateName = 'call_permission') {
+// `components` are Meta's send-time template components (see templates.buildComponents)
+async function sendCallPermissionRequest(recipientPhone, templateName = 'call_permission', language = 'en_US', components = []) {
   const url = `/${config.PHONE_NUMBER_ID}/messages`;
   const body = {
     messaging_product: 'whatsapp',
@@ -45,18 +144,19 @@ async function sendCallPermissionRequest(recipientPhone, templateName = 'call_pe
     type: 'template',
     template: {
       name: templateName,
-      language: { code: 'en_US' },
-      components: []
+      language: { code: language },
+      components
     }
   };
 
   console.log(`[API] Sending call permission request to ${recipientPhone}...`);
-  const res = await api.post(url, body);
-  console.log('[API] Permission request response:', res.data);
-  return res.data;
+  const data = await graph.post(url, body);
+  console.log('[API] Permission request response:', data);
+  return data;
 }
 
-async function initiateOutboundCall(recipientPhone, sdpOffer) {
+// `opaque` comes back as biz_opaque_callback_data on every webhook for the call
+async function initiateOutboundCall(recipientPhone, sdpOffer, opaque = null) {
   const url = `/${config.PHONE_NUMBER_ID}/calls`;
   const body = {
     messaging_product: 'whatsapp',
@@ -67,11 +167,14 @@ async function initiateOutboundCall(recipientPhone, sdpOffer) {
       sdp_type: 'offer'
     }
   };
+  if (opaque) body.biz_opaque_callback_data = opaque;
 
+  // Keyed on the offer: the same offer twice is a duplicate, a redial has a new one
+  const offerHash = crypto.createHash('sha256').update(sdpOffer || '').digest('hex').slice(0, 16);
   console.log(`[API] Initiating outbound call to ${recipientPhone}...`);
-  const res = await api.post(url, body);
-  console.log('[API] Initiate call response:', res.data);
-  return res.data;
+  const data = await graph.post(url, body, callOptions(`connect:${recipientPhone}:${offerHash}`));
+  console.log('[API] Initiate call response:', data);
+  return data;
 }
 
 async function answerCall(callId, action, sdpAnswer = null) {
@@ -90,9 +193,9 @@ async function answerCall(callId, action, sdpAnswer = null) {
   }
 
   console.log(`[API] Answering call ${callId} with action=${action}...`);
-  const res = await api.post(url, body);
-  console.log('[API] Answer call response:', res.data);
-  return res.data;
+  const data = await graph.post(url, body, { safe: true, ...callOptions(`${action}:${callId}`) });
+  console.log('[API] Answer call response:', data);
+  return data;
 }
 
 async function rejectCall(callId) {
@@ -104,9 +207,9 @@ async function rejectCall(callId) {
   };
 
   console.log(`[API] Rejecting call ${callId}...`);
-  const res = await api.post(url, body);
-  console.log('[API] Reject call response:', res.data);
-  return res.data;
+  const data = await graph.post(url, body, { safe: true, ...callOptions(`reject:${callId}`) });
+  console.log('[API] Reject call response:', data);
+  return data;
 }
 
 async function terminateCall(callId) {
@@ -118,9 +221,9 @@ async function terminateCall(callId) {
   };
 
   console.log(`[API] Terminating call ${callId}...`);
-  const res = await api.post(url, body);
-  console.log('[API] Terminate call response:', res.data);
-  return res.data;
+  const data = await graph.post(url, body, { safe: true, ...callOptions(`terminate:${callId}`) });
+  console.log('[API] Terminate call response:', data);
+  return data;
 }
 
 async function sendTextMessage(recipientPhone, text) {
@@ -133,13 +236,17 @@ async function sendTextMessage(recipientPhone, text) {
   };
 
   console.log(`[API] Sending text to ${recipientPhone}...`);
-  const res = await api.post(url, body);
-  return res.data;
+  return graph.post(url, body);
 }
 
 module.exports = {
   enableCalling,
   disableCalling,
+  validateCallingSettings,
+  getCallingSettings,
+  updateCallingSettings,
+  getCallPermissions,
+  getMessageTemplates,
   sendCallPermissionRequest,
   initiateOutboundCall,
   answerCall,
@@ -0,0 +1,1023 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const EventEmitter = require('events');
+const { createSimulator, offerSdp, answerSdp } = require('../src/simulator');
+
+// End-to-end call flows: callManager talks to the Cloud API simulator, which answers the
+// Graph API and sends its webhooks through the real webhook handler.
+
+const APP_SECRET = 'test-app-secret';
+
+// Socket.IO stand-in: every emit (broadcast or to one socket) is an event on this emitter
+class FakeIo extends EventEmitter {
+  to() {
+    return this;
+  }
+
+  async fetchSockets() {
+    return [];
+  }
+}
+
+let sim;
+let io;
+let appServer;
+let callManager;
+let whatsappApi;
+let webhookJournal;
+
+let nextPhone = 15550100;
+function newPhone() {
+  return String(nextPhone++);
+}
+
+function waitForEvent(name, predicate = () => true, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      io.off(name, listener);
+      reject(new Error(`Timed out waiting for ${name}`));
+    }, timeoutMs);
+    function listener(data) {
+      if (!predicate(data)) return;
+      clearTimeout(timer);
+      io.off(name, listener);
+      resolve(data);
+    }
+    io.on(name, listener);
+  });
+}
+
+// Starts an outbound call the way the dashboard does in browser-only mode
+async function dial(phone) {
+  const { callId } = await callManager.startOutboundCall(phone, io, null);
+  const ringing = waitForEvent('call-ringing', d => d.callId === callId);
+  await callManager.handleBrowserSdpOffer(callId, offerSdp(), io, null);
+  await ringing;
+  return callId;
+}
+
+function simCall(callId) {
+  return sim.getCall(callManager.getCallState(callId).waCallId);
+}
+
+before(async () => {
+  let handler = (req, res) => res.end();
+  appServer = http.createServer((req, res) => handler(req, res));
+  await new Promise(resolve => appServer.listen(0, '127.0.0.1', resolve));
+
+  sim = createSimulator({ webhookUrl: `http://127.0.0.1:${appServer.address().port}/webhook`, appSecret: APP_SECRET });
+  await sim.start();
+  sim.enableCalling();
+
+  // config.js reads the environment once, so it must be set before the app is loaded
+  Object.assign(process.env, {
+    WHATSAPP_TOKEN: 'test-token',
+    PHONE_NUMBER_ID: sim.phoneNumberId,
+    WABA_ID: sim.wabaId,
+    APP_SECRET,
+    WEBHOOK_VERIFY_TOKEN: 'test-verify-token',
+    GRAPH_API_BASE: sim.baseUrl,
+    GRAPH_RETRY_BASE_MS: '10',
+    CALL_SDP_TIMEOUT: '1',
+    OUTBOUND_WEBHOOK_RETRY_BASE_MS: '20',
+    OUTBOUND_WEBHOOK_MAX_ATTEMPTS: '3',
+    FORWARD_SECRET: 'test-forward-secret',
+    QUEUE_HOLD_MUSIC: path.join(__dirname, 'missing-hold-music.wav'),
+    STORE_BACKEND: 'memory',
+    WEBRTC_MODE: 'browser'
+  });
+
+  const express = require('express');
+  const { validateSignature, validateForwardSignature, handleWebhookEvent, handleForwardedEvent } = require('../src/webhookHandler');
+  webhookJournal = require('../src/webhookJournal');
+  callManager = require('../src/callManager');
+  whatsappApi = require('../src/whatsappApi');
+  io = new FakeIo();
+
+  const app = express();
+  app.use('/webhook/forward', express.text({ type: () => true }));
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf.toString(); } }));
+  app.post('/webhook', validateSignature, (req, res) => handleWebhookEvent(req, res, callManager, io));
+  app.post('/webhook/forward', validateForwardSignature, (req, res) => handleForwardedEvent(req, res, callManager, io));
+  handler = app;
+});
+
+after(async () => {
+  await sim.stop();
+  await new Promise(resolve => appServer.close(resolve));
+});
+
+describe('call permissions', () => {
+  it('grants permission when the user accepts the request', async () => {
+    const phone = newPhone();
+    await sim.sendMessage(phone);
+
+    const granted = waitForEvent('permission-granted', d => d.phone === phone);
+    await whatsappApi.sendCallPermissionRequest(phone);
+    await granted;
+
+    const status = await callManager.getPermissionStatus(phone, { refresh: true });
+    assert.equal(status.granted, true);
+    assert.equal(status.state, 'granted_temporary');
+    assert.equal(status.source, 'meta');
+  });
+
+  it('records a permanent grant', async () => {
+    const phone = newPhone();
+    sim.user(phone, { permanent: true });
+
+    const granted = waitForEvent('permission-granted-permanent', d => d.phone === phone);
+    await whatsappApi.sendCallPermissionRequest(phone);
+    await granted;
+
+    assert.equal((await callManager.getPermissionStatus(phone)).state, 'granted_permanent');
+  });
+
+  it('refuses to call a user who declined', async () => {
+    const phone = newPhone();
+    sim.user(phone, { permission: 'reject' });
+
+    const rejected = waitForEvent('permission-rejected', d => d.phone === phone);
+    await whatsappApi.sendCallPermissionRequest(phone);
+    await rejected;
+
+    await assert.rejects(callManager.startOutboundCall(phone, io, null), { name: 'ForbiddenError' });
+  });
+});
+
+describe('outbound calls', () => {
+  it('connects and ends when the user hangs up', async () => {
+    const phone = newPhone();
+    sim.user(phone, { granted: true, hangupAfterMs: 100 });
+
+    const answer = waitForEvent('sdp-answer-from-whatsapp');
+    const connected = waitForEvent('call-connected', d => d.phone === phone);
+    const callId = await dial(phone);
+    await connected;
+    assert.match((await answer).sdp, /a=rtpmap:111 opus\/48000\/2/);
+
+    await waitForEvent('call-ended', d => d.callId === callId);
+    const state = callManager.getCallState(callId);
+    assert.equal(state.status, 'terminated');
+    assert.equal(state.metaStatus, 'COMPLETED');
+    assert.deepEqual(simCall(callId).actions, ['connect']);
+  });
+
+  it('ends the call when the user rejects it', async () => {
+    const phone = newPhone();
+    sim.user(phone, { granted: true, answer: 'reject' });
+
+    const rejected = waitForEvent('call-rejected', d => d.phone === phone);
+    const callId = await dial(phone);
+    await rejected;
+
+    assert.equal(callManager.getCallState(callId).status, 'rejected');
+  });
+
+  it('ends the call when nobody answers', async () => {
+    const phone = newPhone();
+    sim.user(phone, { granted: true, answer: 'no-answer', noAnswerMs: 100 });
+
+    const callId = await dial(phone);
+    await waitForEvent('call-ended', d => d.callId === callId);
+
+    const state = callManager.getCallState(callId);
+    assert.equal(state.status, 'terminated');
+    assert.equal(state.metaStatus, 'FAILED');
+  });
+
+  it('ends the call when it drops mid-call', async () => {
+    const phone = newPhone();
+    sim.user(phone, { granted: true, dropAfterMs: 100 });
+
+    const connected = waitForEvent('call-connected', d => d.phone === phone);
+    const callId = await dial(phone);
+    await connected;
+    await waitForEvent('call-ended', d => d.callId === callId);
+
+    assert.equal(callManager.getCallState(callId).metaStatus, 'FAILED');
+  });
+
+  it('reports a typed error when Meta refuses the call', async () => {
+    const phone = newPhone();
+    // Granted on the dashboard only, so Meta answers 138006
+    callManager.handlePermissionGranted(phone, io);
+
+    const { callId } = await callManager.startOutboundCall(phone, io, null);
+    const failed = waitForEvent('call-error', d => d.callId === callId);
+    await callManager.handleBrowserSdpOffer(callId, offerSdp(), io, null);
+
+    const error = await failed;
+    assert.equal(error.type, 'CallingError');
+    assert.equal(callManager.getCallState(callId).status, 'failed');
+  });
+});
+
+describe('concurrent outbound calls', () => {
+  // A dashboard whose generate-sdp-offer requests go nowhere
+  function dashboard(id) {
+    return { id, emit() {} };
+  }
+
+  it('connects calls to several numbers at once', async () => {
+    const phones = [newPhone(), newPhone(), newPhone()];
+    for (const phone of phones) sim.user(phone, { granted: true });
+
+    const connected = Promise.all(phones.map(phone => waitForEvent('call-connected', d => d.phone === phone)));
+    const callIds = await Promise.all(phones.map(dial));
+    await connected;
+
+    assert.equal(new Set(callIds).size, 3);
+    for (const callId of callIds) assert.equal(callManager.getCallState(callId).status, 'connected');
+    await Promise.all(callIds.map(callId => callManager.endCall(callId, io)));
+  });
+
+  it('refuses a second call to the same number', async () => {
+    const phone = newPhone();
+    sim.user(phone, { granted: true, answer: 'no-answer', noAnswerMs: 5000 });
+    const callId = await dial(phone);
+
+    await assert.rejects(callManager.startOutboundCall(phone, io, null), { name: 'ConflictError' });
+    await callManager.endCall(callId, io);
+  });
+
+  it('keeps each dashboard within its call limit', async () => {
+    const agentManager = require('../src/agentManager');
+    const phones = [newPhone(), newPhone(), newPhone()];
+    for (const phone of phones) sim.user(phone, { granted: true });
+
+    const plain = dashboard('dashboard-1');
+    const { callId } = await callManager.startOutboundCall(phones[0], io, plain);
+    await assert.rejects(callManager.startOutboundCall(phones[1], io, plain), { name: 'ConflictError', status: 409 });
+    await callManager.endCall(callId, io);
+
+    const agent = dashboard('agent-1');
+    assert.equal(agentManager.login(agent.id, `  Ann ${'n'.repeat(80)}`, io, { maxCalls: 2 }).name, `Ann ${'n'.repeat(36)}`);
+    const first = await callManager.startOutboundCall(phones[0], io, agent);
+    const second = await callManager.startOutboundCall(phones[1], io, agent);
+    await assert.rejects(callManager.startOutboundCall(phones[2], io, agent), { name: 'ConflictError' });
+    assert.deepEqual(agentManager.getAgent(agent.id).callIds, new Set([first.callId, second.callId]));
+
+    await Promise.all([first, second].map(c => callManager.endCall(c.callId, io)));
+    agentManager.logout(agent.id, io);
+  });
+
+  it('offers inbound calls to an agent until it reaches its call limit', async () => {
+    const agentManager = require('../src/agentManager');
+    const agent = dashboard('agent-2');
+    agentManager.login(agent.id, 'Bea', io, { maxCalls: 2 });
+    assert.throws(() => agentManager.setStatus(agent.id, 'asleep', io), { name: 'ValidationError' });
+    assert.throws(() => agentManager.setStatus('nobody', 'away', io), { name: 'ForbiddenError' });
+
+    agentManager.assignCall(agent.id, 'held-1', io);
+    assert.equal(agentManager.getAgent(agent.id).status, 'available');
+    const offered = waitForEvent('call-incoming', e => e.callId === 'ringing-1');
+    assert.equal(agentManager.offerCall({ callId: 'ringing-1', from: newPhone() }, io), true);
+    await offered;
+
+    agentManager.claimCall('ringing-1', agent.id, io);
+    assert.equal(agentManager.getAgent(agent.id).status, 'busy');
+    agentManager.releaseCall('held-1', io);
+    assert.equal(agentManager.getAgent(agent.id).status, 'available');
+
+    agentManager.releaseCall('ringing-1', io);
+    agentManager.logout(agent.id, io);
+  });
+
+  it('ignores an SDP offer from a dashboard that does not own the call', async () => {
+    const phone = newPhone();
+    sim.user(phone, { granted: true });
+    const { callId } = await callManager.startOutboundCall(phone, io, dashboard('dashboard-2'));
+
+    await callManager.handleBrowserSdpOffer(callId, offerSdp(), io, dashboard('dashboard-3'));
+    assert.equal(callManager.getCallState(callId).status, 'awaiting_browser_sdp');
+    await callManager.endCall(callId, io);
+  });
+});
+
+describe('webhook correlation', () => {
+  function callStatusWebhook(status, fields) {
+    return sim.sendWebhook('calls', { statuses: [{ type: 'call', status, timestamp: String(Math.floor(Date.now() / 1000)), ...fields }] });
+  }
+
+  it('keeps its own call id and sends it as opaque data', async () => {
+    const phone = newPhone();
+    sim.user(phone, { granted: true, answer: 'no-answer', noAnswerMs: 100 });
+
+    const callId = await dial(phone);
+    assert.match(callId, /^call_/);
+    assert.equal(simCall(callId).opaque, callId);
+    assert.equal(callManager.getCallState(simCall(callId).id), callManager.getCallState(callId));
+    await waitForEvent('call-ended', d => d.callId === callId);
+  });
+
+  it('matches a webhook with an unknown call id by its opaque data', async () => {
+    const phone = newPhone();
+    sim.user(phone, { granted: true, answer: 'no-answer', noAnswerMs: 5000 });
+    const callId = await dial(phone);
+
+    const accepted = waitForEvent('call-accepted', d => d.callId === callId);
+    await callStatusWebhook('ACCEPTED', { id: 'wacid.unknown', biz_opaque_callback_data: callId });
+    await accepted;
+
+    await callManager.endCall(callId, io);
+  });
+
+  it('dead-letters a webhook that matches no call', async () => {
+    const phone = newPhone();
+    sim.user(phone, { granted: true, answer: 'no-answer', noAnswerMs: 5000 });
+    const callId = await dial(phone);
+
+    const deadLetter = waitForEvent('dead-letter', d => d.callId === 'wacid.stray');
+    await callStatusWebhook('REJECTED', { id: 'wacid.stray', recipient_id: newPhone() });
+    const entry = await deadLetter;
+
+    assert.equal(entry.kind, 'status');
+    assert.equal(entry.detail, 'rejected');
+    assert.equal(callManager.getCallState(callId).status, 'ringing');
+    await callManager.endCall(callId, io);
+  });
+});
+
+describe('webhook journal', () => {
+  function messageStatus(id, status) {
+    return sim.sendWebhook('messages', { statuses: [{ id, status, timestamp: String(Math.floor(Date.now() / 1000)), recipient_id: newPhone() }] });
+  }
+
+  function statusEvents(id) {
+    const seen = [];
+    const listener = d => d.type === 'message-status' && d.data.id === id && seen.push(d.data);
+    io.on('webhook-event', listener);
+    return { seen, stop: () => io.off('webhook-event', listener) };
+  }
+
+  it('processes a redelivered webhook once', async () => {
+    const events = statusEvents('wamid.redelivered');
+    await messageStatus('wamid.redelivered', 'delivered');
+    await messageStatus('wamid.redelivered', 'delivered');
+    await messageStatus('wamid.redelivered', 'read');
+    events.stop();
+
+    assert.deepEqual(events.seen.map(s => s.status), ['delivered', 'read']);
+    const [read, duplicate, delivered] = webhookJournal.listEvents({ field: 'messages', limit: 3 });
+    assert.equal(delivered.outcome, 'processed');
+    assert.equal(delivered.signature, 'valid');
+    assert.deepEqual(delivered.keys, ['message-status:wamid.redelivered:delivered']);
+    assert.equal(duplicate.outcome, 'duplicate');
+    assert.equal(duplicate.duplicates, 1);
+    assert.equal(read.outcome, 'processed');
+  });
+
+  it('replays a journaled webhook', async () => {
+    const { replayWebhookEvent } = require('../src/webhookHandler');
+    await messageStatus('wamid.replayed', 'sent');
+    const [original] = webhookJournal.listEvents({ field: 'messages', limit: 1 });
+
+    const events = statusEvents('wamid.replayed');
+    const replay = await replayWebhookEvent(original.id, callManager, io);
+    events.stop();
+
+    assert.equal(events.seen.length, 1);
+    assert.equal(replay.source, 'replay');
+    assert.equal(replay.replayOf, original.id);
+    assert.equal(replay.outcome, 'processed');
+    await assert.rejects(replayWebhookEvent('evt_missing', callManager, io), { name: 'NotFoundError' });
+  });
+
+  it('journals a webhook rejected for its signature', async () => {
+    const body = JSON.stringify({ object: 'whatsapp_business_account', entry: [] });
+    const res = await fetch(`http://127.0.0.1:${appServer.address().port}/webhook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': 'sha256=bad' },
+      body
+    });
+
+    assert.equal(res.status, 403);
+    const [event] = webhookJournal.listEvents({ outcome: 'rejected', limit: 1 });
+    assert.equal(event.signature, 'invalid');
+    assert.deepEqual(event.fields, []);
+    assert.equal(webhookJournal.getEvent(event.id).body, null); // only the metadata is kept
+    const { replayWebhookEvent } = require('../src/webhookHandler');
+    await assert.rejects(replayWebhookEvent(event.id, callManager, io), { name: 'ConflictError' });
+  });
+
+  it('imports events with only a readable receivedAt', () => {
+    const body = { object: 'whatsapp_business_account', entry: [] };
+    const [dated, numeric, junk] = webhookJournal.importEvents([
+      { body, receivedAt: '2026-01-02T03:04:05+01:00' },
+      { body, receivedAt: 123 },
+      { body, receivedAt: 'yesterday', id: { not: 'an id' } }
+    ]);
+    assert.equal(dated.receivedAt, '2026-01-02T02:04:05.000Z');
+    assert.equal(typeof numeric.receivedAt, 'string');
+    assert.ok(Date.parse(junk.receivedAt) > Date.now() - 60000);
+    assert.equal(junk.replayOf, null);
+    assert.ok(webhookJournal.listEvents({ source: 'import' }).length >= 3);
+
+    assert.throws(() => webhookJournal.importEvents([{ body, signature: 'trust-me' }]), { name: 'ValidationError' });
+    assert.throws(() => webhookJournal.importEvents(Array(101).fill({ body })), { name: 'ValidationError' });
+  });
+
+  it('ignores a signed body whose entry is not an array', async () => {
+    const crypto = require('crypto');
+    const body = JSON.stringify({ object: 'whatsapp_business_account', entry: { id: 'not-a-list' } });
+    const res = await fetch(`http://127.0.0.1:${appServer.address().port}/webhook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': 'sha256=' + crypto.createHmac('sha256', APP_SECRET).update(body).digest('hex') },
+      body
+    });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.equal(res.status, 200);
+    const [event] = webhookJournal.listEvents({ source: 'meta', limit: 1 });
+    assert.equal(event.outcome, 'ignored');
+    assert.deepEqual(event.fields, []);
+  });
+});
+
+describe('n8n forward', () => {
+  const crypto = require('crypto');
+  const hmac = (secret, text) => 'sha256=' + crypto.createHmac('sha256', secret).update(text).digest('hex');
+
+  function statusBody(id) {
+    return {
+      object: 'whatsapp_business_account',
+      entry: [{ id: sim.wabaId, changes: [{ field: 'messages', value: { statuses: [{ id, status: 'sent', timestamp: String(Math.floor(Date.now() / 1000)), recipient_id: newPhone() }] } }] }]
+    };
+  }
+
+  async function forward(payload, headers = {}) {
+    const res = await fetch(`http://127.0.0.1:${appServer.address().port}/webhook/forward`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: typeof payload === 'string' ? payload : JSON.stringify(payload)
+    });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return res.status;
+  }
+
+  const journaled = id => webhookJournal.listEvents({ source: 'forward', limit: 20 })
+    .find(e => webhookJournal.getEvent(e.id).body?.entry?.[0]?.changes?.[0]?.value?.statuses?.[0]?.id === id);
+  const rejected = () => webhookJournal.listEvents({ source: 'forward', outcome: 'rejected', limit: 1 })[0];
+
+  it('rejects a forward without a signature', async () => {
+    assert.equal(await forward(statusBody('wamid.fwd-unsigned')), 403);
+    const event = rejected();
+    assert.deepEqual(event.fields, ['messages']);
+    assert.equal(event.signature, 'missing');
+    assert.equal(await forward(statusBody('wamid.fwd-forged'), { 'X-Forward-Signature': 'sha256=bad' }), 403);
+  });
+
+  it("accepts Meta's signature passed through with the original body", async () => {
+    const raw = JSON.stringify(statusBody('wamid.fwd-raw'));
+    assert.equal(await forward(raw, { 'X-Hub-Signature-256': hmac(APP_SECRET, raw) }), 200);
+    assert.equal(journaled('wamid.fwd-raw').signature, 'valid');
+
+    // n8n webhook items: the signature in the item's headers, the body parsed or as a string
+    const parsed = statusBody('wamid.fwd-item');
+    assert.equal(await forward([{ headers: { 'x-hub-signature-256': hmac(APP_SECRET, JSON.stringify(parsed)) }, body: parsed }]), 200);
+    assert.equal(journaled('wamid.fwd-item').outcome, 'processed');
+    const text = JSON.stringify(statusBody('wamid.fwd-string'));
+    assert.equal(await forward({ headers: { 'x-hub-signature-256': hmac(APP_SECRET, text) }, body: text }), 200);
+    assert.equal(journaled('wamid.fwd-string').outcome, 'processed');
+
+    const tampered = statusBody('wamid.fwd-tampered');
+    assert.equal(await forward({ headers: { 'x-hub-signature-256': hmac(APP_SECRET, JSON.stringify(statusBody('wamid.other'))) }, body: tampered }), 403);
+    assert.equal(rejected().signature, 'invalid');
+  });
+
+  it('accepts any n8n shape signed with FORWARD_SECRET', async () => {
+    const payload = JSON.stringify([{ json: { body: JSON.stringify(JSON.stringify(statusBody('wamid.fwd-secret'))) } }]);
+    assert.equal(await forward(payload, { 'Content-Type': 'text/plain', 'X-Forward-Signature': hmac('test-forward-secret', payload) }), 200);
+    const event = journaled('wamid.fwd-secret');
+    assert.equal(event.signature, 'forward-secret');
+    assert.equal(event.outcome, 'processed');
+
+    const empty = JSON.stringify([{ json: { hello: 'n8n' } }]);
+    assert.equal(await forward(empty, { 'X-Forward-Signature': hmac('test-forward-secret', empty) }), 400);
+  });
+});
+
+describe('call queue', () => {
+  it('plays the default hold audio when the hold music file is unusable', async () => {
+    const callQueue = require('../src/callQueue');
+    const played = [];
+    const output = { sampleRate: 8000, play: async (samples, opts) => played.push({ samples, opts }), stop() {} };
+
+    callQueue.enqueue({ callId: 'call_queued_hold', recipientPhone: newPhone(), output }, io, () => {});
+    await new Promise(resolve => setImmediate(resolve));
+    callQueue.remove('call_queued_hold', io);
+
+    assert.equal(played.length, 2);
+    assert.deepEqual(played[1].opts, { loop: true });
+    assert.ok(played[1].samples.length > 0);
+  });
+});
+
+describe('templates', () => {
+  it('treats null buttons as none, without WABA_ID too', () => {
+    const templates = require('../src/templates');
+    assert.deepEqual(templates.buildComponents(null, { buttons: null }), []);
+    assert.throws(() => templates.buildComponents(null, { buttons: 'x' }), { name: 'ValidationError' });
+  });
+});
+
+describe('schedule', () => {
+  it('rejects business hours that never open', () => {
+    const schedule = require('../src/schedule');
+    assert.deepEqual(schedule.parseBusinessHours('Sat 20:00-24:00'), [{ day: 'SATURDAY', open: '20:00', close: '24:00' }]);
+    assert.throws(() => schedule.parseBusinessHours('Mon-Fri 09:00-24:30'), { name: 'ValidationError' });
+    assert.throws(() => schedule.parseBusinessHours('Mon 17:00-09:00'), { name: 'ValidationError' });
+  });
+});
+
+describe('call state machine', () => {
+  it('expires a call whose browser never sends its SDP offer', async () => {
+    const phone = newPhone();
+    sim.user(phone, { granted: true });
+    const { callId } = await callManager.startOutboundCall(phone, io, null);
+
+    const ended = await waitForEvent('call-ended', d => d.callId === callId, 3000);
+    assert.equal(ended.reason, 'awaiting_browser_sdp_timeout');
+    assert.equal(callManager.getCallState(callId).status, 'expired');
+  });
+
+  it('refuses a transition that is not allowed', async () => {
+    const phone = newPhone();
+    sim.user(phone, { granted: true });
+    const connected = waitForEvent('call-connected', d => d.phone === phone);
+    const callId = await dial(phone);
+    await connected;
+
+    // A late RINGING must not take a connected call back to ringing. (Redelivering the
+    // webhook itself would be dropped as a duplicate before it reaches callManager.)
+    callManager.handleOutboundStatus(simCall(callId).id, 'ringing', io, {});
+
+    assert.equal(callManager.getCallState(callId).status, 'connected');
+    const history = callManager.getCallHistory(callId);
+    assert.deepEqual(history.filter(h => !h.rejected).map(h => h.to), ['awaiting_browser_sdp', 'calling', 'ringing', 'accepted', 'connected']);
+    assert.deepEqual(history.find(h => h.rejected), { from: 'connected', to: 'ringing', reason: null, rejected: true, at: history.find(h => h.rejected).at });
+    await callManager.endCall(callId, io);
+  });
+});
+
+describe('inbound calls', () => {
+  async function ring(phone) {
+    const incoming = waitForEvent('call-incoming', d => d.from === phone);
+    const callId = await sim.placeCall(phone);
+    await incoming;
+    return callId;
+  }
+
+  it('pre-accepts and accepts with the browser answer', async () => {
+    const phone = newPhone();
+    const callId = await ring(phone);
+
+    const offer = waitForEvent('inbound-sdp-offer', d => d.callId === callId);
+    await callManager.acceptInboundCall(callId, io);
+    const { sdp } = await offer;
+
+    const connected = waitForEvent('call-connected', d => d.callId === callId);
+    await callManager.handleBrowserSdpAnswer(callId, answerSdp(sdp), io);
+    await connected;
+    assert.deepEqual(sim.getCall(callId).actions, ['pre_accept', 'accept']);
+
+    const ended = waitForEvent('call-ended', d => d.callId === callId);
+    await sim.hangup(callId);
+    await ended;
+    assert.equal(callManager.getCallState(callId).status, 'terminated');
+  });
+
+  it('rejects a call the agent declines', async () => {
+    const phone = newPhone();
+    const callId = await ring(phone);
+
+    await callManager.rejectInboundCall(callId, io);
+
+    assert.equal(callManager.getCallState(callId).status, 'rejected');
+    assert.deepEqual(sim.getCall(callId).actions, ['reject']);
+    assert.equal(sim.getCall(callId).endStatus, 'REJECTED');
+  });
+
+  it('sends terminate once when a call is ended twice', async () => {
+    const phone = newPhone();
+    const callId = await ring(phone);
+    await callManager.acceptInboundCall(callId, io);
+    await callManager.handleBrowserSdpAnswer(callId, answerSdp(sim.getCall(callId).offer), io);
+
+    await Promise.all([callManager.endCall(callId, io), callManager.endCall(callId, io)]);
+
+    assert.deepEqual(sim.getCall(callId).actions.filter(a => a === 'terminate'), ['terminate']);
+  });
+});
+
+describe('campaigns', () => {
+  let campaigns;
+
+  // A dashboard that answers generate-sdp-offer the way public/app.js does
+  const dashboard = {
+    id: 'campaign-dashboard',
+    data: { user: { username: 'dialer', role: 'agent' } },
+    emit(event, data) {
+      if (event === 'generate-sdp-offer') setImmediate(() => callManager.handleBrowserSdpOffer(data.callId, offerSdp(), io, dashboard));
+    }
+  };
+
+  before(() => {
+    campaigns = require('../src/campaigns');
+    io.fetchSockets = async () => [dashboard];
+    campaigns.start(io);
+  });
+
+  after(() => {
+    campaigns.stop();
+    delete io.fetchSockets;
+  });
+
+  function finished(id) {
+    return waitForEvent('campaign-updated', c => c.id === id && ['completed', 'cancelled'].includes(c.status), 5000);
+  }
+
+  it('reads contacts from a CSV and skips bad rows', () => {
+    const csv = 'Name,Phone,Order\n"Doe, Jane",+1 555 0190,A-1\nBob,15550190,A-2\nNobody,12\n';
+    assert.deepEqual(campaigns.contactsFromCsv(csv)[0], { phone: '+1 555 0190', name: 'Doe, Jane', fields: { order: 'A-1' } });
+
+    const { campaign, skipped } = campaigns.createCampaign({ name: 'CSV', csv }, io);
+    assert.equal(campaign.status, 'draft');
+    assert.deepEqual(campaign.contacts.map(c => c.phone), ['15550190']);
+    assert.deepEqual(skipped.map(s => s.reason), ['duplicate', 'invalid phone number']);
+    campaigns.cancelCampaign(campaign.id, io);
+
+    // Contacts are stored on their own, so a status change doesn't rewrite the whole list
+    const store = require('../src/store');
+    assert.equal(store.collection('campaigns').get(campaign.id).contacts, undefined);
+    assert.equal(store.collection('campaign_contacts').get(`${campaign.id}:15550190`).status, 'cancelled');
+  });
+
+  it('asks for permission, then calls each contact', async () => {
+    const asked = newPhone();
+    const granted = newPhone();
+    await sim.sendMessage(asked);
+    sim.user(asked, { hangupAfterMs: 50 });
+    sim.user(granted, { granted: true, hangupAfterMs: 50 });
+
+    const { campaign } = campaigns.createCampaign({ name: 'Callbacks', contacts: [{ phone: asked }, { phone: granted }], pacingSeconds: 0 }, io);
+    const done = finished(campaign.id);
+    campaigns.startCampaign(campaign.id, io);
+    const summary = await done;
+
+    assert.equal(summary.status, 'completed');
+    assert.deepEqual(summary.counts, { completed: 2 });
+    const contacts = campaigns.getCampaign(campaign.id).contacts;
+    assert.ok(contacts[0].permissionRequestedAt);
+    assert.equal(contacts[1].permissionRequestedAt, null);
+    assert.deepEqual(contacts.map(c => c.attempts.map(a => a.outcome)), [['answered'], ['answered']]);
+  });
+
+  it('retries a contact that does not answer', async () => {
+    const phone = newPhone();
+    sim.user(phone, { granted: true, answer: 'no-answer', noAnswerMs: 50 });
+
+    const { campaign } = campaigns.createCampaign({ contacts: [{ phone }], pacingSeconds: 0, maxAttempts: 2, retryDelayMinutes: 0, start: true }, io);
+    await finished(campaign.id);
+
+    const [contact] = campaigns.getCampaign(campaign.id).contacts;
+    assert.equal(contact.status, 'unreachable');
+    assert.deepEqual(contact.attempts.map(a => a.outcome), ['no_answer', 'no_answer']);
+  });
+
+  it('waits, quietly, while no agent can take the call', async () => {
+    // Server WebRTC mode: dialingSocket() finds no dashboard but doesn't throw
+    const webrtcBridge = require('../src/webrtcBridge');
+    const isAvailable = webrtcBridge.isAvailable;
+    webrtcBridge.isAvailable = () => true;
+    io.fetchSockets = async () => [];
+    const phone = newPhone();
+    sim.user(phone, { granted: true });
+
+    try {
+      const { campaign } = campaigns.createCampaign({ contacts: [{ phone }], pacingSeconds: 0, start: true }, io);
+      await waitForEvent('campaign-updated', c => c.id === campaign.id && c.waitingFor === 'agent', 5000);
+
+      const updates = [];
+      const listener = c => c.id === campaign.id && updates.push(c);
+      io.on('campaign-updated', listener);
+      await new Promise(resolve => setTimeout(resolve, 2500));
+      io.off('campaign-updated', listener);
+
+      assert.equal(updates.length, 0);
+      const [contact] = campaigns.getCampaign(campaign.id).contacts;
+      assert.equal(contact.status, 'ready');
+      assert.deepEqual(contact.attempts, []);
+      campaigns.cancelCampaign(campaign.id, io);
+    } finally {
+      webrtcBridge.isAvailable = isAvailable;
+      io.fetchSockets = async () => [dashboard];
+    }
+  });
+});
+
+describe('auth', () => {
+  let auth;
+  let auditLog;
+
+  before(() => {
+    auth = require('../src/auth');
+    auditLog = require('../src/auditLog');
+    auth.createUser({ username: 'boss', password: 'boss-password', role: 'admin' });
+  });
+
+  // Runs the middleware chain on a fake request; returns the status it answered with, or 'next'
+  function runMiddleware(middleware, headers) {
+    const req = { headers };
+    let status = 'next';
+    const res = { status(code) { status = code; return this; }, set() { return this; }, json() { return this; } };
+    for (const fn of middleware) {
+      let passed = false;
+      fn(req, res, () => { passed = true; });
+      if (!passed) return status;
+    }
+    return status;
+  }
+
+  it('logs in with the right password only', () => {
+    auth.createUser({ username: 'Viv', password: 'viewer-password', role: 'viewer' });
+
+    assert.throws(() => auth.login('viv', 'wrong-password'), { name: 'UnauthorizedError', status: 401 });
+    const { token, user } = auth.login('viv', 'viewer-password');
+    assert.equal(user.username, 'viv');
+    assert.equal(auth.authenticate(token).role, 'viewer');
+    assert.equal(auth.tokenFromHeaders({ cookie: `theme=dark; session=${encodeURIComponent(token)}` }), token);
+
+    auth.logout(token);
+    assert.equal(auth.authenticate(token), null);
+  });
+
+  it('locks an account after repeated failed logins', () => {
+    auth.createUser({ username: 'locked', password: 'locked-password' });
+    const guesser = { ip: '203.0.113.9' };
+    for (let i = 0; i < 5; i++) assert.throws(() => auth.login('locked', 'nope', guesser), { status: 401 });
+    assert.throws(() => auth.login('locked', 'locked-password', guesser), { name: 'RateLimitError', status: 429 });
+    // The owner, elsewhere, still gets in
+    assert.equal(auth.login('locked', 'locked-password', { ip: '198.51.100.4' }).user.username, 'locked');
+  });
+
+  it('answers 401 without a session and 403 below the needed role', () => {
+    auth.createUser({ username: 'agent1', password: 'agent-password', role: 'agent' });
+    const { token } = auth.login('agent1', 'agent-password');
+    const bearer = { authorization: `Bearer ${token}` };
+
+    assert.equal(runMiddleware([auth.requireLogin, auth.requireRole('agent')], {}), 401);
+    assert.equal(runMiddleware([auth.requireLogin, auth.requireRole('agent')], bearer), 'next');
+    assert.equal(runMiddleware([auth.requireLogin, auth.requireRole('admin')], bearer), 403);
+  });
+
+  it('ends sessions when the password changes, and keeps an admin', () => {
+    const { token } = auth.login('boss', 'boss-password');
+    auth.updateUser('boss', { password: 'new-boss-password' });
+    assert.equal(auth.authenticate(token), null);
+
+    assert.throws(() => auth.updateUser('boss', { role: 'agent' }), { name: 'ConflictError' });
+    assert.throws(() => auth.deleteUser('boss'), { name: 'ConflictError' });
+  });
+
+  it('records who performed a call action', async () => {
+    const user = auth.authenticate(auth.login('agent1', 'agent-password').token);
+    const phone = newPhone();
+    sim.user(phone, { granted: true });
+
+    const { callId } = await auditLog.track(user, 'call-start', { phone }, () => callManager.startOutboundCall(phone, io, null));
+    await assert.rejects(auditLog.track(user, 'call-end', { callId: 'no-such-call' }, () => callManager.endCall('no-such-call', io)));
+
+    const [entry] = auditLog.listEntries({ callId });
+    assert.deepEqual([entry.username, entry.role, entry.action, entry.phone, entry.result], ['agent1', 'agent', 'call-start', phone, 'ok']);
+    assert.equal(auditLog.listEntries({ callId: 'no-such-call' })[0].result, 'error');
+    await callManager.endCall(callId, io);
+  });
+});
+
+describe('public API', () => {
+  let apiKeys;
+  let auditLog;
+  let server;
+  let baseUrl;
+  let key;
+
+  const dashboard = {
+    id: 'api-dashboard',
+    data: { user: { username: 'api-agent', role: 'agent' } },
+    emit(event, data) {
+      if (event === 'generate-sdp-offer') setImmediate(() => callManager.handleBrowserSdpOffer(data.callId, offerSdp(), io, dashboard));
+    }
+  };
+
+  before(async () => {
+    const express = require('express');
+    const publicApi = require('../src/publicApi');
+    apiKeys = require('../src/apiKeys');
+    auditLog = require('../src/auditLog');
+    key = apiKeys.createKey({ name: 'CRM', scopes: ['calls:read', 'calls:write'] }).key;
+    io.fetchSockets = async () => [dashboard];
+
+    const app = express();
+    app.use(express.json());
+    app.use('/v1', publicApi.createRouter(io), publicApi.handleError);
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  after(async () => {
+    delete io.fetchSockets;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  async function api(method, path, { body, apiKey = key, raw } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    const res = await fetch(baseUrl + path, { method, headers, body: raw ?? (body && JSON.stringify(body)) });
+    return { status: res.status, body: await res.json() };
+  }
+
+  it('serves an OpenAPI document of its routes', async () => {
+    const { status, body } = await api('GET', '/openapi.json', { apiKey: null });
+    assert.equal(status, 200);
+    assert.equal(body.openapi, '3.1.0');
+    assert.deepEqual(Object.keys(body.paths['/calls']), ['get', 'post']);
+    assert.deepEqual(body.paths['/calls/{callId}/end'].post.security[0], { bearerKey: ['calls:write'] });
+  });
+
+  it('answers errors with one shape', async () => {
+    assert.deepEqual(await api('GET', '/calls', { apiKey: 'wck_unknown' }),
+      { status: 401, body: { error: { type: 'UnauthorizedError', message: 'A valid API key is required', status: 401 } } });
+
+    const denied = await api('POST', '/messages', { body: { phone: '15550100', text: 'Hi' } });
+    assert.equal(denied.status, 403);
+    assert.deepEqual(denied.body.error.details, { scope: 'messages:write' });
+
+    assert.equal((await api('POST', '/calls', { raw: '{"phone":' })).body.error.type, 'ValidationError');
+    assert.equal((await api('POST', '/calls', { body: {} })).body.error.message, 'phone is required');
+    assert.equal((await api('GET', '/calls/no-such-call')).status, 404);
+    assert.equal((await api('GET', '/nothing-here')).status, 404);
+  });
+
+  it('creates, reads, lists and ends a call', async () => {
+    const phone = newPhone();
+    sim.user(phone, { granted: true });
+
+    const ringing = waitForEvent('call-ringing', d => d.phone === phone);
+    const created = await api('POST', '/calls', { body: { phone } });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.phone, phone);
+    assert.equal(created.body.active, true);
+    await ringing;
+
+    const { body: call } = await api('GET', `/calls/${created.body.id}`);
+    assert.equal(call.status, 'ringing');
+    assert.ok(call.history.some(h => h.to === 'ringing'));
+
+    const ended = await api('POST', `/calls/${call.id}/end`);
+    assert.equal(ended.body.active, false);
+    assert.equal((await api('POST', `/calls/${call.id}/end`)).status, 200);
+
+    const { body: list } = await api('GET', `/calls?phone=${phone}&active=false`);
+    assert.deepEqual(list.data.map(c => c.id), [call.id]);
+    assert.deepEqual(auditLog.listEntries({ callId: call.id }).map(e => e.action).sort(), ['call-end', 'call-start']);
+    assert.match(auditLog.listEntries({ callId: call.id })[0].username, /^api:key_/);
+  });
+
+  it('stops accepting a revoked key', async () => {
+    const { key: revoked, apiKey } = apiKeys.createKey({ name: 'Old CRM', scopes: ['calls:read'] });
+    assert.equal((await api('GET', '/calls', { apiKey: revoked })).status, 200);
+    apiKeys.revokeKey(apiKey.id);
+    assert.equal((await api('GET', '/calls', { apiKey: revoked })).status, 401);
+  });
+});
+
+describe('outgoing webhooks', () => {
+  let outgoingWebhooks;
+  let receiver;
+  let receiverUrl;
+  let received = [];
+  let answerStatus = 200;
+  let waiting = [];
+
+  before(async () => {
+    outgoingWebhooks = require('../src/outgoingWebhooks');
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        res.statusCode = answerStatus;
+        res.end();
+        received.push({ headers: req.headers, body, payload: JSON.parse(body) });
+        waiting = waiting.filter(w => !w());
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+    outgoingWebhooks.start();
+  });
+
+  after(async () => {
+    outgoingWebhooks.stop();
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  // Resolves with the first request the predicate accepts, received before or after the call
+  function waitForRequest(predicate, timeoutMs = 2000) {
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        const match = received.find(predicate);
+        if (match) resolve(match);
+        return Boolean(match);
+      };
+      if (check()) return;
+      waiting.push(check);
+      setTimeout(() => reject(new Error('Timed out waiting for a webhook request')), timeoutMs).unref();
+    });
+  }
+
+  async function waitForDelivery(id, status, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (outgoingWebhooks.getDelivery(id).status !== status) {
+      if (Date.now() > deadline) throw new Error(`Delivery ${id} never became ${status}`);
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return outgoingWebhooks.getDelivery(id);
+  }
+
+  it('delivers subscribed call events, signed', async () => {
+    const { subscription, secret } = outgoingWebhooks.createSubscription({ url: receiverUrl, events: ['call-ringing', 'call-ended'] });
+    const phone = newPhone();
+    sim.user(phone, { granted: true });
+
+    const callId = await dial(phone);
+    const ringing = await waitForRequest(r => r.payload.event === 'call-ringing' && r.payload.data.callId === callId);
+    await callManager.endCall(callId, io);
+    const ended = await waitForRequest(r => r.payload.event === 'call-ended' && r.payload.data.callId === callId);
+
+    assert.equal(ringing.payload.data.phone, phone);
+    assert.equal(ringing.headers['x-webhook-event'], 'call-ringing');
+    assert.equal(ringing.headers['x-webhook-signature'], outgoingWebhooks.sign(secret, ringing.headers['x-webhook-timestamp'], ringing.body));
+    assert.notEqual(ended.payload.id, ringing.payload.id);
+    assert.ok(!received.some(r => r.payload.event === 'call-connected'));
+    outgoingWebhooks.deleteSubscription(subscription.id);
+  });
+
+  it('retries with backoff, gives up, and redelivers by hand', async () => {
+    const { subscription } = outgoingWebhooks.createSubscription({ url: receiverUrl, events: ['*'] });
+    answerStatus = 503;
+
+    const failed = await waitForDelivery(outgoingWebhooks.ping(subscription.id).id, 'failed');
+    assert.deepEqual(failed.attempts.map(a => a.error), ['HTTP 503', 'HTTP 503', 'HTTP 503']);
+    assert.deepEqual(failed.attempts.map(a => a.retryInMs), [20, 40, null]);
+    assert.equal(outgoingWebhooks.retryDelay(30), 60 * 60 * 1000);
+
+    answerStatus = 200;
+    const retry = outgoingWebhooks.redeliver(failed.id);
+    const delivered = await waitForDelivery(retry.id, 'delivered');
+    assert.equal(delivered.redeliveryOf, failed.id);
+    assert.equal(delivered.payload.id, failed.payload.id);
+    outgoingWebhooks.deleteSubscription(subscription.id);
+  });
+
+  it('keeps delivering to other subscriptions while one receiver hangs', async () => {
+    let hung;
+    const requested = new Promise(resolve => { hung = resolve; });
+    const hanging = http.createServer(() => hung()); // never answers
+    await new Promise(resolve => hanging.listen(0, '127.0.0.1', resolve));
+    // Pings go out whatever the subscription's events
+    const stuck = outgoingWebhooks.createSubscription({ url: `http://127.0.0.1:${hanging.address().port}/hook`, events: ['calls-reset'] });
+    const fine = outgoingWebhooks.createSubscription({ url: receiverUrl, events: ['calls-reset'] });
+
+    try {
+      outgoingWebhooks.ping(stuck.subscription.id);
+      await requested;
+      const delivered = await waitForDelivery(outgoingWebhooks.ping(fine.subscription.id).id, 'delivered', 1000);
+      assert.equal(delivered.attempts.length, 1);
+    } finally {
+      outgoingWebhooks.deleteSubscription(stuck.subscription.id);
+      outgoingWebhooks.deleteSubscription(fine.subscription.id);
+      hanging.closeAllConnections();
+      await new Promise(resolve => hanging.close(resolve));
+    }
+  });
+});
+
+describe('Graph API client', () => {
+  it('retries a server error on a read', async () => {
+    sim.failNext('/settings', { status: 500, code: 2, message: 'Service temporarily unavailable' });
+
+    const settings = await whatsappApi.getCallingSettings();
+    assert.equal(settings.status, 'ENABLED');
+  });
+
+  it('maps a re-engagement error', async () => {
+    sim.failNext('/messages', { code: 131047, message: 'Re-engagement message' });
+
+    await assert.rejects(whatsappApi.sendTextMessage(newPhone(), 'Hello'), { name: 'ReengagementError', status: 409 });
+  });
+});